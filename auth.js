@@ -0,0 +1,165 @@
+// auth.js
+// Bearer API keys with per-key scopes. Only a SHA-256 hash of each key is kept
+// (data/api-keys.json); the plaintext is shown once, when the key is minted.
+// ADMIN_API_KEY bootstraps access so the first real keys can be created.
+const crypto = require('crypto');
+const { dataPath, readJsonFile, writeJsonFile } = require('./file-store');
+const log = require('./logger');
+
+const KEYS_FILE = dataPath('api-keys.json');
+const KEY_PREFIX = 'ibs_';
+// last_used_at is refreshed at most this often per key, so a busy key does not
+// rewrite the keys file on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const SCOPES = [
+  'inventory:read',
+  'inventory:write',
+  'purchasing:approve',
+  'ghl:read',
+  'ghl:write',
+  'knowledge:read',
+  'knowledge:write',
+  'chat',
+  'diagnostics',
+  'admin'
+];
+
+const keys = readJsonFile(KEYS_FILE, []);
+
+function hashKey(plaintext) {
+  return crypto.createHash('sha256').update(plaintext).digest('hex');
+}
+
+function hashesMatch(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+// Public view of a stored key - never includes the hash
+function describeKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    created_at: key.created_at,
+    last_used_at: key.last_used_at || null,
+    revoked_at: key.revoked_at || null
+  };
+}
+
+function keyError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+async function createApiKey({ name, scopes }) {
+  if (!name || typeof name !== 'string') {
+    throw keyError('name is required');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw keyError(`scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+  }
+  const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw keyError(`Unknown scopes: ${unknown.join(', ')}`);
+  }
+
+  const plaintext = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+  const key = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name,
+    prefix: plaintext.slice(0, KEY_PREFIX.length + 6),
+    hash: hashKey(plaintext),
+    scopes: [...new Set(scopes)],
+    created_at: new Date().toISOString()
+  };
+
+  keys.push(key);
+  await writeJsonFile(KEYS_FILE, keys);
+
+  return { ...describeKey(key), key: plaintext };
+}
+
+async function revokeApiKey(id) {
+  const key = keys.find(k => k.id === id);
+  if (!key) {
+    return null;
+  }
+  if (!key.revoked_at) {
+    key.revoked_at = new Date().toISOString();
+    await writeJsonFile(KEYS_FILE, keys);
+  }
+  return describeKey(key);
+}
+
+function listApiKeys() {
+  return keys.map(describeKey);
+}
+
+// Resolve the bearer token on a request to { id, name, scopes }, or null
+function authenticate(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (!match) {
+    return null;
+  }
+
+  const hash = hashKey(match[1]);
+
+  if (process.env.ADMIN_API_KEY && hashesMatch(hash, hashKey(process.env.ADMIN_API_KEY))) {
+    return { id: 'admin', name: 'ADMIN_API_KEY', scopes: SCOPES };
+  }
+
+  const key = keys.find(k => !k.revoked_at && hashesMatch(hash, k.hash));
+  if (!key) {
+    return null;
+  }
+
+  // Best effort - a failed write should not fail the request
+  const now = Date.now();
+  if (!key.last_used_at || now - Date.parse(key.last_used_at) >= LAST_USED_RESOLUTION_MS) {
+    key.last_used_at = new Date(now).toISOString();
+    writeJsonFile(KEYS_FILE, keys).catch(error => {
+      log.error('Failed to record API key usage', error);
+    });
+  }
+
+  return { id: key.id, name: key.name, scopes: key.scopes };
+}
+
+// Check a request against a route's required scopes.
+// Returns null when allowed, otherwise { status, error } describing the rejection.
+function authorize(req, route) {
+  if (route.public) {
+    return null;
+  }
+
+  const principal = authenticate(req);
+  if (!principal) {
+    return { status: 401, error: 'Missing or invalid API key' };
+  }
+
+  req.auth = principal;
+
+  const missing = (route.scopes || []).filter(scope => !principal.scopes.includes(scope));
+  if (missing.length > 0) {
+    return { status: 403, error: `API key lacks required scope: ${missing.join(', ')}` };
+  }
+
+  return null;
+}
+
+function activeKeyCount() {
+  return keys.filter(k => !k.revoked_at).length + (process.env.ADMIN_API_KEY ? 1 : 0);
+}
+
+module.exports = {
+  SCOPES,
+  authorize,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  activeKeyCount
+};
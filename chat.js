@@ -0,0 +1,321 @@
+// chat.js
+// Server-side agent behind POST /api/chat. The model (OpenAI or Anthropic, see
+// llm-providers.js) is offered our own operations as tools; the server runs
+// each tool call it makes and feeds the result back until the model answers.
+// Clients that are not a Custom GPT - the Slack bot, scripts - get the same
+// agent without implementing tool calling themselves.
+//
+// Tools run with the caller's API key: a tool is only offered when the key has
+// its scopes, and GHL tools act on the caller's location.
+const inventoryStore = require('./inventory');
+const ghl = require('./ghl');
+const knowledge = require('./knowledge');
+const { locationId } = require('./tenants');
+const { getProvider } = require('./llm-providers');
+const { abortError } = require('./sse');
+const log = require('./logger');
+
+const DEFAULT_MAX_STEPS = 6;
+const MAX_STEPS = 10;
+const MAX_MESSAGES = 50;
+// Tool output beyond this is cut before it reaches the model
+const MAX_TOOL_RESULT_CHARS = 12000;
+
+const SYSTEM_PROMPT = [
+  'You are the InnovativeBioScience operations assistant for lab supplies (FBS, media, plastics).',
+  'Use the tools for stock levels, low-stock reports, CRM contacts, deals and product documents; never guess quantities, contact details or product facts.',
+  'Answer product questions only from search_knowledge passages and cite them with their [n] markers.',
+  'Before creating an opportunity, find the contact with search_contacts and confirm the deal name and value with the user unless they already gave them.',
+  'Keep answers short and plain.'
+].join(' ');
+
+function chatError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Inventory items trimmed to what the model needs
+function itemSummary(item) {
+  return {
+    sku: item.sku,
+    name: item.name,
+    category: item.category,
+    quantity: item.quantity,
+    available_quantity: item.available_quantity,
+    reserved_quantity: item.reserved_quantity,
+    expired_quantity: item.expired_quantity,
+    unit: item.unit,
+    reorder_point: item.reorder_point,
+    stock_status: item.stock_status,
+    location: item.location,
+    next_expiry: item.lots && item.lots[0] ? item.lots[0].expiry_date || null : null
+  };
+}
+
+function unwrap(result) {
+  if (!result.success) {
+    throw chatError(result.status === 404 ? 404 : 502, result.error);
+  }
+  return result.data;
+}
+
+const TOOLS = [
+  {
+    name: 'check_inventory',
+    description: 'Current stock for one SKU, or for every item (optionally in one category). Returns quantity, available quantity after reservations and expired lots, and stock status.',
+    scopes: ['inventory:read'],
+    parameters: {
+      type: 'object',
+      properties: {
+        sku: { type: 'string', description: 'Exact SKU, e.g. FBS-001' },
+        category: { type: 'string', description: 'Category filter when no SKU is given, e.g. FBS, MEDIA' }
+      }
+    },
+    async run({ sku, category }) {
+      if (sku) {
+        const item = await inventoryStore.getItem(sku);
+        return item ? { found: true, item: itemSummary(item) } : { found: false, sku };
+      }
+      const items = await inventoryStore.listItems({ category });
+      return { count: items.length, items: items.map(itemSummary) };
+    }
+  },
+  {
+    name: 'low_stock_report',
+    description: 'Items at or below their reorder point.',
+    scopes: ['inventory:read'],
+    parameters: { type: 'object', properties: {} },
+    async run() {
+      const items = await inventoryStore.listItems();
+      const low = items.filter(i => i.needs_reorder || i.stock_status === 'LOW');
+      return { count: low.length, items: low.map(itemSummary) };
+    }
+  },
+  {
+    name: 'search_contacts',
+    description: 'Search CRM contacts by name, email, phone or company.',
+    scopes: ['ghl:read'],
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        limit: { type: 'integer', minimum: 1, maximum: 25, default: 10 }
+      },
+      required: ['query']
+    },
+    async run({ query, limit = 10 }) {
+      const contacts = unwrap(await ghl.collectGHL('/contacts/', {
+        itemsKey: 'contacts',
+        query: { locationId: locationId(), query },
+        limit: Math.min(Math.max(parseInt(limit) || 10, 1), 25)
+      }));
+      return {
+        count: contacts.length,
+        contacts: contacts.map(c => ({
+          id: c.id,
+          name: [c.firstName, c.lastName].filter(Boolean).join(' ') || c.contactName || null,
+          email: c.email || null,
+          phone: c.phone || null,
+          company: c.companyName || null,
+          tags: c.tags || []
+        }))
+      };
+    }
+  },
+  {
+    name: 'create_opportunity',
+    description: 'Create a deal for a contact. Use the contact id from search_contacts. The stage can be given by name; the first pipeline and stage are used otherwise.',
+    scopes: ['ghl:write'],
+    parameters: {
+      type: 'object',
+      properties: {
+        contactId: { type: 'string' },
+        name: { type: 'string', description: 'Deal name, e.g. "FBS-001 x20 - Acme Labs"' },
+        monetaryValue: { type: 'number' },
+        pipelineId: { type: 'string' },
+        stageName: { type: 'string' },
+        source: { type: 'string' }
+      },
+      required: ['contactId', 'name']
+    },
+    async run(args) {
+      const opportunity = unwrap(await ghl.createOpportunity({ source: 'chat-assistant', ...args }));
+      return {
+        created: true,
+        id: opportunity.id,
+        name: opportunity.name,
+        status: opportunity.status,
+        monetaryValue: opportunity.monetaryValue,
+        pipelineId: opportunity.pipelineId,
+        pipelineStageId: opportunity.pipelineStageId
+      };
+    }
+  },
+  {
+    name: 'search_knowledge',
+    description: 'Search product documents (datasheets, protocols, certificates of analysis) for passages answering a question.',
+    scopes: ['knowledge:read'],
+    parameters: {
+      type: 'object',
+      properties: {
+        question: { type: 'string' },
+        sku: { type: 'string' },
+        doc_type: { type: 'string' }
+      },
+      required: ['question']
+    },
+    async run({ question, sku, doc_type: docType }) {
+      const result = await knowledge.queryKnowledge({ question, sku, docType, topK: 5 });
+      return {
+        passages: result.passages.map(p => ({ citation: p.citation, score: p.score, text: p.text })),
+        citations: result.citations.map(c => ({ ref: c.ref, title: c.title, url: c.url }))
+      };
+    }
+  }
+];
+
+function availableTools(principal) {
+  return TOOLS.filter(tool => tool.scopes.every(scope => principal.scopes.includes(scope)));
+}
+
+// Run one tool call; failures go back to the model as an error result, not a 500
+async function runTool(tools, call) {
+  const tool = tools.find(t => t.name === call.name);
+  const started = Date.now();
+  let output;
+  let ok = true;
+
+  try {
+    if (!tool) {
+      throw chatError(400, `Unknown tool: ${call.name}`);
+    }
+    if (call.arguments && call.arguments._invalid_json !== undefined) {
+      throw chatError(400, 'Tool arguments were not valid JSON');
+    }
+    output = await tool.run(call.arguments || {});
+  } catch (error) {
+    if (!error.statusCode) {
+      log.error(`Chat tool ${call.name} failed`, error);
+    }
+    ok = false;
+    output = { error: error.message };
+  }
+
+  let content = JSON.stringify(output);
+  if (content.length > MAX_TOOL_RESULT_CHARS) {
+    content = `${content.slice(0, MAX_TOOL_RESULT_CHARS)}... [truncated]`;
+  }
+  return {
+    message: { role: 'tool', tool_call_id: call.id, name: call.name, content, is_error: !ok },
+    trace: { name: call.name, arguments: call.arguments, ok, duration_ms: Date.now() - started }
+  };
+}
+
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw chatError(400, 'messages must be a non-empty array');
+  }
+  if (messages.length > MAX_MESSAGES) {
+    throw chatError(400, `At most ${MAX_MESSAGES} messages per request`);
+  }
+  messages.forEach((message, i) => {
+    if (!message || !['user', 'assistant', 'tool'].includes(message.role)) {
+      throw chatError(400, `messages[${i}].role must be user, assistant or tool`);
+    }
+    if (message.role !== 'tool' && message.content !== undefined && message.content !== null && typeof message.content !== 'string') {
+      throw chatError(400, `messages[${i}].content must be a string`);
+    }
+    if (message.role === 'tool' && (!message.tool_call_id || typeof message.content !== 'string')) {
+      throw chatError(400, `messages[${i}]: tool messages need tool_call_id and string content`);
+    }
+  });
+  if (messages[messages.length - 1].role !== 'user') {
+    throw chatError(400, 'The last message must be from the user');
+  }
+}
+
+// Run the agent loop. Resolves with the reply plus the new messages (assistant
+// turns and tool results) for the client to send back on the next turn.
+// With `onEvent(event, data)` the model's answer is streamed: 'start' once the
+// request is valid, then 'token', 'tool_call' and 'tool_result' as they happen.
+// Aborting `signal` stops the loop and the model call in flight.
+async function runChat({ messages, provider: providerName, model, system, maxSteps, principal, onEvent, signal }) {
+  validateMessages(messages);
+  const provider = getProvider(providerName);
+  const steps = maxSteps === undefined ? DEFAULT_MAX_STEPS : parseInt(maxSteps);
+  if (!Number.isInteger(steps) || steps < 1 || steps > MAX_STEPS) {
+    throw chatError(400, `max_steps must be between 1 and ${MAX_STEPS}`);
+  }
+  if (system !== undefined && typeof system !== 'string') {
+    throw chatError(400, 'system must be a string');
+  }
+
+  const tools = availableTools(principal);
+  const conversation = messages.map(m => ({ ...m }));
+  const added = [];
+  const toolCalls = [];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const prompt = system ? `${SYSTEM_PROMPT}\n\n${system}` : SYSTEM_PROMPT;
+  const chosenModel = model || provider.defaultModel();
+  const emit = onEvent || (() => {});
+  let completion;
+  let step = 0;
+
+  emit('start', { provider: provider.name, model: chosenModel, tools_available: tools.map(t => t.name) });
+
+  while (step < steps) {
+    if (signal && signal.aborted) {
+      throw abortError();
+    }
+    step++;
+    completion = await provider.complete({
+      model: chosenModel,
+      system: prompt,
+      messages: conversation,
+      // On the last step the model must answer with what it has
+      tools: step < steps ? tools : [],
+      onText: onEvent ? text => emit('token', { text }) : undefined,
+      signal
+    });
+    usage.input_tokens += completion.usage.input_tokens;
+    usage.output_tokens += completion.usage.output_tokens;
+
+    const assistant = { role: 'assistant', content: completion.text };
+    if (completion.tool_calls.length > 0) {
+      assistant.tool_calls = completion.tool_calls;
+    }
+    conversation.push(assistant);
+    added.push(assistant);
+
+    if (completion.tool_calls.length === 0) {
+      break;
+    }
+
+    for (const call of completion.tool_calls) {
+      emit('tool_call', { id: call.id, name: call.name, arguments: call.arguments });
+      const { message, trace } = await runTool(tools, call);
+      emit('tool_result', { id: call.id, ...trace, content: message.content });
+      conversation.push(message);
+      added.push(message);
+      toolCalls.push(trace);
+    }
+  }
+
+  return {
+    provider: provider.name,
+    model: completion.model,
+    reply: completion.text,
+    stop_reason: completion.stop_reason,
+    steps: step,
+    tool_calls: toolCalls,
+    messages: added,
+    tools_available: tools.map(t => t.name),
+    usage
+  };
+}
+
+module.exports = {
+  TOOL_NAMES: TOOLS.map(tool => tool.name),
+  runChat
+};
@@ -0,0 +1,174 @@
+// diagnostics.js
+// Aggregate integration checks and the liveness / readiness probes.
+//
+// Checks are the /api/test/:service functions, registered by the server as
+//   { name: { run: async () => ({ success, data?, error? }), configured: () => boolean } }
+// runChecks() runs them in parallel, each against its own time limit, and
+// rolls the results up into one status:
+//   healthy    every configured check passed
+//   degraded   an optional integration failed
+//   unhealthy  an integration listed in REQUIRED_INTEGRATIONS failed or is not configured
+//
+// /health/live only says the process is responsive. /health/ready runs the
+// required checks (cached for READINESS_CACHE_MS, so a probe every few seconds
+// does not hammer the upstreams) plus the local data directory.
+const fs = require('fs');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { DATA_DIR } = require('./file-store');
+
+const CHECK_TIMEOUT_MS = parseInt(process.env.CHECK_TIMEOUT_MS || '8000');
+const MAX_CHECK_TIMEOUT_MS = 30000;
+const READINESS_CACHE_MS = parseInt(process.env.READINESS_CACHE_MS || '30000');
+
+const loopDelay = monitorEventLoopDelay({ resolution: 20 });
+loopDelay.enable();
+
+let readinessCache = null;
+
+function requiredServices() {
+  return (process.env.REQUIRED_INTEGRATIONS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function diagnosticsError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Own entries only, so a service named e.g. 'constructor' is unknown rather than Object's
+function findCheck(checks, name) {
+  return Object.prototype.hasOwnProperty.call(checks, name) ? checks[name] : null;
+}
+
+// The check keeps running in the background after a timeout; only its answer is dropped
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ success: false, timed_out: true, error: `Timed out after ${ms}ms` }), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(check, timeoutMs) {
+  if (!check.configured()) {
+    return { status: 'not_configured', latency_ms: 0 };
+  }
+
+  const started = Date.now();
+  let result;
+  try {
+    result = await withTimeout(check.run(), timeoutMs);
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  const outcome = {
+    status: result.success ? 'ok' : result.timed_out ? 'timeout' : 'failed',
+    latency_ms: Date.now() - started
+  };
+  if (result.success && result.data !== undefined) outcome.data = result.data;
+  if (!result.success) outcome.error = result.error;
+  return outcome;
+}
+
+// Run `services` (default: all) in parallel and roll them up
+async function runChecks(checks, { services, timeoutMs } = {}) {
+  const names = services && services.length > 0 ? services : Object.keys(checks);
+  const unknown = names.filter(name => !findCheck(checks, name));
+  if (unknown.length > 0) {
+    throw diagnosticsError(400, `Unknown service(s): ${unknown.join(', ')} (use ${Object.keys(checks).join(', ')})`);
+  }
+  const limit = timeoutMs === undefined ? CHECK_TIMEOUT_MS : parseInt(timeoutMs);
+  if (!Number.isInteger(limit) || limit < 100 || limit > MAX_CHECK_TIMEOUT_MS) {
+    throw diagnosticsError(400, `timeout_ms must be between 100 and ${MAX_CHECK_TIMEOUT_MS}`);
+  }
+
+  const started = Date.now();
+  const outcomes = await Promise.all(names.map(name => runCheck(checks[name], limit)));
+  const results = Object.fromEntries(names.map((name, i) => [name, { ...outcomes[i], required: requiredServices().includes(name) }]));
+
+  const failing = names.filter(name => ['failed', 'timeout'].includes(results[name].status));
+  const requiredDown = names.filter(name => results[name].required && results[name].status !== 'ok');
+  const status = requiredDown.length > 0 ? 'unhealthy' : failing.length > 0 ? 'degraded' : 'healthy';
+
+  return {
+    status,
+    summary: {
+      ok: names.filter(name => results[name].status === 'ok').length,
+      failed: failing.length,
+      not_configured: names.filter(name => results[name].status === 'not_configured').length,
+      required_failing: requiredDown
+    },
+    services: results,
+    timeout_ms: limit,
+    duration_ms: Date.now() - started,
+    checked_at: new Date().toISOString()
+  };
+}
+
+function liveness() {
+  const memory = process.memoryUsage();
+  return {
+    status: 'alive',
+    uptime_s: Math.round(process.uptime()),
+    event_loop_delay_ms: {
+      mean: Math.round(loopDelay.mean / 1e6),
+      p99: Math.round(loopDelay.percentile(99) / 1e6),
+      max: Math.round(loopDelay.max / 1e6)
+    },
+    memory_mb: { rss: Math.round(memory.rss / 1048576), heap_used: Math.round(memory.heapUsed / 1048576) }
+  };
+}
+
+async function checkDataDir() {
+  try {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    await fs.promises.access(DATA_DIR, fs.constants.W_OK);
+    return { status: 'ok' };
+  } catch (error) {
+    return { status: 'failed', error: error.code || error.message };
+  }
+}
+
+// Ready when the data directory is writable and every required integration passes.
+// Probes are public, so only statuses and latencies are returned - no error text.
+async function readiness(checks) {
+  if (readinessCache && Date.now() - readinessCache.at < READINESS_CACHE_MS) {
+    return { ...readinessCache.result, cached: true };
+  }
+
+  const required = requiredServices().filter(name => findCheck(checks, name));
+  const [dataDir, report] = await Promise.all([
+    checkDataDir(),
+    required.length > 0 ? runChecks(checks, { services: required }) : Promise.resolve(null)
+  ]);
+
+  const services = {};
+  if (report) {
+    Object.entries(report.services).forEach(([name, outcome]) => {
+      services[name] = { status: outcome.status, latency_ms: outcome.latency_ms };
+    });
+  }
+  const ready = dataDir.status === 'ok' && (!report || report.status !== 'unhealthy');
+
+  const result = {
+    status: ready ? 'ready' : 'not_ready',
+    checks: { data_dir: { status: dataDir.status }, ...services },
+    required_integrations: required,
+    checked_at: new Date().toISOString()
+  };
+  readinessCache = { at: Date.now(), result };
+  return { ...result, cached: false };
+}
+
+module.exports = {
+  CHECK_TIMEOUT_MS,
+  requiredServices,
+  findCheck,
+  runChecks,
+  liveness,
+  readiness
+};
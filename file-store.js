@@ -0,0 +1,52 @@
+// file-store.js
+// Tiny JSON persistence helpers - no database required. Files live under
+// DATA_DIR (default ./data); point it at a Railway volume to survive deploys.
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+// Read and parse a JSON file, returning the fallback if it does not exist yet
+function readJsonFile(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+}
+
+// Pending write per file, so concurrent saves land in call order
+const writeQueues = new Map();
+
+// Write via a temp file + rename so a crash mid-write never leaves a truncated file
+function writeJsonFile(filePath, data) {
+  const contents = JSON.stringify(data, null, 2);
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+
+  const next = previous.catch(() => {}).then(async () => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmpPath, contents);
+    await fs.promises.rename(tmpPath, filePath);
+  });
+
+  writeQueues.set(filePath, next);
+  next.then(() => {
+    if (writeQueues.get(filePath) === next) writeQueues.delete(filePath);
+  }, () => {});
+  return next;
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJsonFile,
+  writeJsonFile
+};
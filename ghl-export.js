@@ -0,0 +1,151 @@
+// ghl-export.js
+// Streams every contact or opportunity in the location as NDJSON or CSV.
+// Records are written page by page as GHL returns them, so memory use stays
+// flat however large the location is.
+const { paginateGHL } = require('./ghl');
+const { locationId } = require('./tenants');
+const log = require('./logger');
+
+// Columns for CSV output; NDJSON carries the full records
+const EXPORTS = {
+  contacts: {
+    path: '/contacts/',
+    itemsKey: 'contacts',
+    query: filters => ({ locationId: locationId(), query: filters.search || undefined }),
+    columns: {
+      id: c => c.id,
+      firstName: c => c.firstName,
+      lastName: c => c.lastName,
+      email: c => c.email,
+      phone: c => c.phone,
+      companyName: c => c.companyName,
+      tags: c => (c.tags || []).join(';'),
+      source: c => c.source,
+      dateAdded: c => c.dateAdded
+    }
+  },
+  opportunities: {
+    path: '/opportunities/search',
+    itemsKey: 'opportunities',
+    query: filters => ({
+      location_id: locationId(),
+      status: filters.status && filters.status !== 'all' ? filters.status : undefined,
+      pipeline_id: filters.pipelineId || undefined
+    }),
+    columns: {
+      id: o => o.id,
+      name: o => o.name,
+      status: o => o.status,
+      monetaryValue: o => o.monetaryValue,
+      pipelineId: o => o.pipelineId,
+      pipelineStageId: o => o.pipelineStageId,
+      contactId: o => o.contactId || (o.contact && o.contact.id),
+      contactName: o => o.contact && o.contact.name,
+      contactEmail: o => o.contact && o.contact.email,
+      source: o => o.source,
+      assignedTo: o => o.assignedTo,
+      createdAt: o => o.createdAt,
+      updatedAt: o => o.updatedAt
+    }
+  }
+};
+
+const FORMATS = {
+  ndjson: 'application/x-ndjson',
+  csv: 'text/csv; charset=utf-8'
+};
+
+function exportError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// RFC 4180 quoting; cells that a spreadsheet would run as a formula are prefixed with '
+function csvCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// Resolve once the socket buffer has drained, or the client has gone
+function drained(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Write the export to `res`. The first page is fetched before any headers go
+// out, so configuration and auth errors still become a normal JSON error.
+async function streamExport(res, resource, { format = 'ndjson', ...filters } = {}) {
+  const spec = EXPORTS[resource];
+  if (!spec) {
+    throw exportError(404, `Unknown export: ${resource} (use ${Object.keys(EXPORTS).join(' or ')})`);
+  }
+  if (!FORMATS[format]) {
+    throw exportError(400, `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const pages = paginateGHL(spec.path, { itemsKey: spec.itemsKey, query: spec.query(filters) });
+  let page = await pages.next();
+
+  const columns = Object.keys(spec.columns);
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.writeHead(200, {
+    'Content-Type': FORMATS[format],
+    'Content-Disposition': `attachment; filename="${resource}-${stamp}.${format}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  if (format === 'csv') {
+    res.write(csvRow(columns));
+  }
+
+  let count = 0;
+  try {
+    while (!page.done && !res.destroyed) {
+      for (const record of page.value.items) {
+        const line = format === 'csv'
+          ? csvRow(columns.map(column => spec.columns[column](record)))
+          : JSON.stringify(record) + '\n';
+        count++;
+        if (!res.write(line)) {
+          await drained(res);
+        }
+      }
+      page = await pages.next();
+    }
+  } catch (error) {
+    // Headers are already sent; cutting the connection tells the client the export is incomplete
+    log.error(`GHL ${resource} export failed after ${count} records`, error);
+    res.destroy();
+    return count;
+  }
+
+  if (res.destroyed) {
+    await pages.return();
+    return count;
+  }
+  res.end();
+  return count;
+}
+
+module.exports = {
+  EXPORT_RESOURCES: Object.keys(EXPORTS),
+  streamExport
+};
@@ -0,0 +1,288 @@
+// ghl-oauth.js
+// OAuth 2.0 for the GHL marketplace app: the authorization-code install flow,
+// encrypted token storage per location, and refresh-token rotation.
+//
+// Tokens live in data/ghl-oauth-tokens.json sealed with AES-256-GCM under a key
+// derived from GHL_TOKEN_ENCRYPTION_KEY. The location id is bound in as
+// associated data, so a sealed record cannot be replayed for another location.
+//
+// GHL_OAUTH_AUTHORIZE_URL and GHL_OAUTH_TOKEN_URL default to the LeadConnector
+// endpoints; point them at a local stand-in authorization server to exercise
+// the whole flow without a marketplace app; the token URL may be plain http
+// when it points at this machine.
+const crypto = require('crypto');
+const { URL, URLSearchParams } = require('url');
+const { makeHttpsRequest } = require('./http-client');
+const { dataPath, readJsonFile, writeJsonFile } = require('./file-store');
+const log = require('./logger');
+
+const TOKENS_FILE = dataPath('ghl-oauth-tokens.json');
+const AUTHORIZE_URL = process.env.GHL_OAUTH_AUTHORIZE_URL || 'https://marketplace.gohighlevel.com/oauth/chooselocation';
+const TOKEN_URL = process.env.GHL_OAUTH_TOKEN_URL || 'https://services.leadconnectorhq.com/oauth/token';
+// Access tokens are refreshed this long before they expire
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+// How long an issued state value stays valid for the callback
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// location id -> { sealed, expires_at, scope, company_id, user_type, ... }
+const records = readJsonFile(TOKENS_FILE, {});
+const pendingStates = new Map();
+// location id -> in-flight refresh, so concurrent requests share one refresh
+const refreshing = new Map();
+let sealingKey = null;
+
+function oauthError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function isConfigured() {
+  return Boolean(process.env.GHL_CLIENT_ID && process.env.GHL_CLIENT_SECRET);
+}
+
+function canSeal() {
+  return Boolean(process.env.GHL_TOKEN_ENCRYPTION_KEY);
+}
+
+function encryptionKey() {
+  if (!process.env.GHL_TOKEN_ENCRYPTION_KEY) {
+    throw oauthError(503, 'GHL_TOKEN_ENCRYPTION_KEY not configured');
+  }
+  if (!sealingKey) {
+    sealingKey = crypto.scryptSync(process.env.GHL_TOKEN_ENCRYPTION_KEY, 'ghl-oauth-tokens', 32);
+  }
+  return sealingKey;
+}
+
+// Encrypt a JSON value bound to `context` (a location id here, a tenant id for
+// the tenant api keys), which must be given again to unseal it
+function seal(context, value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: ciphertext.toString('base64')
+  };
+}
+
+function unseal(context, sealed, what = 'GHL tokens') {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(sealed.iv, 'base64'));
+    decipher.setAAD(Buffer.from(context));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    if (error.statusCode) throw error;
+    throw oauthError(500, `Stored ${what} for ${context} cannot be decrypted (was GHL_TOKEN_ENCRYPTION_KEY changed?)`);
+  }
+}
+
+function defaultRedirectUri(serverUrl) {
+  return process.env.GHL_OAUTH_REDIRECT_URI || `${serverUrl}/oauth/ghl/callback`;
+}
+
+// Start an install: returns the consent-screen URL carrying a one-time state
+function buildAuthorizeUrl(serverUrl) {
+  if (!isConfigured()) {
+    throw oauthError(503, 'GHL_CLIENT_ID and GHL_CLIENT_SECRET must be configured for OAuth');
+  }
+  encryptionKey();
+
+  const now = Date.now();
+  pendingStates.forEach((pending, state) => {
+    if (pending.expires_at <= now) pendingStates.delete(state);
+  });
+
+  const state = crypto.randomBytes(16).toString('hex');
+  const redirectUri = defaultRedirectUri(serverUrl);
+  pendingStates.set(state, { redirect_uri: redirectUri, expires_at: now + STATE_TTL_MS });
+
+  const url = new URL(AUTHORIZE_URL);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', process.env.GHL_CLIENT_ID);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('state', state);
+  if (process.env.GHL_OAUTH_SCOPES) {
+    url.searchParams.set('scope', process.env.GHL_OAUTH_SCOPES);
+  }
+
+  return { url: url.toString(), state, expires_at: new Date(now + STATE_TTL_MS).toISOString() };
+}
+
+// The client secret only goes out in the clear to a stand-in on this machine
+function isLoopback(hostname) {
+  return /^(localhost|127(\.\d{1,3}){3}|\[::1\])$/.test(hostname);
+}
+
+// POST a grant to the token endpoint (form-encoded, as GHL expects)
+async function requestToken(grant) {
+  const url = new URL(TOKEN_URL);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLoopback(url.hostname))) {
+    throw oauthError(503, 'GHL_OAUTH_TOKEN_URL must be https, or http on a loopback host');
+  }
+  const body = new URLSearchParams({
+    client_id: process.env.GHL_CLIENT_ID,
+    client_secret: process.env.GHL_CLIENT_SECRET,
+    ...grant
+  }).toString();
+
+  const response = await makeHttpsRequest({
+    protocol: url.protocol,
+    hostname: url.hostname.replace(/^\[|\]$/g, ''),
+    port: url.port || undefined,
+    path: url.pathname + url.search,
+    method: 'POST',
+    upstream: 'ghl-oauth',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Accept': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    },
+    body,
+    timeout: 15000
+  });
+
+  if (response.status < 200 || response.status >= 300 || !response.data.access_token) {
+    const reason = response.data && (response.data.error_description || response.data.error || response.data.message);
+    const error = oauthError(502, `GHL token endpoint returned ${response.status}${reason ? `: ${reason}` : ''}`);
+    error.status = response.status;
+    error.oauthError = response.data && response.data.error;
+    throw error;
+  }
+  return response.data;
+}
+
+async function saveTokens(locationId, token, previous = {}) {
+  const expiresIn = parseInt(token.expires_in) || 86400;
+  records[locationId] = {
+    location_id: locationId,
+    company_id: token.companyId || previous.company_id || null,
+    user_type: token.userType || previous.user_type || 'Location',
+    scope: token.scope || previous.scope || null,
+    expires_at: new Date(Date.now() + expiresIn * 1000).toISOString(),
+    connected_at: previous.connected_at || new Date().toISOString(),
+    refreshed_at: previous.connected_at ? new Date().toISOString() : null,
+    needs_reauthorization: false,
+    sealed: seal(locationId, { access_token: token.access_token, refresh_token: token.refresh_token })
+  };
+  await writeJsonFile(TOKENS_FILE, records);
+  return records[locationId];
+}
+
+// Callback: check the state, exchange the code and store the location's tokens
+async function completeAuthorization({ code, state, error, error_description: errorDescription }) {
+  if (error) {
+    throw oauthError(400, `GHL authorization was not granted: ${errorDescription || error}`);
+  }
+  const pending = state && pendingStates.get(state);
+  if (!pending || pending.expires_at <= Date.now()) {
+    throw oauthError(400, 'Unknown or expired OAuth state - start again from /oauth/ghl/authorize');
+  }
+  pendingStates.delete(state);
+  if (!code) {
+    throw oauthError(400, 'code is required');
+  }
+
+  const token = await requestToken({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: pending.redirect_uri,
+    user_type: 'Location'
+  });
+
+  if (!token.locationId) {
+    throw oauthError(400, 'Agency-level installs are not supported - install the app on a sub-account');
+  }
+
+  const record = await saveTokens(token.locationId, token, records[token.locationId]);
+  log.info(`GHL OAuth connected for location ${token.locationId}`);
+  return describeConnection(record.location_id);
+}
+
+async function refreshTokens(locationId) {
+  const record = records[locationId];
+  const { refresh_token: refreshToken } = unseal(locationId, record.sealed);
+
+  try {
+    const token = await requestToken({
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      user_type: record.user_type
+    });
+    // GHL rotates refresh tokens - the old one is dead once this succeeds
+    const updated = await saveTokens(locationId, token, record);
+    log.info(`GHL OAuth token refreshed for location ${locationId} (expires ${updated.expires_at})`);
+    return token.access_token;
+  } catch (error) {
+    if (error.status === 400 || error.status === 401) {
+      record.needs_reauthorization = true;
+      await writeJsonFile(TOKENS_FILE, records);
+      log.error(`GHL OAuth refresh rejected for location ${locationId}`, error);
+      throw oauthError(401, `GHL authorization for location ${locationId} has expired or been revoked - reconnect via /oauth/ghl/authorize`);
+    }
+    throw error;
+  }
+}
+
+// Access token for a location, refreshed when close to expiry. Pass `rejected`
+// (a token GHL just answered 401 to) to force a refresh unless another request
+// has already replaced it. Resolves null when the location is not connected.
+async function accessToken(locationId, { rejected } = {}) {
+  const record = records[locationId];
+  if (!record) {
+    return null;
+  }
+  if (record.needs_reauthorization) {
+    throw oauthError(401, `GHL authorization for location ${locationId} has expired or been revoked - reconnect via /oauth/ghl/authorize`);
+  }
+
+  if (!refreshing.has(locationId)) {
+    const { access_token: current } = unseal(locationId, record.sealed);
+    const fresh = Date.parse(record.expires_at) - REFRESH_MARGIN_MS > Date.now();
+    if (fresh && current !== rejected) {
+      return current;
+    }
+
+    const refresh = refreshTokens(locationId);
+    refreshing.set(locationId, refresh);
+    refresh.then(() => refreshing.delete(locationId), () => refreshing.delete(locationId));
+  }
+  return refreshing.get(locationId);
+}
+
+// Connection status without any token material
+function describeConnection(locationId) {
+  const record = records[locationId];
+  if (!record) {
+    return null;
+  }
+  const { sealed: _sealed, ...info } = record;
+  return info;
+}
+
+async function disconnect(locationId) {
+  const info = describeConnection(locationId);
+  if (!info) {
+    throw oauthError(404, `No OAuth connection for location ${locationId}`);
+  }
+  delete records[locationId];
+  await writeJsonFile(TOKENS_FILE, records);
+  return info;
+}
+
+module.exports = {
+  isConfigured,
+  canSeal,
+  seal,
+  unseal,
+  buildAuthorizeUrl,
+  completeAuthorization,
+  accessToken,
+  describeConnection,
+  disconnect
+};
@@ -0,0 +1,182 @@
+// ghl-webhooks.js
+// Receiver for GoHighLevel webhook events (ContactCreate, OpportunityStatusUpdate,
+// TaskCreate, ...). GHL signs each delivery with its RSA key; the signature in
+// the x-wh-signature header is checked against GHL_WEBHOOK_PUBLIC_KEY.
+//
+// Every accepted event is appended to data/ghl-events.jsonl together with the
+// outcome of each handler. Handlers are registered per event type with
+// registerHandler(); '*' receives every event.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath } = require('./file-store');
+const tenants = require('./tenants');
+const log = require('./logger');
+
+const EVENTS_FILE = dataPath('ghl-events.jsonl');
+const MAX_RECENT_EVENTS = 1000;
+
+const handlers = [];
+let recentEvents = null;
+
+function webhookError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Register `fn(event)` for one or more event types ('*' for all). The value it
+// resolves to is stored with the event in the log.
+function registerHandler(types, name, fn) {
+  handlers.push({ types: [].concat(types), name, fn });
+}
+
+// Env vars often carry PEM keys with literal \n sequences
+function publicKey() {
+  const key = process.env.GHL_WEBHOOK_PUBLIC_KEY;
+  return key ? key.replace(/\\n/g, '\n') : null;
+}
+
+function verifySignature(rawBody, signature) {
+  const key = publicKey();
+  if (!key) {
+    throw webhookError(503, 'GHL_WEBHOOK_PUBLIC_KEY not configured');
+  }
+  if (!signature) {
+    return false;
+  }
+
+  try {
+    const verifier = crypto.createVerify('sha256');
+    verifier.update(rawBody);
+    verifier.end();
+    return verifier.verify(key, String(signature), 'base64');
+  } catch (error) {
+    log.error('GHL webhook signature check failed', error);
+    return false;
+  }
+}
+
+// The last MAX_RECENT_EVENTS events, loaded from the log on first use
+function loadRecentEvents() {
+  if (recentEvents) {
+    return recentEvents;
+  }
+
+  try {
+    recentEvents = fs.readFileSync(EVENTS_FILE, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .slice(-MAX_RECENT_EVENTS);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Failed to read ${EVENTS_FILE}: ${error.message}`);
+    }
+    recentEvents = [];
+  }
+  return recentEvents;
+}
+
+async function appendEvent(event) {
+  await fs.promises.mkdir(path.dirname(EVENTS_FILE), { recursive: true });
+  await fs.promises.appendFile(EVENTS_FILE, JSON.stringify(event) + '\n');
+
+  const events = loadRecentEvents();
+  events.push(event);
+  if (events.length > MAX_RECENT_EVENTS) {
+    events.splice(0, events.length - MAX_RECENT_EVENTS);
+  }
+}
+
+// Run every matching handler; one failing handler does not stop the others.
+// Handlers run scoped to the location the event came from; events from a
+// location no tenant is registered for are logged but not handled.
+async function dispatch(event) {
+  const tenant = tenants.tenantForLocation(event.location_id);
+  const outcomes = [];
+
+  if (!tenant) {
+    event.ignored = `No tenant registered for GHL location ${event.location_id || '(none)'}`;
+    log.warn('GHL webhook from an unknown location ignored', { event_id: event.id, type: event.type, location_id: event.location_id });
+    return outcomes;
+  }
+
+  for (const handler of handlers) {
+    if (!handler.types.includes('*') && !handler.types.includes(event.type)) {
+      continue;
+    }
+
+    try {
+      const result = await tenants.withTenant(tenant, () => handler.fn(event));
+      outcomes.push({ handler: handler.name, ok: true, result: result === undefined ? null : result });
+    } catch (error) {
+      log.error(`GHL webhook handler ${handler.name} failed for ${event.type}`, error);
+      outcomes.push({ handler: handler.name, ok: false, error: error.message });
+    }
+  }
+
+  return outcomes;
+}
+
+// One delivery at a time so duplicate checks and the log stay consistent
+let queue = Promise.resolve();
+
+function withLock(fn) {
+  const next = queue.catch(() => {}).then(fn);
+  queue = next;
+  return next;
+}
+
+// Entry point for POST /api/webhooks/ghl
+async function handleGhlWebhook(rawBody, headers) {
+  if (!verifySignature(rawBody, headers['x-wh-signature'])) {
+    throw webhookError(401, 'Invalid webhook signature');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw webhookError(400, `Invalid JSON body: ${error.message}`);
+  }
+  if (!payload || !payload.type) {
+    throw webhookError(400, 'Event payload has no type');
+  }
+
+  // GHL retries with the same webhookId; fall back to a hash of the body
+  const id = payload.webhookId || crypto.createHash('sha256').update(rawBody).digest('hex').slice(0, 32);
+
+  return withLock(async () => {
+    if (loadRecentEvents().some(event => event.id === id)) {
+      return { id, type: payload.type, duplicate: true };
+    }
+
+    const event = {
+      id,
+      type: payload.type,
+      location_id: payload.locationId || null,
+      received_at: new Date().toISOString(),
+      payload
+    };
+    event.handlers = await dispatch(event);
+    await appendEvent(event);
+
+    return { id, type: event.type, handlers: event.handlers, ...(event.ignored ? { ignored: event.ignored } : {}) };
+  });
+}
+
+// Newest first, optionally filtered by type
+function listEvents({ type, limit = 50 } = {}) {
+  let events = loadRecentEvents();
+  if (type) {
+    events = events.filter(event => event.type === type);
+  }
+  return events.slice().reverse().slice(0, limit);
+}
+
+module.exports = {
+  registerHandler,
+  handleGhlWebhook,
+  listEvents
+};
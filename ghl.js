@@ -0,0 +1,667 @@
+// ghl.js
+// GoHighLevel (LeadConnector) API helpers
+const { URL } = require('url');
+const { makeHttpsRequest, upstreamErrorMessage } = require('./http-client');
+const { currentTenant, tenantApiKey, locationId } = require('./tenants');
+const ghlOAuth = require('./ghl-oauth');
+
+// GoHighLevel API request helper - authenticates as the current tenant's location,
+// with its OAuth token once the location is connected, else its static API key
+async function makeGHLRequest(path, options = {}) {
+  const tenant = currentTenant();
+  
+  if (!tenant || !tenant.location_id) {
+    throw new Error('GHL_LOCATION_ID not configured');
+  }
+  
+  const oauthToken = await ghlOAuth.accessToken(tenant.location_id);
+  const apiKey = oauthToken ? null : tenantApiKey(tenant);
+  if (!oauthToken && !apiKey) {
+    throw new Error('GHL_API_KEY not configured');
+  }
+  
+  const baseUrl = process.env.GHL_BASE_URL || 'https://services.leadconnectorhq.com';
+  const url = new URL(`${baseUrl}${path}`);
+  
+  // Add query params if provided
+  if (options.query) {
+    Object.entries(options.query).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        url.searchParams.append(key, value);
+      }
+    });
+  }
+  
+  const send = token => makeHttpsRequest({
+    hostname: url.hostname,
+    path: url.pathname + url.search,
+    method: options.method || 'GET',
+    upstream: 'ghl',
+    idempotent: options.idempotent,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Version': '2021-07-28',
+      'Accept': 'application/json',
+      'Content-Type': 'application/json',
+      ...options.headers
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+    timeout: 15000
+  });
+  
+  try {
+    let response = await send(oauthToken || apiKey);
+    
+    // A 401 on an OAuth token means it was revoked or expired early - refresh once and retry
+    if (response.status === 401 && oauthToken) {
+      response = await send(await ghlOAuth.accessToken(tenant.location_id, { rejected: oauthToken }));
+    }
+    
+    if (response.status >= 200 && response.status < 300) {
+      return { success: true, data: response.data };
+    } else {
+      return {
+        success: false,
+        error: `GHL API error: ${response.status}`,
+        status: response.status,
+        details: upstreamErrorMessage(response.data) || undefined
+      };
+    }
+  } catch (error) {
+    if (error.statusCode === 401) {
+      throw error;
+    }
+    return {
+      success: false,
+      error: `GHL request failed: ${error.message}`
+    };
+  }
+}
+
+// Whether the current tenant has a location and a way to authenticate for it
+function isConfigured() {
+  const tenant = currentTenant();
+  return Boolean(tenant && tenant.location_id && (tenant.api_key || ghlOAuth.describeConnection(tenant.location_id)));
+}
+
+// Find a contact by email (or phone), creating it when GHL has no match.
+// Resolves to makeGHLRequest's envelope with `created` set on success.
+async function ensureContact({ email, phone, firstName, lastName, tags = [], source }) {
+  if (!email && !phone) {
+    return { success: false, error: 'Either email or phone is required' };
+  }
+
+  const existing = await makeGHLRequest('/contacts/search/duplicate', {
+    query: { locationId: locationId(), email, number: phone }
+  });
+  if (!existing.success) {
+    return existing;
+  }
+  if (existing.data.contact) {
+    return { success: true, data: existing.data.contact, created: false };
+  }
+
+  const result = await makeGHLRequest('/contacts/', {
+    method: 'POST',
+    body: {
+      locationId: locationId(),
+      firstName: firstName || '',
+      lastName: lastName || '',
+      email,
+      phone,
+      tags,
+      source
+    }
+  });
+  if (!result.success) {
+    return result;
+  }
+  return { success: true, data: result.data.contact || result.data, created: true };
+}
+
+function ghlError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// GHL's largest page size for list endpoints
+const GHL_PAGE_SIZE = 100;
+
+// Opaque cursor handed to API clients: the startAfter / startAfterId pair GHL
+// returns in the response meta
+function encodeCursor(cursor) {
+  return cursor ? Buffer.from(JSON.stringify(cursor)).toString('base64') : null;
+}
+
+function decodeCursor(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64').toString('utf8'));
+    if (!cursor || !cursor.startAfterId) throw new Error('missing startAfterId');
+    return { startAfter: cursor.startAfter, startAfterId: cursor.startAfterId };
+  } catch (error) {
+    throw ghlError(400, 'Invalid cursor');
+  }
+}
+
+// Walk a cursor-paginated GHL list endpoint (contacts, opportunity search),
+// yielding one page at a time: { items, cursor, total }. `cursor` is where the
+// next page starts, null on the last page. Stops after `limit` records; page
+// sizes are chosen so a limit never splits a page, keeping cursors exact.
+// A failed request throws with the upstream status and details attached.
+async function* paginateGHL(path, { query = {}, itemsKey, limit = Infinity, cursor = null } = {}) {
+  let next = cursor;
+  let remaining = limit;
+
+  while (remaining > 0) {
+    const pageSize = Math.min(GHL_PAGE_SIZE, remaining);
+    const result = await makeGHLRequest(path, { query: { ...query, limit: pageSize, ...(next || {}) } });
+    if (!result.success) {
+      throw Object.assign(ghlError(502, result.error), { status: result.status, details: result.details });
+    }
+
+    const items = result.data[itemsKey] || [];
+    const meta = result.data.meta || {};
+    remaining -= items.length;
+    next = items.length === pageSize && meta.startAfterId
+      ? { startAfter: meta.startAfter, startAfterId: meta.startAfterId }
+      : null;
+
+    yield { items, cursor: next, total: meta.total };
+    if (!next) {
+      return;
+    }
+  }
+}
+
+// Up to `limit` records (default: all) in makeGHLRequest's envelope, with the
+// cursor to continue from and GHL's total when it reports one
+async function collectGHL(path, options) {
+  const data = [];
+  let cursor = null;
+  let total;
+
+  try {
+    for await (const page of paginateGHL(path, options)) {
+      data.push(...page.items);
+      cursor = page.cursor;
+      total = page.total;
+    }
+  } catch (error) {
+    // A location that needs reconnecting is the caller's problem, not an upstream failure
+    if (error.statusCode === 401) {
+      throw error;
+    }
+    return { success: false, error: error.message, status: error.status, details: error.details };
+  }
+
+  return { success: true, data, next_cursor: encodeCursor(cursor), total };
+}
+
+// Contact fields the API lets callers write; anything else in a body is ignored
+const CONTACT_FIELDS = [
+  'firstName', 'lastName', 'name', 'email', 'phone', 'companyName', 'website',
+  'address1', 'city', 'state', 'postalCode', 'country', 'timezone', 'source', 'dnd', 'tags'
+];
+
+// Accepts { fieldIdOrKey: value } or [{ id | key, value }] and returns GHL's
+// customFields array. Keys that are not GHL ids are sent as keys
+// (e.g. "contact.lab_size").
+function toGHLCustomFields(input) {
+  const entries = Array.isArray(input)
+    ? input.map(f => [f.id || f.key, f.value !== undefined ? f.value : f.field_value])
+    : Object.entries(input || {});
+
+  return entries
+    .filter(([ref]) => ref)
+    .map(([ref, value]) => (String(ref).includes('.') ? { key: ref, field_value: value } : { id: ref, field_value: value }));
+}
+
+function pickContactFields(fields) {
+  const contact = {};
+  CONTACT_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      contact[field] = fields[field];
+    }
+  });
+  if (fields.customFields !== undefined) {
+    contact.customFields = toGHLCustomFields(fields.customFields);
+  }
+  return contact;
+}
+
+// Run a request and unwrap one property of the response body
+async function ghlCall(path, options, unwrap) {
+  const result = await makeGHLRequest(path, options);
+  if (!result.success || !unwrap) {
+    return result;
+  }
+  return { success: true, data: result.data[unwrap] !== undefined ? result.data[unwrap] : result.data };
+}
+
+function getContact(id) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}`, {}, 'contact');
+}
+
+function updateContact(id, fields) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}`, { method: 'PUT', body: pickContactFields(fields) }, 'contact');
+}
+
+function deleteContact(id) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
+
+function addContactTags(id, tags) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}/tags`, { method: 'POST', body: { tags } }, 'tags');
+}
+
+function removeContactTags(id, tags) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}/tags`, { method: 'DELETE', body: { tags } }, 'tags');
+}
+
+function listContactNotes(id) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}/notes`, {}, 'notes');
+}
+
+function createContactNote(id, body, userId) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}/notes`, { method: 'POST', body: { body, userId } }, 'note');
+}
+
+function updateContactNote(id, noteId, body, userId) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}/notes/${encodeURIComponent(noteId)}`, { method: 'PUT', body: { body, userId } }, 'note');
+}
+
+function deleteContactNote(id, noteId) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}/notes/${encodeURIComponent(noteId)}`, { method: 'DELETE' });
+}
+
+// Contact custom field definitions for the location (ids, keys, data types)
+function listContactCustomFields() {
+  return ghlCall(`/locations/${locationId()}/customFields`, { query: { model: 'contact' } }, 'customFields');
+}
+
+const OPPORTUNITY_STATUSES = ['open', 'won', 'lost', 'abandoned'];
+// Pipelines with their stages in board order
+async function listPipelines() {
+  const result = await ghlCall('/opportunities/pipelines', { query: { locationId: locationId() } }, 'pipelines');
+  if (!result.success) {
+    return result;
+  }
+  const pipelines = (result.data || []).map(pipeline => ({
+    ...pipeline,
+    stages: (pipeline.stages || []).slice().sort((a, b) => (a.position || 0) - (b.position || 0))
+  }));
+  return { success: true, data: pipelines };
+}
+
+// Find the pipeline and stage a request refers to. A stage can be given by id
+// (unique across pipelines) or by name within `pipelineId`; with neither,
+// the pipeline's first stage is used.
+function resolveStage(pipelines, { pipelineId, pipelineStageId, stageName }) {
+  if (pipelineStageId) {
+    const pipeline = pipelines.find(p => p.stages.some(stage => stage.id === pipelineStageId));
+    if (!pipeline || (pipelineId && pipeline.id !== pipelineId)) {
+      throw ghlError(400, `Unknown pipelineStageId ${pipelineStageId}${pipelineId ? ` in pipeline ${pipelineId}` : ''}`);
+    }
+    return { pipeline, stage: pipeline.stages.find(stage => stage.id === pipelineStageId) };
+  }
+
+  const pipeline = pipelines.find(p => p.id === pipelineId);
+  if (!pipeline) {
+    throw ghlError(400, pipelineId ? `Unknown pipelineId ${pipelineId}` : 'pipelineId or pipelineStageId is required');
+  }
+  if (stageName) {
+    const stage = pipeline.stages.find(s => s.name.toLowerCase() === String(stageName).toLowerCase());
+    if (!stage) {
+      throw ghlError(400, `Pipeline ${pipeline.name} has no stage named "${stageName}"`);
+    }
+    return { pipeline, stage };
+  }
+  if (pipeline.stages.length === 0) {
+    throw ghlError(400, `Pipeline ${pipeline.name} has no stages`);
+  }
+  return { pipeline, stage: pipeline.stages[0] };
+}
+
+async function loadPipelines() {
+  const result = await listPipelines();
+  if (!result.success) {
+    throw Object.assign(ghlError(502, result.error), { details: result.details });
+  }
+  return result.data;
+}
+
+function parseMonetaryValue(value) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || number < 0) {
+    throw ghlError(400, 'monetaryValue must be a non-negative number');
+  }
+  return number;
+}
+
+// Create a deal for a contact. Resolves to makeGHLRequest's envelope.
+async function createOpportunity(fields) {
+  if (!fields.contactId) {
+    throw ghlError(400, 'contactId is required');
+  }
+  if (!fields.name || typeof fields.name !== 'string') {
+    throw ghlError(400, 'name is required');
+  }
+  if (fields.status && !OPPORTUNITY_STATUSES.includes(fields.status)) {
+    throw ghlError(400, `status must be one of: ${OPPORTUNITY_STATUSES.join(', ')}`);
+  }
+
+  const value = fields.monetaryValue === undefined ? 0 : parseMonetaryValue(fields.monetaryValue);
+  const { pipeline, stage } = resolveStage(await loadPipelines(), fields);
+
+  return ghlCall('/opportunities/', {
+    method: 'POST',
+    body: {
+      locationId: locationId(),
+      contactId: fields.contactId,
+      name: fields.name,
+      pipelineId: pipeline.id,
+      pipelineStageId: stage.id,
+      status: fields.status || 'open',
+      monetaryValue: value,
+      source: fields.source,
+      assignedTo: fields.assignedTo
+    }
+  }, 'opportunity');
+}
+
+function getOpportunity(id) {
+  return ghlCall(`/opportunities/${encodeURIComponent(id)}`, {}, 'opportunity');
+}
+
+// Move a deal to another stage (of the same or another pipeline)
+async function moveOpportunityStage(id, { pipelineId, pipelineStageId, stageName }) {
+  if (!pipelineStageId && !stageName) {
+    throw ghlError(400, 'pipelineStageId or stageName is required');
+  }
+
+  // A stage name is looked up in the deal's current pipeline unless one is given
+  if (stageName && !pipelineId) {
+    const current = await getOpportunity(id);
+    if (!current.success) {
+      return current;
+    }
+    pipelineId = current.data.pipelineId;
+  }
+
+  const { pipeline, stage } = resolveStage(await loadPipelines(), { pipelineId, pipelineStageId, stageName });
+  return ghlCall(`/opportunities/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    body: { pipelineId: pipeline.id, pipelineStageId: stage.id }
+  }, 'opportunity');
+}
+
+// won / lost (or back to open / abandoned)
+async function setOpportunityStatus(id, status, lostReasonId) {
+  if (!OPPORTUNITY_STATUSES.includes(status)) {
+    throw ghlError(400, `status must be one of: ${OPPORTUNITY_STATUSES.join(', ')}`);
+  }
+  return ghlCall(`/opportunities/${encodeURIComponent(id)}/status`, {
+    method: 'PUT',
+    body: { status, lostReasonId }
+  });
+}
+
+// Count and total monetary value per stage of a pipeline
+async function pipelineRollup(pipelineId, { status = 'open' } = {}) {
+  if (status !== 'all' && !OPPORTUNITY_STATUSES.includes(status)) {
+    throw ghlError(400, `status must be one of: ${OPPORTUNITY_STATUSES.join(', ')}, all`);
+  }
+
+  const pipeline = (await loadPipelines()).find(p => p.id === pipelineId);
+  if (!pipeline) {
+    throw ghlError(404, `Pipeline not found: ${pipelineId}`);
+  }
+
+  const result = await collectGHL('/opportunities/search', {
+    itemsKey: 'opportunities',
+    query: {
+      location_id: locationId(),
+      pipeline_id: pipelineId,
+      status: status === 'all' ? undefined : status
+    }
+  });
+  if (!result.success) {
+    return result;
+  }
+
+  const stages = pipeline.stages.map(stage => ({ id: stage.id, name: stage.name, count: 0, total_value: 0 }));
+  const byId = new Map(stages.map(stage => [stage.id, stage]));
+
+  result.data.forEach(opportunity => {
+    const stage = byId.get(opportunity.pipelineStageId);
+    if (!stage) return;
+    stage.count++;
+    stage.total_value += Number(opportunity.monetaryValue) || 0;
+  });
+
+  return {
+    success: true,
+    data: {
+      pipeline: { id: pipeline.id, name: pipeline.name },
+      status,
+      stages,
+      totals: {
+        count: stages.reduce((sum, stage) => sum + stage.count, 0),
+        total_value: stages.reduce((sum, stage) => sum + stage.total_value, 0)
+      },
+      generated_at: new Date().toISOString()
+    }
+  };
+}
+
+const TASK_STATUSES = ['open', 'completed', 'all'];
+
+// Task search takes a skip offset rather than a cursor
+const TASK_SEARCH_PAGE_SIZE = 100;
+// Upper bound on one location-wide listing, in case skip is not honoured
+const TASK_SEARCH_MAX_PAGES = parseInt(process.env.GHL_TASK_SEARCH_MAX_PAGES || '50');
+
+function listContactTasks(id) {
+  return ghlCall(`/contacts/${encodeURIComponent(id)}/tasks`, {}, 'tasks');
+}
+
+function checkTaskStatus(status) {
+  if (!TASK_STATUSES.includes(status)) {
+    throw ghlError(400, `status must be one of: ${TASK_STATUSES.join(', ')}`);
+  }
+}
+
+// Tasks across the location from GHL's task search, which filters on status
+// and assignee itself; due-date filters are left to filterTasks. Paging stops
+// at TASK_SEARCH_MAX_PAGES, or early when a page brings no task not seen yet.
+async function listLocationTasks({ status = 'open', assignedTo } = {}) {
+  checkTaskStatus(status);
+  const path = `/locations/${encodeURIComponent(locationId())}/tasks/search`;
+  const tasks = [];
+  const seen = new Set();
+
+  for (let page = 0; page < TASK_SEARCH_MAX_PAGES; page++) {
+    const result = await makeGHLRequest(path, {
+      method: 'POST',
+      // A search changes nothing, so it is as safe to retry as a GET
+      idempotent: true,
+      body: {
+        completed: status === 'all' ? undefined : status === 'completed',
+        assignedTo: assignedTo ? [assignedTo] : undefined,
+        limit: TASK_SEARCH_PAGE_SIZE,
+        skip: page * TASK_SEARCH_PAGE_SIZE
+      }
+    });
+    if (!result.success) {
+      return result;
+    }
+
+    const found = result.data.tasks || [];
+    const fresh = found
+      .map(({ _id, contactDetails, ...task }) => {
+        const contact = contactDetails || {};
+        return {
+          id: task.id || _id,
+          ...task,
+          contactName: `${contact.firstName || ''} ${contact.lastName || ''}`.trim()
+        };
+      })
+      .filter(task => !seen.has(task.id));
+    fresh.forEach(task => {
+      seen.add(task.id);
+      tasks.push(task);
+    });
+
+    if (found.length < TASK_SEARCH_PAGE_SIZE || fresh.length === 0) {
+      return { success: true, data: tasks };
+    }
+  }
+
+  return { success: true, data: tasks, truncated: true };
+}
+
+function parseDateFilter(value, field) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw ghlError(400, `${field} must be a date (YYYY-MM-DD or ISO 8601)`);
+  }
+  return date;
+}
+
+// status: open | completed | all; overdue: open tasks past their due date.
+// Results are sorted by due date, undated tasks last.
+function filterTasks(tasks, { status = 'open', assignedTo, dueBefore, dueAfter, overdue } = {}) {
+  checkTaskStatus(status);
+  const before = parseDateFilter(dueBefore, 'dueBefore');
+  const after = parseDateFilter(dueAfter, 'dueAfter');
+  const now = new Date();
+
+  return tasks
+    .filter(task => {
+      if (status !== 'all' && (status === 'open' ? task.completed : !task.completed)) return false;
+      if (assignedTo && task.assignedTo !== assignedTo) return false;
+
+      const due = task.dueDate ? new Date(task.dueDate) : null;
+      if ((before || after || overdue) && !due) return false;
+      if (before && due > before) return false;
+      if (after && due < after) return false;
+      if (overdue && (task.completed || due >= now)) return false;
+      return true;
+    })
+    .sort((a, b) => {
+      if (!a.dueDate) return b.dueDate ? 1 : 0;
+      if (!b.dueDate) return -1;
+      return new Date(a.dueDate) - new Date(b.dueDate);
+    });
+}
+
+// Fields accepted on task create / update
+function pickTaskFields(fields) {
+  const task = {};
+  ['title', 'body', 'assignedTo', 'completed'].forEach(field => {
+    if (fields[field] !== undefined) {
+      task[field] = fields[field];
+    }
+  });
+  if (fields.dueDate !== undefined) {
+    task.dueDate = parseDateFilter(fields.dueDate, 'dueDate').toISOString();
+  }
+  if (task.completed !== undefined && typeof task.completed !== 'boolean') {
+    throw ghlError(400, 'completed must be a boolean');
+  }
+  return task;
+}
+
+async function createContactTask(id, fields) {
+  const task = pickTaskFields(fields);
+  if (!task.title) {
+    throw ghlError(400, 'title is required');
+  }
+  if (!task.dueDate) {
+    throw ghlError(400, 'dueDate is required');
+  }
+  return ghlCall(`/contacts/${encodeURIComponent(id)}/tasks`, {
+    method: 'POST',
+    body: { completed: false, ...task }
+  }, 'task');
+}
+
+// Partial update - complete / reopen, reassign, reschedule or retitle a task
+async function updateContactTask(id, taskId, fields) {
+  const task = pickTaskFields(fields);
+  if (Object.keys(task).length === 0) {
+    throw ghlError(400, 'Nothing to update: give completed, assignedTo, dueDate, title or body');
+  }
+  return ghlCall(`/contacts/${encodeURIComponent(id)}/tasks/${encodeURIComponent(taskId)}`, {
+    method: 'PUT',
+    body: task
+  }, 'task');
+}
+
+// Contact and open-opportunity totals for the current location
+async function getLocationStats() {
+  const [contactsResult, opportunitiesResult] = await Promise.all([
+    makeGHLRequest('/contacts/', { query: { locationId: locationId(), limit: 1 } }),
+    makeGHLRequest('/opportunities/search', { query: { location_id: locationId(), status: 'open', limit: 1 } })
+  ]);
+
+  const stats = {
+    locationId: locationId(),
+    totalContacts: 0,
+    openOpportunities: 0,
+    timestamp: new Date().toISOString()
+  };
+
+  if (contactsResult.success) {
+    stats.totalContacts = contactsResult.data.total || (contactsResult.data.meta && contactsResult.data.meta.total) || 0;
+  }
+  if (opportunitiesResult.success) {
+    stats.openOpportunities = opportunitiesResult.data.total || (opportunitiesResult.data.meta && opportunitiesResult.data.meta.total) || 0;
+  }
+
+  const errors = [contactsResult, opportunitiesResult].filter(r => !r.success).map(r => r.error);
+  if (errors.length > 0) {
+    stats.errors = errors;
+  }
+  return stats;
+}
+
+module.exports = {
+  makeGHLRequest,
+  isConfigured,
+  ensureContact,
+  paginateGHL,
+  collectGHL,
+  decodeCursor,
+  toGHLCustomFields,
+  getContact,
+  updateContact,
+  deleteContact,
+  addContactTags,
+  removeContactTags,
+  listContactNotes,
+  createContactNote,
+  updateContactNote,
+  deleteContactNote,
+  listContactCustomFields,
+  OPPORTUNITY_STATUSES,
+  listPipelines,
+  createOpportunity,
+  getOpportunity,
+  moveOpportunityStage,
+  setOpportunityStatus,
+  pipelineRollup,
+  listContactTasks,
+  listLocationTasks,
+  filterTasks,
+  createContactTask,
+  updateContactTask,
+  getLocationStats
+};
@@ -0,0 +1,398 @@
+// http-client.js
+// Outbound HTTPS helper shared by the server and the integration modules.
+// Pass protocol: 'http:' to talk plain HTTP, e.g. to a local stand-in server.
+//
+// Every call goes through three layers of protection:
+//   - a per-host concurrency limit, so a burst of GPT calls cannot flood one API
+//   - retries with jittered exponential backoff for network errors, timeouts,
+//     429 and 5xx responses, honouring Retry-After
+//   - a circuit breaker per upstream that fails fast while it keeps failing,
+//     then lets a single trial request through after a cool-down
+// Breaker and queue state is reported by getUpstreamStats() for diagnostics,
+// and every attempt is counted and timed in metrics.js.
+const http = require('http');
+const https = require('https');
+const metrics = require('./metrics');
+const log = require('./logger');
+const { getContext } = require('./request-context');
+
+const MAX_CONCURRENCY_PER_HOST = parseInt(process.env.HTTP_MAX_CONCURRENCY_PER_HOST || '6');
+const DEFAULT_RETRIES = parseInt(process.env.HTTP_RETRIES || '3');
+const BACKOFF_BASE_MS = 300;
+const BACKOFF_MAX_MS = 8000;
+// A Retry-After longer than this is not worth holding the GPT's request open for
+const MAX_RETRY_AFTER_MS = 30000;
+const BREAKER_THRESHOLD = parseInt(process.env.HTTP_BREAKER_THRESHOLD || '5');
+const BREAKER_COOLDOWN_MS = parseInt(process.env.HTTP_BREAKER_COOLDOWN_MS || '30000');
+
+const MAX_ERROR_MESSAGE_LENGTH = 200;
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+// Methods that are safe to send twice; others retry only when the upstream
+// refused the request outright (429, connection refused)
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const NOT_SENT_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ECIRCUITOPEN'];
+
+const hosts = new Map();
+const breakers = new Map();
+
+// Single attempt - resolves with the parsed response, rejects on network errors and timeouts.
+// With `onData`, a 2xx body is handed over chunk by chunk instead of buffered (data is null).
+function sendOnce(options, { signal, onData } = {}) {
+  return new Promise((resolve, reject) => {
+    const timeout = options.timeout || 10000;
+    let data = '';
+    let streamed = false;
+
+    if (signal && signal.aborted) {
+      return reject(abortError());
+    }
+
+    const transport = options.protocol === 'http:' ? http : https;
+    const req = transport.request(options, (res) => {
+      const streaming = Boolean(onData) && res.statusCode >= 200 && res.statusCode < 300;
+      res.on('data', chunk => {
+        if (!streaming) {
+          data += chunk;
+          return;
+        }
+        streamed = true;
+        try {
+          onData(chunk);
+        } catch (error) {
+          req.destroy(error);
+        }
+      });
+      res.on('error', fail);
+      res.on('end', () => {
+        if (streaming) {
+          return resolve({ status: res.statusCode, data: null, headers: res.headers });
+        }
+        try {
+          const jsonData = data ? JSON.parse(data) : {};
+          resolve({ status: res.statusCode, data: jsonData, headers: res.headers });
+        } catch (e) {
+          resolve({ status: res.statusCode, data: data, headers: res.headers });
+        }
+      });
+    });
+
+    const onAbort = () => req.destroy(abortError());
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+      req.on('close', () => signal.removeEventListener('abort', onAbort));
+    }
+
+    // Part of the body already went to onData, so the request must not be repeated
+    function fail(error) {
+      error.streamed = streamed;
+      reject(error);
+    }
+
+    req.on('error', fail);
+    req.setTimeout(timeout, () => {
+      const error = new Error('Request timeout');
+      error.code = 'ETIMEDOUT';
+      req.destroy(error);
+    });
+
+    if (options.body) {
+      req.write(options.body);
+    }
+
+    req.end();
+  });
+}
+
+function abortError() {
+  const error = new Error('Request aborted');
+  error.code = 'ABORT_ERR';
+  error.statusCode = 499;
+  return error;
+}
+
+// Per-host slot queue
+function hostState(hostname) {
+  if (!hosts.has(hostname)) {
+    hosts.set(hostname, { active: 0, waiting: [] });
+  }
+  return hosts.get(hostname);
+}
+
+// Resolves once a slot is ours; an abort while still queued gives up the place in line
+function acquireSlot(hostname, signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(abortError());
+  }
+  const host = hostState(hostname);
+  if (host.active < MAX_CONCURRENCY_PER_HOST) {
+    host.active++;
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      host.waiting.splice(host.waiting.indexOf(granted), 1);
+      reject(abortError());
+    };
+    const granted = () => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    host.waiting.push(granted);
+  });
+}
+
+function releaseSlot(hostname) {
+  const host = hostState(hostname);
+  const next = host.waiting.shift();
+  if (next) {
+    next();
+  } else {
+    host.active--;
+  }
+}
+
+// Circuit breaker per upstream: closed -> open after BREAKER_THRESHOLD consecutive
+// failures -> half_open after the cool-down (one trial call) -> closed or open again
+function breakerFor(upstream) {
+  if (!breakers.has(upstream)) {
+    breakers.set(upstream, {
+      state: 'closed',
+      consecutive_failures: 0,
+      opened_at: null,
+      trial_in_flight: false,
+      requests: 0,
+      retries: 0,
+      failures: 0,
+      short_circuited: 0,
+      last_error: null,
+      last_failure_at: null
+    });
+  }
+  return breakers.get(upstream);
+}
+
+function checkBreaker(upstream, breaker) {
+  if (breaker.state === 'open' && Date.now() - breaker.opened_at >= BREAKER_COOLDOWN_MS) {
+    breaker.state = 'half_open';
+  }
+
+  const blocked = breaker.state === 'open' || (breaker.state === 'half_open' && breaker.trial_in_flight);
+  if (blocked) {
+    breaker.short_circuited++;
+    const retryInMs = Math.max(0, breaker.opened_at + BREAKER_COOLDOWN_MS - Date.now());
+    const error = new Error(`Circuit open for ${upstream}: failing fast for ${Math.ceil(retryInMs / 1000)}s after repeated failures`);
+    error.code = 'ECIRCUITOPEN';
+    error.statusCode = 503;
+    throw error;
+  }
+
+  if (breaker.state === 'half_open') {
+    breaker.trial_in_flight = true;
+    return true;
+  }
+  return false;
+}
+
+// A trial call stopped by our own abort proved nothing either way: let the next call try
+function abandonTrial(breaker, trial) {
+  if (trial) {
+    breaker.trial_in_flight = false;
+  }
+}
+
+function recordSuccess(breaker) {
+  breaker.state = 'closed';
+  breaker.consecutive_failures = 0;
+  breaker.opened_at = null;
+  breaker.trial_in_flight = false;
+}
+
+function recordFailure(upstream, breaker, reason) {
+  breaker.failures++;
+  breaker.consecutive_failures++;
+  breaker.last_error = reason;
+  breaker.last_failure_at = new Date().toISOString();
+  breaker.trial_in_flight = false;
+
+  if (breaker.state === 'half_open' || breaker.consecutive_failures >= BREAKER_THRESHOLD) {
+    if (breaker.state !== 'open') {
+      log.error(`Circuit opened for ${upstream} after ${breaker.consecutive_failures} consecutive failures (${reason})`);
+    }
+    breaker.state = 'open';
+    breaker.opened_at = Date.now();
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function retryAfterMs(headers) {
+  const value = headers && headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full jitter: a random wait up to the exponential ceiling
+function backoffMs(attempt) {
+  return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resilient HTTPS request. Extra options on top of https.request's:
+//   upstream     name used for the breaker and diagnostics (default: hostname)
+//   retries      retry budget (default HTTP_RETRIES or 3; 0 disables)
+//   idempotent   allow retrying a POST/PATCH whose outcome is unknown
+//   signal       AbortSignal; aborting destroys the request in flight and stops retries
+//   onData       receive a 2xx body as it streams in; never retried once data has arrived
+// Resolves with { status, data, headers } - including for non-2xx responses
+// once retries are spent - and rejects on network errors and open circuits.
+async function makeHttpsRequest(options) {
+  const upstream = options.upstream || options.hostname;
+  const retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+  const method = (options.method || 'GET').toUpperCase();
+  const idempotent = options.idempotent === true || IDEMPOTENT_METHODS.includes(method);
+  const breaker = breakerFor(upstream);
+  const { upstream: _upstream, retries: _retries, idempotent: _idempotent, signal, onData, ...requestOptions } = options;
+  // Upstreams that log it let one request be traced across services
+  const { requestId } = getContext();
+  if (requestId) {
+    requestOptions.headers = { 'X-Request-Id': requestId, ...requestOptions.headers };
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let trial;
+    try {
+      trial = checkBreaker(upstream, breaker);
+    } catch (error) {
+      metrics.observeUpstream({ upstream, failure: error, retry: attempt > 0 });
+      throw error;
+    }
+    breaker.requests++;
+    if (attempt > 0) breaker.retries++;
+
+    let response = null;
+    let failure = null;
+    let started;
+
+    try {
+      await acquireSlot(options.hostname, signal);
+    } catch (error) {
+      abandonTrial(breaker, trial);
+      throw error;
+    }
+    try {
+      started = process.hrtime.bigint();
+      response = await sendOnce(requestOptions, { signal, onData });
+    } catch (error) {
+      failure = error;
+    } finally {
+      releaseSlot(options.hostname);
+    }
+    metrics.observeUpstream({
+      upstream,
+      response,
+      failure,
+      seconds: Number(process.hrtime.bigint() - started) / 1e9,
+      retry: attempt > 0
+    });
+
+    // Our own cancellation says nothing about the upstream's health
+    if (failure && failure.code === 'ABORT_ERR') {
+      abandonTrial(breaker, trial);
+      throw failure;
+    }
+
+    // 429 means the upstream is healthy but busy, so it does not count against the breaker
+    const upstreamFault = failure || response.status >= 500 || response.status === 408;
+    if (upstreamFault) {
+      recordFailure(upstream, breaker, failure ? failure.message : `HTTP ${response.status}`);
+    } else {
+      recordSuccess(breaker);
+    }
+
+    const retryable = failure
+      ? !failure.streamed && (idempotent || NOT_SENT_ERRORS.includes(failure.code))
+      : RETRYABLE_STATUSES.includes(response.status) && (idempotent || response.status === 429);
+
+    if (!retryable || attempt >= retries) {
+      if (failure) throw failure;
+      return response;
+    }
+
+    let wait = backoffMs(attempt);
+    const requested = response && retryAfterMs(response.headers);
+    if (requested !== null && requested !== undefined) {
+      if (requested > MAX_RETRY_AFTER_MS) {
+        return response;
+      }
+      wait = Math.max(wait, requested);
+    }
+
+    log.warn(`${upstream}: ${failure ? failure.message : `HTTP ${response.status}`} on ${method} ${options.path} - retry ${attempt + 1}/${retries} in ${Math.round(wait)}ms`);
+    await sleep(wait);
+    if (signal && signal.aborted) {
+      abandonTrial(breaker, trial);
+      throw abortError();
+    }
+  }
+}
+
+// The message of an upstream error body - never the body itself, which can echo
+// back credentials or contact data - redacted and short enough for logs and responses
+function upstreamErrorMessage(data) {
+  let message = '';
+  // Plain-text bodies are kept, HTML error pages are not
+  if (typeof data === 'string' && !data.trim().startsWith('<')) {
+    message = data;
+  } else if (data && typeof data === 'object') {
+    const error = data.error;
+    message = (error && typeof error === 'object' ? error.message : error) || data.message || data.error_description || '';
+  }
+  if (Array.isArray(message)) message = message.join('; ');
+  const text = log.redact(String(message)).trim();
+  return text.length > MAX_ERROR_MESSAGE_LENGTH ? `${text.slice(0, MAX_ERROR_MESSAGE_LENGTH)}...` : text;
+}
+
+// Breaker, queue and counter state per upstream, for the diagnostics endpoints
+function getUpstreamStats() {
+  const upstreams = {};
+  breakers.forEach((breaker, name) => {
+    const { trial_in_flight: _trial, opened_at: openedAt, ...stats } = breaker;
+    upstreams[name] = {
+      ...stats,
+      state: breaker.state === 'open' && Date.now() - openedAt >= BREAKER_COOLDOWN_MS ? 'half_open' : breaker.state,
+      opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+      retry_at: breaker.state === 'open' ? new Date(openedAt + BREAKER_COOLDOWN_MS).toISOString() : null
+    };
+  });
+
+  const hostQueues = {};
+  hosts.forEach((host, hostname) => {
+    hostQueues[hostname] = { active: host.active, queued: host.waiting.length };
+  });
+
+  return {
+    config: {
+      max_concurrency_per_host: MAX_CONCURRENCY_PER_HOST,
+      retries: DEFAULT_RETRIES,
+      breaker_threshold: BREAKER_THRESHOLD,
+      breaker_cooldown_ms: BREAKER_COOLDOWN_MS
+    },
+    upstreams,
+    hosts: hostQueues
+  };
+}
+
+module.exports = {
+  makeHttpsRequest,
+  upstreamErrorMessage,
+  getUpstreamStats
+};
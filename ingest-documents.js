@@ -0,0 +1,110 @@
+// Command-line document ingestion for the knowledge base.
+// Runs the same pipeline as POST /api/knowledge/documents in-process, so it
+// needs OPENAI_API_KEY and PINECONE_API_KEY (and DATA_DIR, if the server uses one).
+//
+//   node ingest-documents.js [options] <file>...
+//     --sku <SKU>  --doc-type <type>  --lot <lot>  --namespace <ns>
+//     --title <title>  --source <source>  --url <url>
+//     --doc-id <id>   only with a single file; defaults to the file name
+//   node ingest-documents.js --delete <doc_id> [--namespace <ns>]
+//
+// Format follows the extension: .md/.markdown, .html/.htm, anything else is text.
+// Progress goes to the console below; JSON logs only for warnings and errors
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const { submitIngestion, deleteDocument } = require('./knowledge-ingest');
+
+const OPTIONS = ['sku', 'doc-type', 'lot', 'namespace', 'title', 'source', 'url', 'doc-id', 'delete'];
+
+function parseArgs(argv) {
+  const options = {};
+  const files = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      if (!OPTIONS.includes(name) || argv[i + 1] === undefined) {
+        throw new Error(`Unknown option or missing value: ${arg}`);
+      }
+      options[name] = argv[++i];
+    } else {
+      files.push(arg);
+    }
+  }
+  return { options, files };
+}
+
+function formatFor(file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.md' || ext === '.markdown') return 'markdown';
+  if (ext === '.html' || ext === '.htm') return 'html';
+  return 'text';
+}
+
+// File name without extension, reduced to the characters doc ids allow
+function docIdFor(file) {
+  return path.basename(file, path.extname(file)).replace(/[^A-Za-z0-9._-]+/g, '-').slice(0, 100);
+}
+
+async function main() {
+  const { options, files } = parseArgs(process.argv.slice(2));
+
+  if (options.delete) {
+    const result = await deleteDocument(options.delete, options.namespace || '');
+    console.log(`Deleted ${result.doc_id}: ${result.deleted_chunks} chunks`);
+    return 0;
+  }
+
+  if (files.length === 0) {
+    console.error('Usage: node ingest-documents.js [--sku SKU] [--doc-type TYPE] [--lot LOT] [--namespace NS] <file>...');
+    console.error('       node ingest-documents.js --delete <doc_id> [--namespace NS]');
+    return 2;
+  }
+  if (options['doc-id'] && files.length > 1) {
+    throw new Error('--doc-id can only be used with a single file');
+  }
+
+  const documents = files.map(file => ({
+    doc_id: options['doc-id'] || docIdFor(file),
+    content: fs.readFileSync(file, 'utf8'),
+    format: formatFor(file),
+    title: options.title || path.basename(file),
+    sku: options.sku,
+    doc_type: options['doc-type'],
+    lot: options.lot,
+    source: options.source || path.basename(file),
+    url: options.url,
+    namespace: options.namespace
+  }));
+
+  let lastLine = '';
+  const { job, done } = submitIngestion(documents, {
+    user: 'cli',
+    onProgress: progress => {
+      const p = progress.progress;
+      const line = `${progress.status}: ${p.documents_done}/${p.documents_total} documents, ${p.upserted_chunks}/${p.total_chunks} chunks upserted`;
+      if (line !== lastLine) {
+        console.log(line);
+        lastLine = line;
+      }
+    }
+  });
+  console.log(`Job ${job.id}: ${documents.length} document(s)`);
+
+  const result = await done;
+  result.documents.forEach(doc => {
+    console.log(doc.status === 'completed'
+      ? `  ✓ ${doc.doc_id}: ${doc.chunks} chunks${doc.replaced ? ` (replaced previous version, ${doc.stale_deleted} stale chunks removed)` : ''}`
+      : `  ✗ ${doc.doc_id}: ${doc.error}`);
+  });
+  return result.status === 'completed' ? 0 : 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}).catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
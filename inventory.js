@@ -0,0 +1,855 @@
+// inventory.js
+// Inventory store. Items persist to data/inventory.json by default. With
+// INVENTORY_BACKEND=mongodb they are kept in the `inventory` collection of
+// MONGODB_URI instead, which needs the `mongodb` driver installed alongside
+// (`npm install mongodb`) - it is not a dependency, so the default deployment
+// stays dependency-free. MONGODB_URI alone (used by the health check) does not
+// switch backends. Both backends share one interface.
+//
+// Every quantity change is a movement in an append-only ledger
+// (data/inventory-ledger.jsonl or the `inventory_movements` collection).
+// An item's quantity is the sum of its movements; the copy on the item is a
+// cache that is rebuilt from the ledger at startup.
+//
+// Biologicals are tracked per lot: movements may carry a lot number, and each
+// item keeps a `lots` map (quantity, expiry, storage location, COA reference)
+// folded from those movements. Unlotted consumption is allocated
+// first-expiring-first-out (FEFO) and never draws from expired lots.
+//
+// Stock can be reserved against a reference (e.g. a won CRM opportunity).
+// Reservations do not move stock; they are held on the item and reduce its
+// available quantity until released or consumed with the same reference.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { dataPath, readJsonFile, writeJsonFile } = require('./file-store');
+const log = require('./logger');
+
+const INVENTORY_FILE = dataPath('inventory.json');
+const LEDGER_FILE = dataPath('inventory-ledger.jsonl');
+
+// receive/return add stock, consume removes it, adjust is a signed correction,
+// transfer moves stock to another location without changing the total
+const MOVEMENT_TYPES = ['receive', 'consume', 'adjust', 'transfer', 'return'];
+
+// Initial catalog, written to an empty store on first start
+const SEED_ITEMS = [
+  {
+    sku: 'FBS-001',
+    name: 'Fetal Bovine Serum - US Origin',
+    category: 'FBS',
+    quantity: 150,
+    unit: 'bottles (500ml)',
+    reorder_point: 50,
+    location: 'Cold Storage A1'
+  },
+  {
+    sku: 'FBS-002',
+    name: 'Fetal Bovine Serum - USDA Approved',
+    category: 'FBS',
+    quantity: 25,
+    unit: 'bottles (500ml)',
+    reorder_point: 30,
+    location: 'Cold Storage A2'
+  },
+  {
+    sku: 'MED-001',
+    name: 'DMEM Media',
+    category: 'MEDIA',
+    quantity: 200,
+    unit: 'bottles (1L)',
+    reorder_point: 50,
+    location: 'Media Storage B1'
+  },
+  {
+    sku: 'PLS-001',
+    name: 'Plastic Pipette Tips',
+    category: 'PLASTICS',
+    quantity: 45,
+    unit: 'boxes',
+    reorder_point: 100,
+    location: 'Supply Cabinet C1'
+  }
+];
+
+// Fields callers may set; stock_status / needs_reorder are always derived
+// and quantity only changes through movements
+const EDITABLE_FIELDS = ['name', 'category', 'unit', 'reorder_point', 'location'];
+
+function inventoryError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normalizeSku(sku) {
+  if (!sku || typeof sku !== 'string' || !sku.trim()) {
+    throw inventoryError(400, 'sku is required');
+  }
+  return sku.trim().toUpperCase();
+}
+
+function nonNegativeInteger(value, field) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isInteger(number) || number < 0) {
+    throw inventoryError(400, `${field} must be a non-negative integer`);
+  }
+  return number;
+}
+
+function positiveInteger(value, field) {
+  const number = nonNegativeInteger(value, field);
+  if (number === 0) {
+    throw inventoryError(400, `${field} must be greater than zero`);
+  }
+  return number;
+}
+
+// Lot expiry dates are calendar days (YYYY-MM-DD), compared in UTC
+function parseExpiryDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(`${value}T00:00:00Z`))) {
+    throw inventoryError(400, 'expiry_date must be a YYYY-MM-DD date');
+  }
+  return value;
+}
+
+function daysUntil(date, now = new Date()) {
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return Math.round((Date.parse(`${date}T00:00:00Z`) - today) / 86400000);
+}
+
+function isExpired(lot) {
+  return Boolean(lot.expiry_date) && daysUntil(lot.expiry_date) < 0;
+}
+
+// FEFO order: earliest expiry first, undated lots last, then oldest receipt
+function fefoOrder(a, b) {
+  if (a.expiry_date !== b.expiry_date) {
+    if (!a.expiry_date) return 1;
+    if (!b.expiry_date) return -1;
+    return a.expiry_date < b.expiry_date ? -1 : 1;
+  }
+  return a.received_at < b.received_at ? -1 : 1;
+}
+
+// Fold one ledger movement into an item's lots map. A transfer without a lot
+// moves the whole SKU, so every lot goes with it.
+function applyToLots(lots, movement) {
+  if (!movement.lot) {
+    if (movement.type === 'transfer') {
+      Object.keys(lots).forEach(number => {
+        lots[number] = { ...lots[number], location: movement.to_location };
+      });
+    }
+    return;
+  }
+
+  const lot = {
+    ...(lots[movement.lot] || {
+      lot: movement.lot,
+      quantity: 0,
+      expiry_date: null,
+      location: null,
+      coa_ref: null,
+      received_at: movement.timestamp
+    })
+  };
+
+  lot.quantity += movement.delta;
+  if (movement.expiry_date) lot.expiry_date = movement.expiry_date;
+  if (movement.coa_ref) lot.coa_ref = movement.coa_ref;
+  if (movement.lot_location) lot.location = movement.lot_location;
+  if (movement.type === 'transfer') lot.location = movement.to_location;
+
+  lots[movement.lot] = lot;
+}
+
+function reservedQuantity(item) {
+  return Object.values(item.reservations || {}).reduce((sum, r) => sum + r.quantity, 0);
+}
+
+function expiredQuantity(item) {
+  return Object.values(item.lots || {})
+    .filter(lot => lot.quantity > 0 && isExpired(lot))
+    .reduce((sum, lot) => sum + lot.quantity, 0);
+}
+
+// On hand less expired lots and reservations - what can still be sold or used
+function availableQuantity(item) {
+  return Math.max(0, item.quantity - expiredQuantity(item) - reservedQuantity(item));
+}
+
+// API view of an item: lots as a FEFO-sorted list plus availability by lot
+function presentItem(item) {
+  if (!item) {
+    return null;
+  }
+
+  const lots = Object.values(item.lots || {})
+    .filter(lot => lot.quantity > 0)
+    .sort(fefoOrder)
+    .map(lot => ({
+      ...lot,
+      days_to_expiry: lot.expiry_date ? daysUntil(lot.expiry_date) : null,
+      expired: isExpired(lot)
+    }));
+
+  const lotted = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+  // Flags are recomputed on read too: lots expire without a write
+  return {
+    ...withStockStatus(item),
+    lots,
+    reservations: item.reservations || {},
+    available_quantity: availableQuantity(item),
+    expired_quantity: expiredQuantity(item),
+    reserved_quantity: reservedQuantity(item),
+    unassigned_quantity: item.quantity - lotted
+  };
+}
+
+// Recompute the status flags from available quantity vs reorder point
+function withStockStatus(item) {
+  const low = availableQuantity(item) <= item.reorder_point;
+  return {
+    ...item,
+    stock_status: low ? 'LOW' : 'NORMAL',
+    needs_reorder: low
+  };
+}
+
+// Validate and coerce user-supplied fields, merging onto `base`
+function buildItem(sku, fields, base = {}) {
+  const item = { sku, ...base };
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      item[field] = fields[field];
+    }
+  });
+
+  if (!item.name || typeof item.name !== 'string') {
+    throw inventoryError(400, 'name is required');
+  }
+
+  item.quantity = item.quantity || 0;
+  item.reorder_point = nonNegativeInteger(item.reorder_point === undefined ? 0 : item.reorder_point, 'reorder_point');
+
+  item.category = item.category ? String(item.category).toUpperCase() : 'UNCATEGORIZED';
+  item.unit = item.unit || 'units';
+  item.location = item.location || '';
+  item.updated_at = new Date().toISOString();
+
+  return withStockStatus(item);
+}
+
+// JSON file backend - whole map in memory, rewritten on every change;
+// the ledger is JSON lines, only ever appended to
+function createFileBackend() {
+  let items = {};
+  let movements = [];
+
+  return {
+    name: 'file',
+    async load() {
+      items = readJsonFile(INVENTORY_FILE, null);
+      if (!items) {
+        items = {};
+        SEED_ITEMS.forEach(seed => {
+          items[seed.sku] = buildItem(seed.sku, seed, { quantity: seed.quantity });
+        });
+        await writeJsonFile(INVENTORY_FILE, items);
+      }
+
+      try {
+        movements = fs.readFileSync(LEDGER_FILE, 'utf8')
+          .split('\n')
+          .filter(line => line.trim())
+          .map(line => JSON.parse(line));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Failed to read ${LEDGER_FILE}: ${error.message}`);
+        }
+      }
+    },
+    async list() {
+      return Object.values(items);
+    },
+    async get(sku) {
+      return items[sku] || null;
+    },
+    async put(item) {
+      items[item.sku] = item;
+      await writeJsonFile(INVENTORY_FILE, items);
+    },
+    async remove(sku) {
+      delete items[sku];
+      await writeJsonFile(INVENTORY_FILE, items);
+    },
+    async appendMovement(movement) {
+      await fs.promises.mkdir(path.dirname(LEDGER_FILE), { recursive: true });
+      await fs.promises.appendFile(LEDGER_FILE, JSON.stringify(movement) + '\n');
+      movements.push(movement);
+    },
+    async listMovements(sku) {
+      return movements.filter(m => m.sku === sku);
+    }
+  };
+}
+
+// MongoDB backend - documents keyed by SKU
+function createMongoBackend(mongodb) {
+  const client = new mongodb.MongoClient(process.env.MONGODB_URI);
+  let collection;
+  let movements;
+
+  const strip = doc => {
+    if (!doc) return null;
+    const { _id, ...item } = doc;
+    return item;
+  };
+
+  return {
+    name: 'mongodb',
+    async load() {
+      await client.connect();
+      collection = client
+        .db(process.env.MONGODB_DATABASE || 'innovativebiosci')
+        .collection('inventory');
+      movements = client
+        .db(process.env.MONGODB_DATABASE || 'innovativebiosci')
+        .collection('inventory_movements');
+      await movements.createIndex({ sku: 1, timestamp: 1 });
+
+      if (await collection.countDocuments() === 0) {
+        await collection.insertMany(SEED_ITEMS.map(seed => ({ _id: seed.sku, ...buildItem(seed.sku, seed, { quantity: seed.quantity }) })));
+      }
+    },
+    async list() {
+      const docs = await collection.find({}).sort({ _id: 1 }).toArray();
+      return docs.map(strip);
+    },
+    async get(sku) {
+      return strip(await collection.findOne({ _id: sku }));
+    },
+    async put(item) {
+      await collection.replaceOne({ _id: item.sku }, { _id: item.sku, ...item }, { upsert: true });
+    },
+    async remove(sku) {
+      await collection.deleteOne({ _id: sku });
+    },
+    async appendMovement(movement) {
+      await movements.insertOne({ _id: movement.id, ...movement });
+    },
+    async listMovements(sku) {
+      const docs = await movements.find({ sku }).sort({ timestamp: 1 }).toArray();
+      return docs.map(strip);
+    }
+  };
+}
+
+let backend = null;
+
+// Serialise read-modify-write cycles per SKU so concurrent movements never lose an update
+const skuLocks = new Map();
+
+function withSkuLock(sku, fn) {
+  const previous = skuLocks.get(sku) || Promise.resolve();
+  const next = previous.catch(() => {}).then(fn);
+  const cleanup = () => {
+    if (skuLocks.get(sku) === next) skuLocks.delete(sku);
+  };
+
+  skuLocks.set(sku, next);
+  next.then(cleanup, cleanup);
+  return next;
+}
+
+// Signed quantity change for a movement request, given the current quantity
+// of the item (or of the lot, when one is named)
+function movementDelta(type, fields, current) {
+  switch (type) {
+    case 'receive':
+    case 'return':
+      return positiveInteger(fields.quantity, 'quantity');
+    case 'consume':
+      return -positiveInteger(fields.quantity, 'quantity');
+    case 'adjust': {
+      if (fields.counted_quantity !== undefined) {
+        return nonNegativeInteger(fields.counted_quantity, 'counted_quantity') - current;
+      }
+      const delta = Number(fields.quantity);
+      if (!Number.isInteger(delta) || delta === 0) {
+        throw inventoryError(400, 'adjust needs a non-zero integer quantity (signed) or counted_quantity');
+      }
+      return delta;
+    }
+    case 'transfer':
+      return 0;
+    default:
+      throw inventoryError(400, `type must be one of: ${MOVEMENT_TYPES.join(', ')}`);
+  }
+}
+
+// Split a removal across lots, FEFO. Stock not assigned to any lot has no
+// known expiry and is taken last. Consumption skips expired lots.
+function allocateFefo(item, amount, { includeExpired }) {
+  const lots = Object.values(item.lots || {});
+  const unassigned = item.quantity - lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  const candidates = lots
+    .filter(lot => lot.quantity > 0 && (includeExpired || !isExpired(lot)))
+    .sort(fefoOrder);
+
+  const parts = [];
+  let remaining = amount;
+
+  for (const lot of candidates) {
+    if (remaining === 0) break;
+    const take = Math.min(remaining, lot.quantity);
+    parts.push({ lot: lot.lot, delta: -take });
+    remaining -= take;
+  }
+
+  if (remaining > 0 && unassigned > 0) {
+    const take = Math.min(remaining, unassigned);
+    parts.push({ lot: null, delta: -take });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    const qualifier = includeExpired ? '' : 'unexpired ';
+    throw inventoryError(409, `Insufficient ${qualifier}stock for ${item.sku}: ${amount - remaining} available, ${amount} requested`);
+  }
+
+  return parts;
+}
+
+// Validate a request against `item` and work out its movement(s) and the item
+// with its new quantity, lots and recomputed status flags - nothing is written.
+// A removal without a lot is split FEFO into one movement per lot.
+function planMovement(item, fields) {
+  if (!fields.reason || typeof fields.reason !== 'string') {
+    throw inventoryError(400, 'reason is required');
+  }
+
+  const lotNumber = fields.lot ? String(fields.lot).trim() : null;
+  const lots = { ...(item.lots || {}) };
+  const lot = lotNumber ? lots[lotNumber] : null;
+
+  if (lotNumber && !lot && !['receive', 'return'].includes(fields.type)) {
+    throw inventoryError(404, `Lot ${lotNumber} not found for ${item.sku}`);
+  }
+
+  const delta = movementDelta(fields.type, fields, lot ? lot.quantity : item.quantity);
+
+  if (lot && lot.quantity + delta < 0) {
+    throw inventoryError(409, `Insufficient stock in lot ${lotNumber} of ${item.sku}: ${lot.quantity} on hand, ${-delta} requested`);
+  }
+  if (item.quantity + delta < 0) {
+    throw inventoryError(409, `Insufficient stock for ${item.sku}: ${item.quantity} on hand, ${-delta} requested`);
+  }
+
+  // Reserved and expired stock is not there to consume - except by a
+  // reservation's own reference, which draws on what it holds
+  if (fields.type === 'consume') {
+    const own = fields.reference && item.reservations && item.reservations[fields.reference];
+    const held = reservedQuantity(item) - (own ? own.quantity : 0);
+    const expired = fields.allow_expired === true
+      ? 0
+      : expiredQuantity(item) - (lot && isExpired(lot) ? lot.quantity : 0);
+    const available = Math.max(0, item.quantity - held - expired);
+    if (-delta > available) {
+      throw inventoryError(409, `Insufficient available stock for ${item.sku}: ${available} available (${held} reserved, ${expired} expired), ${-delta} requested`);
+    }
+  }
+
+  const parts = delta < 0 && !lotNumber
+    ? allocateFefo(item, -delta, { includeExpired: fields.type !== 'consume' || fields.allow_expired === true })
+    : [{ lot: lotNumber, delta }];
+
+  // A lot has one storage location, so a transfer moves a whole lot - or, without one, the whole SKU
+  if (fields.type === 'transfer') {
+    if (!fields.to_location) {
+      throw inventoryError(400, 'to_location is required for a transfer');
+    }
+    const whole = lot ? lot.quantity : item.quantity;
+    if (fields.quantity !== undefined && positiveInteger(fields.quantity, 'quantity') !== whole) {
+      throw inventoryError(400, lot
+        ? `A transfer moves the whole lot: lot ${lotNumber} of ${item.sku} holds ${whole}, not ${fields.quantity}`
+        : `A transfer without a lot moves the whole SKU: ${item.sku} holds ${whole}, not ${fields.quantity} - name a lot to move part of it`);
+    }
+  }
+
+  const timestamp = new Date().toISOString();
+  let quantity = item.quantity;
+
+  const movements = parts.map(part => {
+    quantity += part.delta;
+
+    const movement = {
+      id: crypto.randomBytes(8).toString('hex'),
+      sku: item.sku,
+      type: fields.type,
+      delta: part.delta,
+      quantity_after: quantity,
+      lot: part.lot,
+      reason: fields.reason,
+      user: fields.user || 'unknown',
+      reference: fields.reference || null,
+      timestamp
+    };
+
+    // Lot details ride on the movement so the lots map can be rebuilt from the ledger
+    if (part.lot && ['receive', 'return'].includes(fields.type)) {
+      if (fields.expiry_date) movement.expiry_date = parseExpiryDate(fields.expiry_date);
+      if (fields.coa_ref) movement.coa_ref = String(fields.coa_ref);
+      if (fields.location || !lot) movement.lot_location = fields.location || item.location;
+    }
+
+    if (fields.type === 'transfer') {
+      movement.quantity_moved = lot ? lot.quantity : item.quantity;
+      movement.from_location = lot ? lot.location : item.location;
+      movement.to_location = fields.to_location;
+    }
+
+    return movement;
+  });
+
+  movements.forEach(movement => applyToLots(lots, movement));
+
+  const updated = { ...item, quantity, lots, updated_at: timestamp };
+
+  // Consuming against a reservation's reference fulfils (part of) that reservation
+  const reservation = fields.reference && item.reservations && item.reservations[fields.reference];
+  if (reservation && fields.type === 'consume') {
+    const reservations = { ...item.reservations };
+    const remaining = reservation.quantity + delta;
+    if (remaining > 0) {
+      reservations[fields.reference] = { ...reservation, quantity: remaining };
+    } else {
+      delete reservations[fields.reference];
+    }
+    updated.reservations = reservations;
+  }
+  if (fields.type === 'transfer' && !lotNumber) {
+    updated.location = fields.to_location;
+  }
+
+  return { movements, item: withStockStatus(updated) };
+}
+
+// Append a planned movement set to the ledger, then persist its item
+async function commitMovement(plan) {
+  for (const movement of plan.movements) {
+    await backend.appendMovement(movement);
+  }
+  await backend.put(plan.item);
+  return plan;
+}
+
+// Plan and commit in one go. Callers must hold the SKU lock.
+async function applyMovement(item, fields) {
+  return commitMovement(planMovement(item, fields));
+}
+
+// Rebuild cached quantities from the ledger. Items that predate the ledger
+// get an opening-balance movement for their stored quantity.
+async function reconcileWithLedger() {
+  const items = await backend.list();
+
+  for (const item of items) {
+    const movements = await backend.listMovements(item.sku);
+
+    if (movements.length === 0) {
+      if (item.quantity > 0) {
+        await applyMovement({ ...item, quantity: 0 }, {
+          type: 'adjust',
+          quantity: item.quantity,
+          reason: 'Opening balance',
+          user: 'system'
+        });
+      }
+      continue;
+    }
+
+    const derived = movements.reduce((sum, m) => sum + m.delta, 0);
+    const lots = {};
+    movements.forEach(m => applyToLots(lots, m));
+
+    if (derived !== item.quantity || JSON.stringify(lots) !== JSON.stringify(item.lots || {})) {
+      log.info('Inventory quantity rebuilt from ledger', { sku: item.sku, stored: item.quantity, derived });
+      await backend.put(withStockStatus({ ...item, quantity: derived, lots }));
+    }
+  }
+}
+
+const INVENTORY_BACKENDS = ['file', 'mongodb'];
+
+// Pick a backend and load it. MongoDB is opt-in through INVENTORY_BACKEND;
+// once asked for, a missing driver or an unreachable cluster fails startup
+// rather than quietly serving the local file store.
+async function initInventory() {
+  const choice = (process.env.INVENTORY_BACKEND || 'file').toLowerCase();
+  if (!INVENTORY_BACKENDS.includes(choice)) {
+    throw new Error(`INVENTORY_BACKEND must be one of: ${INVENTORY_BACKENDS.join(', ')}`);
+  }
+
+  if (choice === 'mongodb') {
+    if (!process.env.MONGODB_URI) {
+      throw new Error('INVENTORY_BACKEND=mongodb needs MONGODB_URI');
+    }
+    let mongodb;
+    try {
+      mongodb = require('mongodb');
+    } catch (error) {
+      throw new Error('INVENTORY_BACKEND=mongodb needs the `mongodb` driver - run `npm install mongodb` or use the file store');
+    }
+
+    const mongoBackend = createMongoBackend(mongodb);
+    try {
+      await mongoBackend.load();
+    } catch (error) {
+      throw new Error(`INVENTORY_BACKEND=mongodb but MongoDB could not be loaded: ${error.message}`);
+    }
+    backend = mongoBackend;
+  } else {
+    const fileBackend = createFileBackend();
+    await fileBackend.load();
+    backend = fileBackend;
+  }
+
+  await reconcileWithLedger();
+  return backend.name;
+}
+
+async function listItems({ category } = {}) {
+  if (category !== undefined && category !== null && typeof category !== 'string') {
+    throw inventoryError(400, 'category must be a string');
+  }
+  let items = await backend.list();
+  if (category) {
+    items = items.filter(i => i.category === category.toUpperCase());
+  }
+  return items.map(presentItem);
+}
+
+async function getItem(sku) {
+  return presentItem(await backend.get(normalizeSku(sku)));
+}
+
+// Create a SKU; an initial quantity is booked as a receive movement
+async function createItem(fields, user) {
+  const sku = normalizeSku(fields.sku);
+
+  return withSkuLock(sku, async () => {
+    if (await backend.get(sku)) {
+      throw inventoryError(409, `SKU already exists: ${sku}`);
+    }
+
+    const initialQuantity = fields.quantity === undefined ? 0 : nonNegativeInteger(fields.quantity, 'quantity');
+    const item = buildItem(sku, fields, { created_at: new Date().toISOString() });
+
+    if (initialQuantity === 0) {
+      await backend.put(item);
+      return presentItem(item);
+    }
+
+    // Plan the opening receive first, so a bad lot, expiry_date or coa_ref creates nothing
+    const plan = planMovement(item, {
+      type: 'receive',
+      quantity: initialQuantity,
+      lot: fields.lot,
+      expiry_date: fields.expiry_date,
+      coa_ref: fields.coa_ref,
+      reason: fields.reason || 'Initial stock',
+      user
+    });
+    const result = await commitMovement(plan);
+    return presentItem(result.item);
+  });
+}
+
+// Shared by PUT and PATCH. A quantity in the body becomes an adjust movement.
+async function editItem(sku, fields, user, { replace }) {
+  const key = normalizeSku(sku);
+
+  return withSkuLock(key, async () => {
+    const existing = await backend.get(key);
+    if (!existing) {
+      throw inventoryError(404, `SKU not found: ${key}`);
+    }
+
+    const base = replace
+      ? { created_at: existing.created_at, quantity: existing.quantity, lots: existing.lots, reservations: existing.reservations }
+      : existing;
+    const item = buildItem(key, fields, base);
+
+    if (fields.quantity === undefined || nonNegativeInteger(fields.quantity, 'quantity') === existing.quantity) {
+      await backend.put(item);
+      return presentItem(item);
+    }
+
+    const result = await applyMovement(item, {
+      type: 'adjust',
+      counted_quantity: fields.quantity,
+      reason: fields.reason || `Quantity edited via ${replace ? 'PUT' : 'PATCH'}`,
+      user
+    });
+    return presentItem(result.item);
+  });
+}
+
+// PUT semantics - every editable field is replaced, missing ones reset to defaults
+async function replaceItem(sku, fields, user) {
+  return editItem(sku, fields, user, { replace: true });
+}
+
+// PATCH semantics - only the supplied fields change
+async function updateItem(sku, fields, user) {
+  return editItem(sku, fields, user, { replace: false });
+}
+
+// Remaining stock is written off first so the ledger still balances to zero
+async function deleteItem(sku, user) {
+  const key = normalizeSku(sku);
+
+  return withSkuLock(key, async () => {
+    const existing = await backend.get(key);
+    if (!existing) {
+      throw inventoryError(404, `SKU not found: ${key}`);
+    }
+
+    if (existing.quantity > 0) {
+      await applyMovement(existing, {
+        type: 'adjust',
+        quantity: -existing.quantity,
+        reason: 'SKU deleted',
+        user
+      });
+    }
+    await backend.remove(key);
+    return presentItem(existing);
+  });
+}
+
+// Book a receive / consume / adjust / transfer / return against a SKU.
+// Resolves to { movements, item } - more than one movement when FEFO split it.
+async function recordMovement(fields) {
+  const sku = normalizeSku(fields.sku);
+
+  return withSkuLock(sku, async () => {
+    const item = await backend.get(sku);
+    if (!item) {
+      throw inventoryError(404, `SKU not found: ${sku}`);
+    }
+    const result = await applyMovement(item, fields);
+    return { movements: result.movements, item: presentItem(result.item) };
+  });
+}
+
+// Hold `quantity` of a SKU for `reference`. Re-reserving the same reference
+// replaces the earlier hold, so callers can repeat it safely.
+async function reserveStock({ sku, quantity, reference, reason, user }) {
+  const key = normalizeSku(sku);
+  const amount = positiveInteger(quantity, 'quantity');
+  if (!reference || typeof reference !== 'string') {
+    throw inventoryError(400, 'reference is required');
+  }
+
+  return withSkuLock(key, async () => {
+    const item = await backend.get(key);
+    if (!item) {
+      throw inventoryError(404, `SKU not found: ${key}`);
+    }
+
+    const reservations = { ...(item.reservations || {}) };
+    delete reservations[reference];
+
+    const available = presentItem({ ...item, reservations }).available_quantity;
+    if (amount > available) {
+      throw inventoryError(409, `Insufficient available stock for ${key}: ${available} available, ${amount} requested`);
+    }
+
+    reservations[reference] = {
+      quantity: amount,
+      reason: reason || null,
+      user: user || 'unknown',
+      reserved_at: new Date().toISOString()
+    };
+
+    const updated = withStockStatus({ ...item, reservations, updated_at: new Date().toISOString() });
+    await backend.put(updated);
+    return presentItem(updated);
+  });
+}
+
+// Drop every reservation held for `reference`; resolves to the SKUs released
+async function releaseReservations(reference) {
+  const released = [];
+  const items = await backend.list();
+
+  for (const { sku } of items) {
+    await withSkuLock(sku, async () => {
+      const item = await backend.get(sku);
+      if (!item || !item.reservations || !item.reservations[reference]) {
+        return;
+      }
+
+      const reservations = { ...item.reservations };
+      released.push({ sku, quantity: reservations[reference].quantity });
+      delete reservations[reference];
+      await backend.put(withStockStatus({ ...item, reservations, updated_at: new Date().toISOString() }));
+    });
+  }
+
+  return released;
+}
+
+// Movements for a SKU, newest first
+async function getHistory(sku, { type, user, limit = 50 } = {}) {
+  const key = normalizeSku(sku);
+  let movements = await backend.listMovements(key);
+
+  if (movements.length === 0 && !(await backend.get(key))) {
+    throw inventoryError(404, `SKU not found: ${key}`);
+  }
+
+  if (type) {
+    movements = movements.filter(m => m.type === type);
+  }
+  if (user) {
+    movements = movements.filter(m => m.user.toLowerCase() === user.toLowerCase());
+  }
+
+  return movements.slice().reverse().slice(0, limit);
+}
+
+// Lots with stock that expire within `days` (already-expired lots included), soonest first
+async function listExpiringLots(days) {
+  const items = await backend.list();
+  const lots = [];
+
+  items.forEach(item => {
+    presentItem(item).lots
+      .filter(lot => lot.expiry_date && lot.days_to_expiry <= days)
+      .forEach(lot => lots.push({ sku: item.sku, name: item.name, unit: item.unit, ...lot }));
+  });
+
+  return lots.sort(fefoOrder);
+}
+
+module.exports = {
+  MOVEMENT_TYPES,
+  initInventory,
+  listItems,
+  getItem,
+  createItem,
+  replaceItem,
+  updateItem,
+  deleteItem,
+  recordMovement,
+  reserveStock,
+  releaseReservations,
+  getHistory,
+  listExpiringLots
+};
@@ -0,0 +1,444 @@
+// knowledge-ingest.js
+// Fills the knowledge base behind /api/knowledge/query. Text, Markdown and HTML
+// documents (spec sheets, protocols, COAs) are converted to plain text, split
+// into overlapping chunks, embedded in batches and upserted into Pinecone with
+// their SKU / document type / lot metadata.
+//
+// Chunk vectors are named <doc_id>#<n>. Re-ingesting a document overwrites its
+// chunks and then deletes any left over from a longer previous version, so the
+// old content never lingers and the document is never missing mid-update.
+// Ingested documents are tracked in data/knowledge-documents.json.
+//
+// Ingestion runs as jobs, one at a time, whose progress can be polled or
+// watched. A cancelled job finishes the document it is on and skips the rest.
+const crypto = require('crypto');
+const { dataPath, readJsonFile, writeJsonFile } = require('./file-store');
+const { embedTexts, pineconeRequest } = require('./knowledge');
+const log = require('./logger');
+
+const DOCUMENTS_FILE = dataPath('knowledge-documents.json');
+const CHUNK_SIZE = parseInt(process.env.KNOWLEDGE_CHUNK_SIZE || '1500');
+const CHUNK_OVERLAP = parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP || '200');
+const UPSERT_BATCH_SIZE = 100;
+const DELETE_BATCH_SIZE = 1000;
+const MAX_DOCUMENTS_PER_JOB = 50;
+const MAX_RECENT_JOBS = 100;
+const FORMATS = ['text', 'markdown', 'html'];
+const DOC_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
+
+// key `${namespace}/${doc_id}` -> { doc_id, namespace, chunks, ... }
+const documents = readJsonFile(DOCUMENTS_FILE, {});
+const jobs = new Map();
+
+function ingestError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+const documentKey = (namespace, docId) => `${namespace}/${docId}`;
+
+// --- Text extraction ---------------------------------------------------------
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', deg: '°', micro: 'µ', plusmn: '±', minus: '−', reg: '®', trade: '™', copy: '©' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|svg|head)\b[\s\S]*?<\/\1>/gi, '')
+    // Table cells stay on one line so spec tables read as "Property | Value"
+    .replace(/<\/t[dh]>\s*<t[dh]\b[^>]*>/gi, ' | ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(p|div|section|article|h[1-6]|ul|ol|table|tr|thead|tbody|blockquote|pre|header|footer)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Markdown is mostly readable as-is; drop the syntax that adds noise to embeddings
+function markdownToText(markdown) {
+  return markdown
+    .replace(/^```.*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6})\s+/gm, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/^\s*\|?\s*:?-{3,}.*$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function toPlainText(content, format) {
+  if (format === 'html') return htmlToText(content);
+  if (format === 'markdown') return markdownToText(content);
+  return content.replace(/\r\n/g, '\n').trim();
+}
+
+// --- Chunking ------------------------------------------------------------------
+
+// Split on paragraph, then line, then sentence, then word boundaries - whichever
+// first brings a piece under the chunk size
+function splitPieces(text, size, separators = ['\n\n', '\n', '. ', ' ']) {
+  if (text.length <= size) return [text];
+  const [separator, ...finer] = separators;
+  if (!separator) {
+    // One unbroken run of characters: hard split
+    const pieces = [];
+    for (let i = 0; i < text.length; i += size) pieces.push(text.slice(i, i + size));
+    return pieces;
+  }
+  const parts = text.split(separator);
+  return parts.flatMap((part, i) => splitPieces(i < parts.length - 1 ? part + separator : part, size, finer));
+}
+
+// Greedy packing of pieces into chunks of at most `size` characters; each chunk
+// starts with the last ~`overlap` characters of the previous one
+function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  overlap = Math.min(overlap, Math.floor(size / 2));
+  const pieces = splitPieces(text, size - overlap);
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    if (current && current.length + piece.length > size) {
+      chunks.push(current.trim());
+      // slice(-0) would be the whole chunk
+      const tail = overlap > 0 ? current.slice(-overlap) : '';
+      // Start the overlap on a word boundary
+      current = tail.includes(' ') ? tail.slice(tail.indexOf(' ') + 1) : tail;
+    }
+    current += piece;
+  }
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+  return chunks;
+}
+
+// --- Documents ---------------------------------------------------------------------
+
+function normalizeDocument(input, index) {
+  const label = `documents[${index}]`;
+  if (!input || typeof input !== 'object') {
+    throw ingestError(400, `${label} must be an object`);
+  }
+  const docId = input.doc_id;
+  if (typeof docId !== 'string' || !DOC_ID_PATTERN.test(docId)) {
+    throw ingestError(400, `${label}.doc_id is required (letters, digits, . _ -; at most 100 characters)`);
+  }
+  if (typeof input.content !== 'string' || !input.content.trim()) {
+    throw ingestError(400, `${label}.content is required`);
+  }
+  const format = input.format || 'text';
+  if (!FORMATS.includes(format)) {
+    throw ingestError(400, `${label}.format must be one of: ${FORMATS.join(', ')}`);
+  }
+  ['title', 'sku', 'doc_type', 'lot', 'source', 'url', 'namespace'].forEach(field => {
+    if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') {
+      throw ingestError(400, `${label}.${field} must be a string`);
+    }
+  });
+
+  return {
+    doc_id: docId,
+    namespace: input.namespace || '',
+    format,
+    content: input.content,
+    title: input.title || docId,
+    sku: input.sku ? input.sku.toUpperCase() : null,
+    doc_type: input.doc_type ? input.doc_type.toLowerCase() : null,
+    lot: input.lot || null,
+    source: input.source || null,
+    url: input.url || null
+  };
+}
+
+// Pinecone rejects null metadata values
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null && value !== undefined));
+}
+
+async function deleteVectorIds(namespace, ids) {
+  for (let start = 0; start < ids.length; start += DELETE_BATCH_SIZE) {
+    await pineconeRequest('/vectors/delete', {
+      body: { ids: ids.slice(start, start + DELETE_BATCH_SIZE), namespace },
+      idempotent: true
+    });
+  }
+}
+
+const chunkIds = (docId, from, to) => Array.from({ length: Math.max(0, to - from) }, (_, i) => `${docId}#${from + i}`);
+
+async function ingestDocument(doc, progress) {
+  const text = toPlainText(doc.content, doc.format);
+  if (!text) {
+    throw ingestError(400, `${doc.doc_id}: no text left after converting the ${doc.format} content`);
+  }
+  const chunks = chunkText(text);
+  const hash = crypto.createHash('sha256').update(text).digest('hex');
+  const ingestedAt = new Date().toISOString();
+  progress.total_chunks += chunks.length;
+
+  const vectors = [];
+  const embeddings = await embedTexts(chunks);
+  progress.embedded_chunks += chunks.length;
+
+  chunks.forEach((chunk, i) => {
+    vectors.push({
+      id: `${doc.doc_id}#${i}`,
+      values: embeddings[i],
+      metadata: compact({
+        text: chunk,
+        doc_id: doc.doc_id,
+        title: doc.title,
+        sku: doc.sku,
+        doc_type: doc.doc_type,
+        lot: doc.lot,
+        source: doc.source,
+        url: doc.url,
+        chunk_index: i,
+        chunk_count: chunks.length,
+        ingested_at: ingestedAt
+      })
+    });
+  });
+
+  for (let start = 0; start < vectors.length; start += UPSERT_BATCH_SIZE) {
+    const batch = vectors.slice(start, start + UPSERT_BATCH_SIZE);
+    await pineconeRequest('/vectors/upsert', { body: { vectors: batch, namespace: doc.namespace }, idempotent: true });
+    progress.upserted_chunks += batch.length;
+  }
+
+  // Chunks beyond the new count belong to the previous version
+  const key = documentKey(doc.namespace, doc.doc_id);
+  const previous = documents[key];
+  const stale = previous ? chunkIds(doc.doc_id, chunks.length, previous.chunks) : [];
+  await deleteVectorIds(doc.namespace, stale);
+
+  documents[key] = {
+    doc_id: doc.doc_id,
+    namespace: doc.namespace,
+    title: doc.title,
+    format: doc.format,
+    sku: doc.sku,
+    doc_type: doc.doc_type,
+    lot: doc.lot,
+    source: doc.source,
+    url: doc.url,
+    chunks: chunks.length,
+    characters: text.length,
+    content_sha256: hash,
+    ingested_at: ingestedAt,
+    created_at: previous ? previous.created_at : ingestedAt
+  };
+  await writeJsonFile(DOCUMENTS_FILE, documents);
+
+  return { chunks: chunks.length, replaced: Boolean(previous), stale_deleted: stale.length };
+}
+
+// --- Jobs --------------------------------------------------------------------------
+
+// One job at a time, so ingestion never competes with itself for OpenAI quota
+let queue = Promise.resolve();
+
+function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: { ...job.progress },
+    documents: job.documents.map(d => ({ ...d })),
+    submitted_by: job.submitted_by,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at
+  };
+}
+
+async function runJob(job, docs, onProgress) {
+  const report = () => {
+    const snapshot = describeJob(job);
+    onProgress(snapshot);
+    job.watchers.forEach(watcher => watcher(snapshot));
+  };
+
+  job.status = 'running';
+  job.started_at = new Date().toISOString();
+  report();
+
+  for (const [i, doc] of docs.entries()) {
+    const entry = job.documents[i];
+    if (job.cancel_requested) {
+      entry.status = 'cancelled';
+      continue;
+    }
+    entry.status = 'running';
+    report();
+    try {
+      Object.assign(entry, await ingestDocument(doc, job.progress), { status: 'completed' });
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      log.error(`Knowledge ingestion of ${doc.doc_id} failed`, error);
+    }
+    job.progress.documents_done++;
+    report();
+  }
+
+  const failed = job.documents.filter(d => d.status === 'failed').length;
+  job.status = job.cancel_requested ? 'cancelled'
+    : failed === 0 ? 'completed' : failed === docs.length ? 'failed' : 'completed_with_errors';
+  job.finished_at = new Date().toISOString();
+  log.info(`Knowledge job ${job.id} ${job.status}: ${job.progress.documents_done - failed}/${docs.length} documents, ${job.progress.upserted_chunks} chunks`);
+  report();
+  job.watchers.clear();
+}
+
+// Validate and queue documents; resolves with the job right away (status queued).
+// `onProgress` is called with the job after every step; `done` resolves when it finishes.
+function submitIngestion(inputs, { user, onProgress = () => {} } = {}) {
+  if (!Array.isArray(inputs) || inputs.length === 0) {
+    throw ingestError(400, 'documents must be a non-empty array');
+  }
+  if (inputs.length > MAX_DOCUMENTS_PER_JOB) {
+    throw ingestError(400, `At most ${MAX_DOCUMENTS_PER_JOB} documents per job`);
+  }
+  const docs = inputs.map(normalizeDocument);
+  const seen = new Set();
+  docs.forEach(doc => {
+    const key = documentKey(doc.namespace, doc.doc_id);
+    if (seen.has(key)) throw ingestError(400, `Duplicate doc_id in one job: ${doc.doc_id}`);
+    seen.add(key);
+  });
+
+  const job = {
+    id: `job_${crypto.randomBytes(6).toString('hex')}`,
+    status: 'queued',
+    progress: { documents_total: docs.length, documents_done: 0, total_chunks: 0, embedded_chunks: 0, upserted_chunks: 0 },
+    documents: docs.map(doc => ({ doc_id: doc.doc_id, namespace: doc.namespace, status: 'queued' })),
+    submitted_by: user || null,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    cancel_requested: false,
+    watchers: new Set()
+  };
+
+  jobs.set(job.id, job);
+  if (jobs.size > MAX_RECENT_JOBS) {
+    jobs.delete(jobs.keys().next().value);
+  }
+
+  const done = queue.catch(() => {}).then(() => runJob(job, docs, onProgress)).then(() => describeJob(job));
+  queue = done;
+  return { job: describeJob(job), done };
+}
+
+function findJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    throw ingestError(404, `Ingestion job not found: ${id}`);
+  }
+  return job;
+}
+
+function getJob(id) {
+  return describeJob(findJob(id));
+}
+
+// Call `listener` with the job after every step until it finishes. Returns the
+// current state and an unsubscribe function; finished jobs get no listener.
+function watchJob(id, listener) {
+  const job = findJob(id);
+  const finished = Boolean(job.finished_at);
+  if (!finished) {
+    job.watchers.add(listener);
+  }
+  return { job: describeJob(job), finished, unwatch: () => job.watchers.delete(listener) };
+}
+
+// Skip the documents that have not started yet; the one in progress completes
+function cancelJob(id) {
+  const job = findJob(id);
+  if (!job.finished_at) {
+    job.cancel_requested = true;
+  }
+  return describeJob(job);
+}
+
+function listJobs() {
+  return [...jobs.values()].reverse().map(describeJob);
+}
+
+function listDocuments({ namespace, sku, docType } = {}) {
+  return Object.values(documents)
+    .filter(doc => namespace === undefined || doc.namespace === namespace)
+    .filter(doc => !sku || doc.sku === sku.toUpperCase())
+    .filter(doc => !docType || doc.doc_type === docType.toLowerCase())
+    .sort((a, b) => a.doc_id.localeCompare(b.doc_id));
+}
+
+// Remove every chunk of a document. Unknown documents are looked up by id
+// prefix in Pinecone (serverless indexes), in case the local registry was lost.
+// Queued behind running jobs so a delete cannot interleave with a re-ingest.
+function deleteDocument(docId, namespace = '') {
+  const run = queue.catch(() => {}).then(() => removeDocument(docId, namespace));
+  queue = run;
+  return run;
+}
+
+async function removeDocument(docId, namespace) {
+  const key = documentKey(namespace, docId);
+  const known = documents[key];
+  let ids;
+
+  if (known) {
+    ids = chunkIds(docId, 0, known.chunks);
+  } else {
+    ids = [];
+    let paginationToken;
+    do {
+      const page = await pineconeRequest('/vectors/list', {
+        method: 'GET',
+        query: { prefix: `${docId}#`, namespace, paginationToken }
+      });
+      ids.push(...(page.vectors || []).map(v => v.id));
+      paginationToken = page.pagination && page.pagination.next;
+    } while (paginationToken);
+
+    if (ids.length === 0) {
+      throw ingestError(404, `Document not found: ${docId}${namespace ? ` in namespace ${namespace}` : ''}`);
+    }
+  }
+
+  await deleteVectorIds(namespace, ids);
+  delete documents[key];
+  await writeJsonFile(DOCUMENTS_FILE, documents);
+  log.info(`Knowledge document ${docId} deleted (${ids.length} chunks)`);
+  return { doc_id: docId, namespace, deleted_chunks: ids.length };
+}
+
+module.exports = {
+  FORMATS,
+  chunkText,
+  toPlainText,
+  submitIngestion,
+  getJob,
+  watchJob,
+  cancelJob,
+  listJobs,
+  listDocuments,
+  deleteDocument
+};
@@ -0,0 +1,268 @@
+// knowledge.js
+// Retrieval over the product knowledge base: questions are embedded with
+// OpenAI and matched against the Pinecone index (PINECONE_INDEX_NAME, default
+// innovativebiosci-rag). Passages come back ranked, each with a citation to the
+// document it was taken from, so the GPT answers from our documents instead of
+// from memory.
+const { URL } = require('url');
+const { makeHttpsRequest, upstreamErrorMessage } = require('./http-client');
+
+const INDEX_NAME = process.env.PINECONE_INDEX_NAME || process.env.PINECONE_INDEX || 'innovativebiosci-rag';
+const EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+// OpenAI accepts up to 2048 inputs per call; smaller batches keep request bodies reasonable
+const EMBED_BATCH_SIZE = 96;
+const MAX_TOP_K = 20;
+const MAX_QUESTION_LENGTH = 2000;
+const FILTER_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$and', '$or'];
+
+let indexHostPromise = null;
+
+function knowledgeError(statusCode, message, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+// Embeddings for `texts`, in order. Batched; every batch is one OpenAI call.
+async function embedTexts(texts) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw knowledgeError(503, 'OPENAI_API_KEY not configured');
+  }
+
+  const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+  const vectors = [];
+
+  for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+    const url = new URL(`${baseUrl}/embeddings`);
+    const body = JSON.stringify({ model: EMBEDDING_MODEL, input: texts.slice(start, start + EMBED_BATCH_SIZE) });
+    const response = await makeHttpsRequest({
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname,
+      method: 'POST',
+      upstream: 'openai',
+      // Embeddings have no side effects, so a lost response is safe to retry
+      idempotent: true,
+      headers: {
+        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      },
+      body,
+      timeout: 30000
+    });
+
+    if (response.status !== 200) {
+      const message = upstreamErrorMessage(response.data);
+      throw knowledgeError(502, `OpenAI embeddings error: ${response.status}${message ? ` - ${message}` : ''}`);
+    }
+    response.data.data
+      .sort((a, b) => a.index - b.index)
+      .forEach(item => vectors.push(item.embedding));
+  }
+
+  return vectors;
+}
+
+// Data-plane host of the index: PINECONE_INDEX_HOST, else looked up once
+function indexHost() {
+  if (process.env.PINECONE_INDEX_HOST) {
+    return Promise.resolve(process.env.PINECONE_INDEX_HOST.replace(/^https?:\/\//, ''));
+  }
+
+  if (!indexHostPromise) {
+    const controlUrl = new URL(`${process.env.PINECONE_API_URL || 'https://api.pinecone.io'}/indexes/${encodeURIComponent(INDEX_NAME)}`);
+    indexHostPromise = makeHttpsRequest({
+      hostname: controlUrl.hostname,
+      port: controlUrl.port,
+      path: controlUrl.pathname,
+      method: 'GET',
+      upstream: 'pinecone',
+      headers: { 'Api-Key': process.env.PINECONE_API_KEY },
+      timeout: 10000
+    }).then(response => {
+      if (response.status === 404) {
+        throw knowledgeError(503, `Pinecone index '${INDEX_NAME}' not found`);
+      }
+      if (response.status !== 200 || !response.data.host) {
+        throw knowledgeError(502, `Pinecone API error: ${response.status} while describing index '${INDEX_NAME}'`);
+      }
+      return response.data.host;
+    });
+    // A failed lookup is retried on the next call instead of being cached
+    indexHostPromise.catch(() => {
+      indexHostPromise = null;
+    });
+  }
+  return indexHostPromise;
+}
+
+// Request against the index data plane (/query, /vectors/upsert, ...)
+async function pineconeRequest(path, { method = 'POST', body, query, idempotent } = {}) {
+  if (!process.env.PINECONE_API_KEY) {
+    throw knowledgeError(503, 'PINECONE_API_KEY not configured');
+  }
+
+  const url = new URL(`https://${await indexHost()}${path}`);
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, value);
+  });
+
+  const payload = body ? JSON.stringify(body) : undefined;
+  const response = await makeHttpsRequest({
+    hostname: url.hostname,
+    port: url.port,
+    path: url.pathname + url.search,
+    method,
+    upstream: 'pinecone',
+    idempotent,
+    headers: {
+      'Api-Key': process.env.PINECONE_API_KEY,
+      'Content-Type': 'application/json',
+      ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {})
+    },
+    body: payload,
+    timeout: 20000
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    const message = upstreamErrorMessage(response.data);
+    throw knowledgeError(502, `Pinecone error: ${response.status} on ${method} ${path}${message ? ` - ${message}` : ''}`);
+  }
+  return response.data;
+}
+
+// Pinecone metadata filters are plain JSON; reject unknown operators early
+// rather than letting Pinecone answer with a 400
+function validateFilter(filter, path = 'filter') {
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw knowledgeError(400, `${path} must be an object`);
+  }
+  Object.entries(filter).forEach(([key, value]) => {
+    if (key.startsWith('$')) {
+      if (!FILTER_OPERATORS.includes(key)) {
+        throw knowledgeError(400, `${path}: unsupported operator ${key} (use ${FILTER_OPERATORS.join(', ')})`);
+      }
+      if (key === '$and' || key === '$or') {
+        if (!Array.isArray(value)) throw knowledgeError(400, `${path}.${key} must be an array`);
+        value.forEach((clause, i) => validateFilter(clause, `${path}.${key}[${i}]`));
+      }
+    } else if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      validateFilter(value, `${path}.${key}`);
+    }
+  });
+}
+
+// Combine the raw filter with the sku/doc_type shortcuts
+function buildFilter({ filter, sku, docType }) {
+  const clauses = [];
+  if (filter !== undefined) {
+    validateFilter(filter);
+    clauses.push(filter);
+  }
+  if (sku) clauses.push({ sku: { $eq: String(sku).toUpperCase() } });
+  if (docType) clauses.push({ doc_type: { $eq: docType } });
+
+  if (clauses.length === 0) return undefined;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+function passageText(metadata) {
+  return metadata.text || metadata.chunk_text || metadata.content || '';
+}
+
+// Where a passage came from, in a form the GPT can quote back
+function citationFor(match) {
+  const metadata = match.metadata || {};
+  return {
+    doc_id: metadata.doc_id || null,
+    title: metadata.title || metadata.source || match.id,
+    source: metadata.source || null,
+    url: metadata.url || null,
+    doc_type: metadata.doc_type || null,
+    sku: metadata.sku || null,
+    lot: metadata.lot || null,
+    page: metadata.page ?? null,
+    chunk: metadata.chunk_index ?? null
+  };
+}
+
+// Embed the question, search the index, and return ranked passages with citations
+async function queryKnowledge({ question, namespace, filter, sku, docType, topK = 5, minScore = 0 }) {
+  if (typeof question !== 'string' || !question.trim()) {
+    throw knowledgeError(400, 'question is required');
+  }
+  if (question.length > MAX_QUESTION_LENGTH) {
+    throw knowledgeError(400, `question must be at most ${MAX_QUESTION_LENGTH} characters`);
+  }
+  const limit = parseInt(topK);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_K) {
+    throw knowledgeError(400, `top_k must be between 1 and ${MAX_TOP_K}`);
+  }
+  if (typeof minScore !== 'number' || minScore < 0 || minScore > 1) {
+    throw knowledgeError(400, 'min_score must be a number between 0 and 1');
+  }
+  if (namespace !== undefined && typeof namespace !== 'string') {
+    throw knowledgeError(400, 'namespace must be a string');
+  }
+  const metadataFilter = buildFilter({ filter, sku, docType });
+
+  const [vector] = await embedTexts([question.trim()]);
+  const result = await pineconeRequest('/query', {
+    body: {
+      vector,
+      topK: limit,
+      namespace: namespace || '',
+      filter: metadataFilter,
+      includeMetadata: true
+    },
+    idempotent: true
+  });
+
+  // Several passages can come from one document; cite each document once
+  const sources = [];
+  const passages = (result.matches || [])
+    .filter(match => match.score >= minScore)
+    .map((match, index) => {
+      const citation = citationFor(match);
+      const sourceKey = citation.doc_id || citation.url || citation.title;
+      let sourceIndex = sources.findIndex(source => source.key === sourceKey);
+      if (sourceIndex === -1) {
+        sources.push({ key: sourceKey, citation });
+        sourceIndex = sources.length - 1;
+      }
+      return {
+        rank: index + 1,
+        id: match.id,
+        score: Math.round(match.score * 10000) / 10000,
+        text: passageText(match.metadata || {}),
+        citation: `[${sourceIndex + 1}]`,
+        source: citation
+      };
+    });
+
+  return {
+    question: question.trim(),
+    namespace: namespace || '',
+    filter: metadataFilter || null,
+    passages,
+    citations: sources.map((source, i) => ({ ref: `[${i + 1}]`, ...source.citation })),
+    // Guidance for the model reading this response
+    answer_policy: passages.length > 0
+      ? 'Answer only from these passages and cite them with their [n] markers. If they do not cover the question, say so.'
+      : 'No matching documents. Say the knowledge base has no answer rather than answering from memory.',
+    embedding_model: EMBEDDING_MODEL,
+    index: INDEX_NAME
+  };
+}
+
+module.exports = {
+  INDEX_NAME,
+  EMBEDDING_MODEL,
+  embedTexts,
+  pineconeRequest,
+  queryKnowledge
+};
@@ -0,0 +1,320 @@
+// llm-providers.js
+// One interface over the OpenAI Chat Completions and Anthropic Messages APIs,
+// so the chat agent does not care which model answers.
+//
+// Conversations use a neutral message format:
+//   { role: 'user', content }
+//   { role: 'assistant', content, tool_calls: [{ id, name, arguments }] }
+//   { role: 'tool', tool_call_id, name, content, is_error }
+// and every provider's complete() resolves to
+//   { text, tool_calls, stop_reason, usage: { input_tokens, output_tokens }, model }
+// Passing `onText` switches to the provider's streaming API: text deltas are
+// handed to it as they arrive and the same result is assembled at the end.
+// `signal` aborts the upstream request, e.g. when our own client disconnects.
+const { URL } = require('url');
+const { makeHttpsRequest, upstreamErrorMessage } = require('./http-client');
+const { createEventParser } = require('./sse');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 1024;
+
+function providerError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+async function postJson(upstream, baseUrl, path, headers, payload, { signal, onData } = {}) {
+  const url = new URL(`${baseUrl}${path}`);
+  const body = JSON.stringify(payload);
+  return makeHttpsRequest({
+    hostname: url.hostname,
+    port: url.port,
+    path: url.pathname,
+    method: 'POST',
+    upstream,
+    // Completions are billed per call, so only connection failures and 429s are retried
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    },
+    body,
+    signal,
+    onData,
+    // Between streamed chunks this is an idle timeout
+    timeout: 60000
+  });
+}
+
+// --- OpenAI -----------------------------------------------------------------
+
+function toOpenAIMessages(system, messages) {
+  const converted = system ? [{ role: 'system', content: system }] : [];
+  messages.forEach(message => {
+    if (message.role === 'tool') {
+      converted.push({ role: 'tool', tool_call_id: message.tool_call_id, content: message.content });
+    } else if (message.role === 'assistant' && message.tool_calls && message.tool_calls.length > 0) {
+      converted.push({
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.tool_calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      });
+    } else {
+      converted.push({ role: message.role, content: message.content || '' });
+    }
+  });
+  return converted;
+}
+
+// The model occasionally produces invalid JSON arguments; the tool loop reports that back
+function parseArguments(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (error) {
+    return { _invalid_json: text };
+  }
+}
+
+const openai = {
+  name: 'openai',
+  upstream: 'openai',
+  defaultModel: () => process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini',
+  configured: () => Boolean(process.env.OPENAI_API_KEY),
+
+  async complete({ model, system, messages, tools, maxTokens, onText, signal }) {
+    const payload = {
+      model,
+      messages: toOpenAIMessages(system, messages),
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS
+    };
+    if (tools && tools.length > 0) {
+      payload.tools = tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+    if (onText) {
+      payload.stream = true;
+      payload.stream_options = { include_usage: true };
+    }
+
+    const stream = onText ? openAIStream(model, onText) : null;
+    const response = await postJson('openai', process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1', '/chat/completions', {
+      'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
+    }, payload, { signal, onData: stream && stream.onData });
+
+    if (response.status !== 200) {
+      const detail = upstreamErrorMessage(response.data);
+      throw providerError(502, `OpenAI API error: ${response.status}${detail ? ` - ${detail}` : ''}`);
+    }
+    if (stream) {
+      return stream.result();
+    }
+
+    const choice = response.data.choices[0];
+    const usage = response.data.usage || {};
+    return {
+      text: choice.message.content || '',
+      tool_calls: (choice.message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseArguments(call.function.arguments)
+      })),
+      stop_reason: choice.finish_reason,
+      usage: { input_tokens: usage.prompt_tokens || 0, output_tokens: usage.completion_tokens || 0 },
+      model: response.data.model || model
+    };
+  }
+};
+
+// Assemble a streamed chat completion; tool call arguments arrive in fragments keyed by index
+function openAIStream(model, onText) {
+  const result = { text: '', calls: [], stop_reason: null, usage: {}, model };
+  const onData = createEventParser(({ data }) => {
+    if (data === '[DONE]') return;
+    const chunk = JSON.parse(data);
+    if (chunk.model) result.model = chunk.model;
+    if (chunk.usage) result.usage = chunk.usage;
+    const choice = chunk.choices && chunk.choices[0];
+    if (!choice) return;
+    if (choice.finish_reason) result.stop_reason = choice.finish_reason;
+    const delta = choice.delta || {};
+    if (delta.content) {
+      result.text += delta.content;
+      onText(delta.content);
+    }
+    (delta.tool_calls || []).forEach(part => {
+      const call = result.calls[part.index] || (result.calls[part.index] = { id: null, name: '', arguments: '' });
+      if (part.id) call.id = part.id;
+      if (part.function && part.function.name) call.name += part.function.name;
+      if (part.function && part.function.arguments) call.arguments += part.function.arguments;
+    });
+  });
+
+  return {
+    onData,
+    result: () => ({
+      text: result.text,
+      tool_calls: result.calls.filter(Boolean).map(call => ({ id: call.id, name: call.name, arguments: parseArguments(call.arguments) })),
+      stop_reason: result.stop_reason,
+      usage: { input_tokens: result.usage.prompt_tokens || 0, output_tokens: result.usage.completion_tokens || 0 },
+      model: result.model
+    })
+  };
+}
+
+// --- Anthropic ------------------------------------------------------------------
+
+// Anthropic wants strictly alternating turns, with tool results sent as a user turn
+function toAnthropicMessages(messages) {
+  const converted = [];
+  messages.forEach(message => {
+    if (message.role === 'tool') {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: message.tool_call_id,
+        content: message.content,
+        ...(message.is_error ? { is_error: true } : {})
+      };
+      const last = converted[converted.length - 1];
+      if (last && last.role === 'user' && Array.isArray(last.content) && last.content[0].type === 'tool_result') {
+        last.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (message.role === 'assistant') {
+      const content = [];
+      if (message.content) content.push({ type: 'text', text: message.content });
+      (message.tool_calls || []).forEach(call => {
+        content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+      });
+      converted.push({ role: 'assistant', content });
+    } else {
+      converted.push({ role: 'user', content: message.content || '' });
+    }
+  });
+  return converted;
+}
+
+const anthropic = {
+  name: 'anthropic',
+  upstream: 'anthropic',
+  defaultModel: () => process.env.ANTHROPIC_CHAT_MODEL || 'claude-3-5-haiku-20241022',
+  configured: () => Boolean(process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY),
+
+  async complete({ model, system, messages, tools, maxTokens, onText, signal }) {
+    const payload = {
+      model,
+      messages: toAnthropicMessages(messages),
+      max_tokens: maxTokens || DEFAULT_MAX_TOKENS
+    };
+    if (system) payload.system = system;
+    if (tools && tools.length > 0) {
+      payload.tools = tools.map(tool => ({ name: tool.name, description: tool.description, input_schema: tool.parameters }));
+    }
+    if (onText) {
+      payload.stream = true;
+    }
+
+    const stream = onText ? anthropicStream(model, onText) : null;
+    const response = await postJson('anthropic', process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com', '/v1/messages', {
+      'x-api-key': process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY,
+      'anthropic-version': ANTHROPIC_VERSION
+    }, payload, { signal, onData: stream && stream.onData });
+
+    if (response.status !== 200) {
+      const detail = upstreamErrorMessage(response.data);
+      throw providerError(502, `Anthropic API error: ${response.status}${detail ? ` - ${detail}` : ''}`);
+    }
+    if (stream) {
+      return stream.result();
+    }
+
+    const blocks = response.data.content || [];
+    const usage = response.data.usage || {};
+    return {
+      text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+      tool_calls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      stop_reason: response.data.stop_reason,
+      usage: { input_tokens: usage.input_tokens || 0, output_tokens: usage.output_tokens || 0 },
+      model: response.data.model || model
+    };
+  }
+};
+
+// Assemble a streamed message from its content-block events
+function anthropicStream(model, onText) {
+  const result = { blocks: [], stop_reason: null, usage: { input_tokens: 0, output_tokens: 0 }, model, error: null };
+  const onData = createEventParser(({ data }) => {
+    const event = JSON.parse(data);
+    if (event.type === 'message_start') {
+      result.model = event.message.model || model;
+      result.usage.input_tokens = (event.message.usage || {}).input_tokens || 0;
+    } else if (event.type === 'content_block_start') {
+      result.blocks[event.index] = { ...event.content_block, text: event.content_block.text || '', json: '' };
+    } else if (event.type === 'content_block_delta') {
+      const block = result.blocks[event.index];
+      if (event.delta.type === 'text_delta') {
+        block.text += event.delta.text;
+        onText(event.delta.text);
+      } else if (event.delta.type === 'input_json_delta') {
+        block.json += event.delta.partial_json;
+      }
+    } else if (event.type === 'message_delta') {
+      result.stop_reason = event.delta.stop_reason || result.stop_reason;
+      if (event.usage) result.usage.output_tokens = event.usage.output_tokens || 0;
+    } else if (event.type === 'error') {
+      result.error = event.error && event.error.message;
+    }
+  });
+
+  return {
+    onData,
+    result: () => {
+      // Errors such as overloaded_error can arrive after a 200 as an event
+      if (result.error) {
+        throw providerError(502, `Anthropic API error: ${result.error}`);
+      }
+      const blocks = result.blocks.filter(Boolean);
+      return {
+        text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+        tool_calls: blocks
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.json ? parseArguments(block.json) : block.input || {} })),
+        stop_reason: result.stop_reason,
+        usage: result.usage,
+        model: result.model
+      };
+    }
+  };
+}
+
+const PROVIDERS = { openai, anthropic };
+
+// Named provider, or CHAT_PROVIDER, or the first one with a key configured
+function getProvider(name) {
+  const chosen = name || process.env.CHAT_PROVIDER || Object.keys(PROVIDERS).find(key => PROVIDERS[key].configured());
+  // Own keys only: 'constructor' is not a provider
+  const provider = Object.prototype.hasOwnProperty.call(PROVIDERS, chosen) ? PROVIDERS[chosen] : null;
+  if (!provider) {
+    throw providerError(name ? 400 : 503, name
+      ? `provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`
+      : 'No chat provider configured (set OPENAI_API_KEY or ANTHROPIC_API_KEY)');
+  }
+  if (!provider.configured()) {
+    throw providerError(503, `${provider.name} is not configured`);
+  }
+  return provider;
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  getProvider
+};
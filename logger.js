@@ -0,0 +1,119 @@
+// logger.js
+// Structured logging: one JSON object per line, with the request id of the
+// request being served (see request-context.js) so every line a request
+// produces - including its outbound calls - can be found together.
+//
+//   log.info('Knowledge job queued', { job_id: job.id });
+//   log.error('Error syncing WooCommerce', error);   // an Error becomes `err`
+//
+// LOG_LEVEL (debug, info, warn, error, silent) picks the threshold; without it
+// production logs info and up, test warn and up, anything else everything.
+//
+// Everything is redacted before it is written: values under credential-like
+// keys (authorization, api_key, token, secret, ...) and contact keys (email,
+// phone) are replaced outright, and free text is scrubbed of bearer/basic
+// credentials, our key formats, JWTs, secrets in query strings, email
+// addresses and phone numbers.
+const { getContext } = require('./request-context');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVELS = { production: 'info', test: 'warn' };
+const MAX_DEPTH = 6;
+const MAX_STRING_LENGTH = 2000;
+
+// `token$` keeps usage counters such as input_tokens readable
+const SENSITIVE_KEY = /authorization|api[-_]?key|token$|secret|password|passwd|cookie|signature|credential|private[-_]?key/i;
+const CONTACT_KEY = /^(email|phone|mobile|phone_?number|email_?address)$/i;
+
+const TEXT_PATTERNS = [
+  [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, 'Bearer [REDACTED]'],
+  [/\bBasic\s+[A-Za-z0-9+/=]{8,}/g, 'Basic [REDACTED]'],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g, '[REDACTED]'],
+  // ibs_ (ours), sk- (OpenAI, Anthropic), pcsk_ (Pinecone), pit- (GHL private integrations), ck_/cs_ (WooCommerce)
+  [/\b(?:ibs_|sk-|pcsk_|pit-|ck_|cs_)[A-Za-z0-9_-]{8,}/g, '[REDACTED]'],
+  [/([?&](?:[a-z_]*(?:key|token|secret)|code|state)=)[^&\s"]+/gi, '$1[REDACTED]'],
+  [/[A-Za-z0-9._%+-]+(?:@|%40)[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[email]'],
+  [/\+\d[\d\s().-]{7,}\d/g, '[phone]'],
+  [/\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b/g, '[phone]']
+];
+
+function resolveLevel() {
+  const name = (process.env.LOG_LEVEL || DEFAULT_LEVELS[process.env.NODE_ENV] || 'debug').toLowerCase();
+  return LEVELS[name] !== undefined ? name : 'info';
+}
+
+const level = resolveLevel();
+const threshold = LEVELS[level];
+
+function redactText(text) {
+  let result = text.length > MAX_STRING_LENGTH ? `${text.slice(0, MAX_STRING_LENGTH)}...[truncated]` : text;
+  TEXT_PATTERNS.forEach(([pattern, replacement]) => {
+    result = result.replace(pattern, replacement);
+  });
+  return result;
+}
+
+// Errors keep what helps debugging; the stack only for unexpected ones (no statusCode)
+function serializeError(error) {
+  const serialized = { type: error.name, message: error.message };
+  if (error.code !== undefined) serialized.code = error.code;
+  if (error.statusCode !== undefined) serialized.status = error.statusCode;
+  if (!error.statusCode || threshold <= LEVELS.debug) serialized.stack = error.stack;
+  return serialized;
+}
+
+// Redacted copy of any value; safe on cycles and deep structures
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return redact(serializeError(value), depth, seen);
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    // Flags such as api_key_configured: true say nothing secret
+    const secret = SENSITIVE_KEY.test(key) && (typeof item === 'string' || (typeof item === 'object' && item !== null));
+    const contact = CONTACT_KEY.test(key) && item !== undefined && item !== null && item !== '';
+    if (secret || contact) {
+      copy[key] = '[REDACTED]';
+    } else {
+      copy[key] = redact(item, depth + 1, seen);
+    }
+  });
+  return copy;
+}
+
+function write(levelName, message, fields) {
+  if (LEVELS[levelName] < threshold) return;
+
+  const extra = fields instanceof Error ? { err: fields } : fields || {};
+  const entry = {
+    time: new Date().toISOString(),
+    level: levelName,
+    msg: message,
+    ...(getContext().requestId ? { request_id: getContext().requestId } : {}),
+    ...extra
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(redact(entry));
+  } catch (error) {
+    line = JSON.stringify({ time: entry.time, level: levelName, msg: redactText(String(message)), log_error: error.message });
+  }
+  (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+module.exports = {
+  level,
+  redact,
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
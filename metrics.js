@@ -0,0 +1,191 @@
+// metrics.js
+// Prometheus metrics without a client library: counters and histograms kept in
+// memory, rendered in the text exposition format (version 0.0.4) by GET /metrics.
+//
+// Label values are bounded on purpose - routes are registry templates such as
+// /api/knowledge/jobs/{id}, never raw URLs, and unknown paths share one label -
+// so a scan of random URLs cannot blow up the series count.
+// Gauges that mirror state elsewhere (inventory, circuit breakers) are read
+// from collectors at scrape time instead of being kept up to date here.
+const fs = require('fs');
+const log = require('./logger');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// Seconds; covers fast JSON lookups up to slow LLM and sync calls
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const metrics = new Map();
+const collectors = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  return entries.length === 0 ? '' : `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+function register(name, type, help) {
+  const metric = { name, type, help, series: new Map() };
+  metrics.set(name, metric);
+  return metric;
+}
+
+function seriesFor(metric, labels, create) {
+  const key = labelText(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { labels, ...create() });
+  }
+  return metric.series.get(key);
+}
+
+function counter(name, help) {
+  const metric = register(name, 'counter', help);
+  return {
+    inc(labels = {}, amount = 1) {
+      seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+    }
+  };
+}
+
+function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const metric = register(name, 'histogram', help);
+  metric.buckets = buckets;
+  return {
+    observe(labels, value) {
+      const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i]++;
+      });
+      series.sum += value;
+      series.count++;
+    }
+  };
+}
+
+// `collect()` resolves to [{ name, type, help, samples: [{ labels, value }] }]
+function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+function renderMetric(metric) {
+  const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+  metric.series.forEach(series => {
+    if (metric.type === 'histogram') {
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${labelText({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${labelText({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${labelText(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${labelText(series.labels)} ${series.count}`);
+    } else {
+      lines.push(`${metric.name}${labelText(series.labels)} ${formatValue(series.value)}`);
+    }
+  });
+  return lines.join('\n');
+}
+
+function renderCollected(family) {
+  const lines = [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`];
+  family.samples.forEach(sample => {
+    lines.push(`${family.name}${labelText(sample.labels || {})} ${formatValue(sample.value)}`);
+  });
+  return lines.join('\n');
+}
+
+// A failing collector costs its own families, not the whole scrape
+async function render() {
+  const sections = [...metrics.values()].map(renderMetric);
+  for (const collect of collectors) {
+    try {
+      (await collect()).forEach(family => sections.push(renderCollected(family)));
+    } catch (error) {
+      log.error('Metrics collector failed', error);
+    }
+  }
+  return sections.join('\n') + '\n';
+}
+
+// --- Application metrics -------------------------------------------------------
+
+const httpRequests = counter('http_requests_total', 'HTTP requests served, by route template and status');
+const httpDuration = histogram('http_request_duration_seconds', 'Time to serve an HTTP request, by route template and status');
+const upstreamRequests = counter('upstream_requests_total', 'Outbound HTTPS attempts, by upstream and outcome (ok, http_4xx, http_429, http_5xx, timeout, network, circuit_open, aborted)');
+const upstreamDuration = histogram('upstream_request_duration_seconds', 'Duration of outbound HTTPS attempts, by upstream and outcome');
+const upstreamRetries = counter('upstream_retries_total', 'Outbound attempts that were retries of an earlier failure');
+
+function observeRequest({ method, route, status, seconds }) {
+  const labels = { method, route, status: String(status) };
+  httpRequests.inc(labels);
+  httpDuration.observe(labels, seconds);
+}
+
+// Error class of one outbound attempt: the response status or the failure
+function upstreamOutcome(response, failure) {
+  if (failure) {
+    if (failure.code === 'ECIRCUITOPEN') return 'circuit_open';
+    if (failure.code === 'ABORT_ERR') return 'aborted';
+    if (failure.code === 'ETIMEDOUT') return 'timeout';
+    return 'network';
+  }
+  if (response.status === 429) return 'http_429';
+  if (response.status >= 500) return 'http_5xx';
+  if (response.status >= 400) return 'http_4xx';
+  return 'ok';
+}
+
+function observeUpstream({ upstream, response, failure, seconds, retry }) {
+  const labels = { upstream, outcome: upstreamOutcome(response, failure) };
+  upstreamRequests.inc(labels);
+  if (seconds !== undefined) {
+    upstreamDuration.observe(labels, seconds);
+  }
+  if (retry) {
+    upstreamRetries.inc({ upstream });
+  }
+}
+
+// --- Process metrics (names follow the conventions of the official clients) ----
+
+const startTimeSeconds = Math.round(Date.now() / 1000 - process.uptime());
+
+function openFileDescriptors() {
+  try {
+    return fs.readdirSync('/proc/self/fd').length;
+  } catch (error) {
+    return null;
+  }
+}
+
+registerCollector(async () => {
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+  const families = [
+    { name: 'process_cpu_seconds_total', type: 'counter', help: 'User and system CPU time spent, in seconds', samples: [{ value: (cpu.user + cpu.system) / 1e6 }] },
+    { name: 'process_resident_memory_bytes', type: 'gauge', help: 'Resident memory size in bytes', samples: [{ value: memory.rss }] },
+    { name: 'process_start_time_seconds', type: 'gauge', help: 'Start time of the process since the Unix epoch, in seconds', samples: [{ value: startTimeSeconds }] },
+    { name: 'nodejs_heap_size_total_bytes', type: 'gauge', help: 'V8 heap size in bytes', samples: [{ value: memory.heapTotal }] },
+    { name: 'nodejs_heap_size_used_bytes', type: 'gauge', help: 'V8 heap in use, in bytes', samples: [{ value: memory.heapUsed }] },
+    { name: 'nodejs_external_memory_bytes', type: 'gauge', help: 'Memory of C++ objects bound to JavaScript, in bytes', samples: [{ value: memory.external }] }
+  ];
+  const fds = openFileDescriptors();
+  if (fds !== null) {
+    families.push({ name: 'process_open_fds', type: 'gauge', help: 'Open file descriptors', samples: [{ value: fds }] });
+  }
+  return families;
+});
+
+module.exports = {
+  CONTENT_TYPE,
+  registerCollector,
+  render,
+  observeRequest,
+  observeUpstream
+};
@@ -0,0 +1,489 @@
+// mongo-wire.js
+// Just enough of the MongoDB wire protocol to health-check a cluster without
+// the driver: mongodb+srv resolution, TCP/TLS connect, OP_MSG commands with a
+// minimal BSON codec, and SCRAM-SHA-256 authentication. It answers "can this
+// URI reach and log in to the cluster?" - it is not a general-purpose client.
+const crypto = require('crypto');
+const fs = require('fs');
+const dns = require('dns').promises;
+const net = require('net');
+const tls = require('tls');
+
+const OP_MSG = 2013;
+const DEFAULT_PORT = 27017;
+const DEFAULT_TIMEOUT_MS = 10000;
+const CLIENT_NAME = 'gpt-integration-api';
+
+function mongoError(message, code) {
+  const error = new Error(message);
+  if (code !== undefined) error.code = code;
+  return error;
+}
+
+// --- BSON -------------------------------------------------------------------
+
+// Binary payloads (SCRAM messages) are tagged so the encoder can tell them from strings
+class Binary {
+  constructor(buffer) {
+    this.buffer = buffer;
+  }
+}
+
+function cstring(text) {
+  return Buffer.concat([Buffer.from(text, 'utf8'), Buffer.from([0])]);
+}
+
+function encodeElement(name, value) {
+  const key = cstring(name);
+
+  if (value instanceof Binary) {
+    const header = Buffer.alloc(5);
+    header.writeInt32LE(value.buffer.length, 0);
+    return Buffer.concat([Buffer.from([0x05]), key, header, value.buffer]);
+  }
+  if (typeof value === 'string') {
+    const text = cstring(value);
+    const length = Buffer.alloc(4);
+    length.writeInt32LE(text.length, 0);
+    return Buffer.concat([Buffer.from([0x02]), key, length, text]);
+  }
+  if (typeof value === 'boolean') {
+    return Buffer.concat([Buffer.from([0x08]), key, Buffer.from([value ? 1 : 0])]);
+  }
+  if (value === null || value === undefined) {
+    return Buffer.concat([Buffer.from([0x0a]), key]);
+  }
+  if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff) {
+      const int = Buffer.alloc(4);
+      int.writeInt32LE(value, 0);
+      return Buffer.concat([Buffer.from([0x10]), key, int]);
+    }
+    if (Number.isSafeInteger(value)) {
+      const long = Buffer.alloc(8);
+      long.writeBigInt64LE(BigInt(value), 0);
+      return Buffer.concat([Buffer.from([0x12]), key, long]);
+    }
+    const double = Buffer.alloc(8);
+    double.writeDoubleLE(value, 0);
+    return Buffer.concat([Buffer.from([0x01]), key, double]);
+  }
+  if (value instanceof Date) {
+    const millis = Buffer.alloc(8);
+    millis.writeBigInt64LE(BigInt(value.getTime()), 0);
+    return Buffer.concat([Buffer.from([0x09]), key, millis]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from([0x04]), key, encodeDocument(Object.fromEntries(value.map((v, i) => [String(i), v])))]);
+  }
+  if (typeof value === 'object') {
+    return Buffer.concat([Buffer.from([0x03]), key, encodeDocument(value)]);
+  }
+  throw mongoError(`Cannot encode ${typeof value} as BSON`);
+}
+
+function encodeDocument(doc) {
+  const body = Buffer.concat(Object.entries(doc).map(([name, value]) => encodeElement(name, value)));
+  const length = Buffer.alloc(4);
+  length.writeInt32LE(body.length + 5, 0);
+  return Buffer.concat([length, body, Buffer.from([0])]);
+}
+
+function decodeDocument(buffer, offset = 0, asArray = false) {
+  const end = offset + buffer.readInt32LE(offset) - 1;
+  const doc = asArray ? [] : {};
+  let pos = offset + 4;
+
+  while (pos < end) {
+    const type = buffer[pos++];
+    const nameEnd = buffer.indexOf(0, pos);
+    const name = buffer.toString('utf8', pos, nameEnd);
+    pos = nameEnd + 1;
+    let value;
+
+    switch (type) {
+      case 0x01: value = buffer.readDoubleLE(pos); pos += 8; break;
+      case 0x02: {
+        const length = buffer.readInt32LE(pos);
+        value = buffer.toString('utf8', pos + 4, pos + 4 + length - 1);
+        pos += 4 + length;
+        break;
+      }
+      case 0x03:
+      case 0x04:
+        value = decodeDocument(buffer, pos, type === 0x04);
+        pos += buffer.readInt32LE(pos);
+        break;
+      case 0x05: {
+        const length = buffer.readInt32LE(pos);
+        value = buffer.subarray(pos + 5, pos + 5 + length);
+        pos += 5 + length;
+        break;
+      }
+      case 0x06: case 0x0a: case 0x7f: case 0xff: value = null; break;
+      case 0x07: value = buffer.toString('hex', pos, pos + 12); pos += 12; break;
+      case 0x08: value = buffer[pos] === 1; pos += 1; break;
+      case 0x09: value = new Date(Number(buffer.readBigInt64LE(pos))); pos += 8; break;
+      case 0x10: value = buffer.readInt32LE(pos); pos += 4; break;
+      case 0x11: value = { t: buffer.readUInt32LE(pos + 4), i: buffer.readUInt32LE(pos) }; pos += 8; break;
+      case 0x12: value = Number(buffer.readBigInt64LE(pos)); pos += 8; break;
+      case 0x13: value = buffer.toString('hex', pos, pos + 16); pos += 16; break;
+      default:
+        // Regex, JS code, DBPointer... never appear in the replies we read
+        throw mongoError(`Unsupported BSON type 0x${type.toString(16)} in field ${name}`);
+    }
+
+    if (asArray) doc.push(value); else doc[name] = value;
+  }
+  return doc;
+}
+
+// --- Connection ---------------------------------------------------------------
+
+// One socket, one command at a time (OP_MSG with a single body section)
+class Connection {
+  constructor(socket, timeout) {
+    this.socket = socket;
+    this.timeout = timeout;
+    this.requestId = 0;
+    this.buffered = Buffer.alloc(0);
+    this.pending = null;
+
+    socket.on('data', chunk => {
+      this.buffered = Buffer.concat([this.buffered, chunk]);
+      this.drain();
+    });
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(mongoError('Connection closed by server')));
+  }
+
+  drain() {
+    if (!this.pending || this.buffered.length < 4) return;
+    const length = this.buffered.readInt32LE(0);
+    if (this.buffered.length < length) return;
+
+    const message = this.buffered.subarray(0, length);
+    this.buffered = this.buffered.subarray(length);
+    const { resolve, reject, timer } = this.pending;
+    this.pending = null;
+    clearTimeout(timer);
+
+    if (message.readInt32LE(12) !== OP_MSG || message[20] !== 0) {
+      return reject(mongoError('Unexpected reply from server (not an OP_MSG body)'));
+    }
+    resolve(decodeDocument(message, 21));
+  }
+
+  fail(error) {
+    if (!this.pending) return;
+    const { reject, timer } = this.pending;
+    this.pending = null;
+    clearTimeout(timer);
+    reject(error);
+  }
+
+  async command(db, doc) {
+    const body = encodeDocument({ ...doc, $db: db });
+    const header = Buffer.alloc(21);
+    header.writeInt32LE(21 + body.length, 0);
+    header.writeInt32LE(++this.requestId, 4);
+    header.writeInt32LE(0, 8);
+    header.writeInt32LE(OP_MSG, 12);
+    header.writeUInt32LE(0, 16);
+    header[20] = 0;
+
+    const reply = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.fail(mongoError(`${Object.keys(doc)[0]} timed out after ${this.timeout}ms`, 'ETIMEDOUT'));
+      }, this.timeout);
+      this.pending = { resolve, reject, timer };
+      this.socket.write(Buffer.concat([header, body]));
+    });
+
+    if (reply.ok !== 1) {
+      throw mongoError(reply.errmsg || `${Object.keys(doc)[0]} failed`, reply.code);
+    }
+    return reply;
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+function connect({ host, port, tlsOptions, timeout }) {
+  return new Promise((resolve, reject) => {
+    const useTls = Boolean(tlsOptions);
+    const socket = useTls
+      ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ...tlsOptions })
+      : net.connect({ host, port });
+    const ready = useTls ? 'secureConnect' : 'connect';
+
+    const timer = setTimeout(() => {
+      socket.destroy();
+      reject(mongoError(`Connection to ${host}:${port} timed out after ${timeout}ms`, 'ETIMEDOUT'));
+    }, timeout);
+
+    socket.once(ready, () => {
+      clearTimeout(timer);
+      socket.removeListener('error', onError);
+      resolve(new Connection(socket, timeout));
+    });
+    const onError = error => {
+      clearTimeout(timer);
+      reject(error);
+    };
+    socket.once('error', onError);
+  });
+}
+
+// --- URI and SRV ------------------------------------------------------------
+
+function parseUri(uri) {
+  const match = /^(mongodb(?:\+srv)?):\/\/(?:([^:@/]*)(?::([^@/]*))?@)?([^/?]+)(?:\/([^?]*))?(?:\?(.*))?$/.exec(uri);
+  if (!match) {
+    throw mongoError('MONGODB_URI is not a valid mongodb:// or mongodb+srv:// URI');
+  }
+  const [, scheme, user, password, hostList, database, query] = match;
+
+  // Option names are case-insensitive
+  const options = {};
+  new URLSearchParams(query || '').forEach((value, key) => {
+    options[key.toLowerCase()] = value;
+  });
+
+  return {
+    srv: scheme === 'mongodb+srv',
+    username: user ? decodeURIComponent(user) : null,
+    password: password !== undefined ? decodeURIComponent(password) : null,
+    hosts: hostList.split(',').map(entry => {
+      const [, host, port] = /^\[?([^\]]+?)\]?(?::(\d+))?$/.exec(entry);
+      return { host, port: port ? parseInt(port) : DEFAULT_PORT };
+    }),
+    database: database ? decodeURIComponent(database) : null,
+    options
+  };
+}
+
+// mongodb+srv: hosts come from SRV records, default options from the TXT record
+async function resolveSrv(hostname) {
+  const records = await dns.resolveSrv(`_mongodb._tcp.${hostname}`);
+  // Spec requirement: targets must live under the SRV name's parent domain
+  const parent = hostname.split('.').slice(1).join('.');
+  const hosts = records
+    .filter(record => record.name.endsWith(`.${parent}`))
+    .sort((a, b) => a.priority - b.priority || b.weight - a.weight)
+    .map(record => ({ host: record.name, port: record.port }));
+  if (hosts.length === 0) {
+    throw mongoError(`SRV lookup for ${hostname} returned no usable hosts`);
+  }
+
+  const txtOptions = {};
+  try {
+    const txt = await dns.resolveTxt(hostname);
+    if (txt.length > 0) {
+      new URLSearchParams(txt[0].join('')).forEach((value, key) => {
+        txtOptions[key.toLowerCase()] = value;
+      });
+    }
+  } catch (error) {
+    if (error.code !== 'ENODATA' && error.code !== 'ENOTFOUND') throw error;
+  }
+  return { hosts, txtOptions };
+}
+
+// --- SCRAM-SHA-256 ------------------------------------------------------------
+
+const hmac = (key, text) => crypto.createHmac('sha256', key).update(text).digest();
+const xor = (a, b) => Buffer.from(a.map((byte, i) => byte ^ b[i]));
+
+// RFC 5802 username escaping
+function scramName(name) {
+  return name.replace(/=/g, '=3D').replace(/,/g, '=2C');
+}
+
+function parseScramMessage(text) {
+  return Object.fromEntries(text.split(',').map(part => [part[0], part.slice(2)]));
+}
+
+// Client-final message and expected server signature for a server-first message
+function scramClientFinal({ password, clientFirstBare, serverFirst, clientNonce }) {
+  const { r: nonce, s: salt, i: iterations } = parseScramMessage(serverFirst);
+  if (!nonce || !nonce.startsWith(clientNonce)) {
+    throw mongoError('SCRAM: server nonce does not extend the client nonce');
+  }
+  if (parseInt(iterations) < 4096) {
+    throw mongoError('SCRAM: server requested fewer than 4096 iterations');
+  }
+
+  // SASLprep, close enough for real-world passwords: NFKC plus non-ASCII spaces as spaces
+  const prepared = password.normalize('NFKC').replace(/[\u00A0\u1680\u2000-\u200B\u202F\u205F\u3000]/g, ' ');
+  const salted = crypto.pbkdf2Sync(prepared, Buffer.from(salt, 'base64'), parseInt(iterations), 32, 'sha256');
+  const clientKey = hmac(salted, 'Client Key');
+  const storedKey = crypto.createHash('sha256').update(clientKey).digest();
+  const withoutProof = `c=biws,r=${nonce}`;
+  const authMessage = `${clientFirstBare},${serverFirst},${withoutProof}`;
+  const proof = xor(clientKey, hmac(storedKey, authMessage));
+
+  return {
+    clientFinal: `${withoutProof},p=${proof.toString('base64')}`,
+    serverSignature: hmac(hmac(salted, 'Server Key'), authMessage).toString('base64')
+  };
+}
+
+async function authenticate(connection, { username, password, source }) {
+  const clientNonce = crypto.randomBytes(24).toString('base64');
+  const clientFirstBare = `n=${scramName(username)},r=${clientNonce}`;
+
+  const start = await connection.command(source, {
+    saslStart: 1,
+    mechanism: 'SCRAM-SHA-256',
+    payload: new Binary(Buffer.from(`n,,${clientFirstBare}`)),
+    autoAuthorize: 1,
+    options: { skipEmptyExchange: true }
+  });
+
+  const serverFirst = start.payload.toString('utf8');
+  const { clientFinal, serverSignature } = scramClientFinal({ password, clientFirstBare, serverFirst, clientNonce });
+
+  let reply = await connection.command(source, {
+    saslContinue: 1,
+    conversationId: start.conversationId,
+    payload: new Binary(Buffer.from(clientFinal))
+  });
+
+  // The server proves it knows the password too
+  const serverFinal = parseScramMessage(reply.payload.toString('utf8'));
+  if (serverFinal.e) {
+    throw mongoError(`SCRAM: ${serverFinal.e}`);
+  }
+  if (serverFinal.v !== serverSignature) {
+    throw mongoError('SCRAM: server signature mismatch');
+  }
+
+  // Older servers want one more empty round before reporting done
+  if (!reply.done) {
+    reply = await connection.command(source, {
+      saslContinue: 1,
+      conversationId: start.conversationId,
+      payload: new Binary(Buffer.alloc(0))
+    });
+  }
+}
+
+// --- Health check -------------------------------------------------------------
+
+const elapsed = since => Math.round(Number(process.hrtime.bigint() - since) / 1e5) / 10;
+
+// Connect to the first reachable host and report what the cluster says about itself.
+// Never throws: failures come back as { success: false, error, data }.
+async function checkMongoConnection(uri, { timeout = DEFAULT_TIMEOUT_MS, database } = {}) {
+  const data = {};
+  let connection = null;
+
+  try {
+    const parsed = parseUri(uri);
+    let hosts = parsed.hosts;
+    let options = parsed.options;
+
+    data.srv = parsed.srv;
+    if (parsed.srv) {
+      const started = process.hrtime.bigint();
+      const resolved = await resolveSrv(parsed.hosts[0].host);
+      hosts = resolved.hosts;
+      options = { ...resolved.txtOptions, ...parsed.options };
+      data.srv_lookup_ms = elapsed(started);
+    }
+
+    const useTls = (options.tls || options.ssl || (parsed.srv ? 'true' : 'false')) === 'true';
+    const timeoutMs = parseInt(options.connecttimeoutms) || timeout;
+    data.tls = useTls;
+    const tlsOptions = useTls && {
+      rejectUnauthorized: options.tlsallowinvalidcertificates !== 'true' && options.tlsinsecure !== 'true',
+      ca: options.tlscafile ? fs.readFileSync(options.tlscafile) : undefined
+    };
+    data.hosts = hosts.map(h => `${h.host}:${h.port}`);
+
+    const failures = [];
+    for (const target of hosts) {
+      const started = process.hrtime.bigint();
+      try {
+        connection = await connect({ ...target, tlsOptions, timeout: timeoutMs });
+        data.connected_to = `${target.host}:${target.port}`;
+        data.connect_ms = elapsed(started);
+        break;
+      } catch (error) {
+        failures.push(`${target.host}:${target.port} - ${error.message}`);
+      }
+    }
+    if (!connection) {
+      throw mongoError(`No host reachable: ${failures.join('; ')}`);
+    }
+
+    const source = options.authsource || parsed.database || 'admin';
+    const hello = {
+      hello: 1,
+      helloOk: true,
+      client: {
+        driver: { name: CLIENT_NAME, version: process.version },
+        os: { type: process.platform },
+        application: { name: CLIENT_NAME }
+      }
+    };
+    if (options.loadbalanced === 'true') hello.loadBalanced = true;
+    if (parsed.username) hello.saslSupportedMechs = `${source}.${parsed.username}`;
+
+    let started = process.hrtime.bigint();
+    const reply = await connection.command('admin', hello);
+    data.hello_ms = elapsed(started);
+
+    data.replica_set = reply.setName || null;
+    data.primary = reply.primary || null;
+    data.is_writable_primary = Boolean(reply.isWritablePrimary ?? reply.ismaster);
+    data.topology = reply.msg === 'isdbgrid' ? 'sharded' : reply.setName ? 'replica_set' : 'standalone';
+    data.max_wire_version = reply.maxWireVersion;
+
+    if (parsed.username) {
+      const mechanism = options.authmechanism || 'SCRAM-SHA-256';
+      const offered = reply.saslSupportedMechs;
+      if (mechanism !== 'SCRAM-SHA-256') {
+        data.auth = { mechanism, success: null, note: 'Only SCRAM-SHA-256 is checked' };
+      } else if (offered && !offered.includes('SCRAM-SHA-256')) {
+        data.auth = { mechanism, success: false, error: `User supports ${offered.join(', ')} only` };
+      } else {
+        started = process.hrtime.bigint();
+        try {
+          await authenticate(connection, { username: parsed.username, password: parsed.password || '', source });
+          data.auth = { mechanism, source, success: true, ms: elapsed(started) };
+        } catch (error) {
+          data.auth = { mechanism, source, success: false, error: error.message };
+        }
+      }
+    }
+
+    // buildInfo and ping are allowed before authentication
+    const buildInfo = await connection.command('admin', { buildInfo: 1 });
+    data.server_version = buildInfo.version;
+
+    started = process.hrtime.bigint();
+    await connection.command(database || parsed.database || 'admin', { ping: 1 });
+    data.round_trip_ms = elapsed(started);
+
+    if (data.auth && data.auth.success === false) {
+      return { success: false, error: `Authentication failed: ${data.auth.error}`, data };
+    }
+    return { success: true, data };
+  } catch (error) {
+    return { success: false, error: error.message, data };
+  } finally {
+    if (connection) connection.close();
+  }
+}
+
+module.exports = {
+  checkMongoConnection,
+  parseUri,
+  scramClientFinal,
+  encodeDocument,
+  decodeDocument
+};
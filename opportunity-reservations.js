@@ -0,0 +1,100 @@
+// opportunity-reservations.js
+// GHL webhook handler: when an opportunity is won, reserve the inventory quoted
+// on it; when it moves to any other status (lost, abandoned, reopened) release
+// that reservation again. Reservations use the reference GHL-OPP-<id>, so
+// consuming stock with that reference fulfils them.
+//
+// The quote is read from the opportunity custom field named by
+// GHL_QUOTE_FIELD_ID (field id or key), formatted as "SKU:qty" entries
+// separated by commas, semicolons or new lines, e.g. "FBS-001:10, MED-001:4".
+const { makeGHLRequest } = require('./ghl');
+const inventoryStore = require('./inventory');
+const log = require('./logger');
+
+function parseQuote(value) {
+  return String(value || '')
+    .split(/[,;\n]/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^([^:\s]+)\s*[:x×]\s*(\d+)$/i);
+      return match
+        ? { sku: match[1].toUpperCase(), quantity: parseInt(match[2]) }
+        : { invalid: entry };
+    });
+}
+
+function quoteFieldValue(opportunity, fieldId) {
+  const field = (opportunity.customFields || []).find(f => f.id === fieldId || f.key === fieldId);
+  if (!field) {
+    return null;
+  }
+  return field.fieldValue ?? field.fieldValueString ?? field.value ?? null;
+}
+
+async function reserveQuotedInventory(event) {
+  const { id, status, name } = event.payload;
+  if (!id) {
+    throw new Error('OpportunityStatusUpdate without an opportunity id');
+  }
+  const reference = `GHL-OPP-${id}`;
+
+  if (status !== 'won') {
+    const released = await inventoryStore.releaseReservations(reference);
+    return { action: released.length > 0 ? 'released' : 'none', reference, released };
+  }
+
+  const fieldId = process.env.GHL_QUOTE_FIELD_ID;
+  if (!fieldId) {
+    return { action: 'skipped', reason: 'GHL_QUOTE_FIELD_ID not configured' };
+  }
+
+  // Webhook payloads do not always include custom fields; fetch the opportunity if not
+  let value = quoteFieldValue(event.payload, fieldId);
+  if (value === null) {
+    const result = await makeGHLRequest(`/opportunities/${id}`);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    value = quoteFieldValue(result.data.opportunity || result.data, fieldId);
+  }
+
+  const lines = parseQuote(value);
+  if (lines.length === 0) {
+    return { action: 'none', reference, reason: 'No quoted items on the opportunity' };
+  }
+
+  const reserved = [];
+  const problems = [];
+
+  for (const line of lines) {
+    if (line.invalid) {
+      problems.push({ entry: line.invalid, error: 'Expected SKU:quantity' });
+      continue;
+    }
+
+    try {
+      await inventoryStore.reserveStock({
+        sku: line.sku,
+        quantity: line.quantity,
+        reference,
+        reason: `Won opportunity${name ? ` "${name}"` : ''}`,
+        user: 'ghl-webhook'
+      });
+      reserved.push(line);
+    } catch (error) {
+      if (!error.statusCode) throw error;
+      problems.push({ sku: line.sku, error: error.message });
+    }
+  }
+
+  if (reserved.length > 0) {
+    log.info(`Reserved inventory for won opportunity ${id}: ${reserved.map(l => `${l.sku} x${l.quantity}`).join(', ')}`);
+  }
+  return { action: 'reserved', reference, reserved, problems };
+}
+
+module.exports = {
+  parseQuote,
+  reserveQuotedInventory
+};
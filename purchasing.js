@@ -0,0 +1,458 @@
+// purchasing.js
+// Suppliers and purchase orders. Suppliers link to SKUs with per-SKU unit cost,
+// lead time and minimum order quantity. Draft POs are generated for items at or
+// below their reorder point, grouped by supplier, and move through
+// draft -> approved -> sent -> received (or cancelled). Receiving a PO books
+// receive movements into inventory with the PO number as reference.
+const crypto = require('crypto');
+const { dataPath, readJsonFile, writeJsonFile } = require('./file-store');
+const inventoryStore = require('./inventory');
+
+const SUPPLIERS_FILE = dataPath('suppliers.json');
+const PURCHASE_ORDERS_FILE = dataPath('purchase-orders.json');
+
+// Drafts order enough to bring stock up to this multiple of the reorder point
+const ORDER_UP_TO_MULTIPLIER = parseFloat(process.env.PO_ORDER_UP_TO_MULTIPLIER || '2');
+
+const PO_STATUSES = ['draft', 'approved', 'sent', 'received', 'cancelled'];
+const OPEN_STATUSES = ['draft', 'approved', 'sent'];
+
+// Allowed status changes: action -> { from, to }
+const TRANSITIONS = {
+  approve: { from: ['draft'], to: 'approved' },
+  send: { from: ['approved'], to: 'sent' },
+  cancel: { from: ['draft', 'approved', 'sent'], to: 'cancelled' }
+};
+
+const suppliers = readJsonFile(SUPPLIERS_FILE, []);
+const purchaseOrders = readJsonFile(PURCHASE_ORDERS_FILE, { next_number: 1, orders: [] });
+
+function purchasingError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// One mutation at a time - receiving awaits inventory writes mid-update
+let queue = Promise.resolve();
+
+function withLock(fn) {
+  const next = queue.catch(() => {}).then(fn);
+  queue = next;
+  return next;
+}
+
+function money(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function nonNegativeNumber(value, field) {
+  const number = Number(value);
+  if (value === null || value === '' || !isFinite(number) || number < 0) {
+    throw purchasingError(400, `${field} must be a non-negative number`);
+  }
+  return number;
+}
+
+function positiveInteger(value, field) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw purchasingError(400, `${field} must be a positive integer`);
+  }
+  return number;
+}
+
+// ---- Suppliers ----
+
+function buildSupplierProduct(link, supplierLeadTime) {
+  if (!link || !link.sku) {
+    throw purchasingError(400, 'each product needs a sku');
+  }
+  return {
+    sku: String(link.sku).trim().toUpperCase(),
+    supplier_sku: link.supplier_sku || null,
+    unit_cost: money(nonNegativeNumber(link.unit_cost === undefined ? 0 : link.unit_cost, 'unit_cost')),
+    lead_time_days: link.lead_time_days === undefined
+      ? supplierLeadTime
+      : nonNegativeNumber(link.lead_time_days, 'lead_time_days'),
+    min_order_qty: link.min_order_qty === undefined ? 1 : positiveInteger(link.min_order_qty, 'min_order_qty'),
+    preferred: Boolean(link.preferred)
+  };
+}
+
+function buildSupplier(fields, base = {}) {
+  const supplier = { ...base };
+
+  ['name', 'email', 'phone', 'contact_name', 'currency', 'notes'].forEach(field => {
+    if (fields[field] !== undefined) {
+      supplier[field] = fields[field];
+    }
+  });
+
+  if (!supplier.name || typeof supplier.name !== 'string') {
+    throw purchasingError(400, 'name is required');
+  }
+
+  if (fields.lead_time_days !== undefined) {
+    supplier.lead_time_days = nonNegativeNumber(fields.lead_time_days, 'lead_time_days');
+  }
+  supplier.lead_time_days = supplier.lead_time_days || 0;
+  supplier.currency = supplier.currency || 'USD';
+
+  if (fields.products !== undefined) {
+    if (!Array.isArray(fields.products)) {
+      throw purchasingError(400, 'products must be an array');
+    }
+    supplier.products = fields.products.map(link => buildSupplierProduct(link, supplier.lead_time_days));
+  }
+  supplier.products = supplier.products || [];
+  supplier.updated_at = new Date().toISOString();
+
+  return supplier;
+}
+
+function listSuppliers({ sku } = {}) {
+  if (sku) {
+    return suppliers.filter(s => s.products.some(p => p.sku === sku.toUpperCase()));
+  }
+  return suppliers;
+}
+
+function getSupplier(id) {
+  const supplier = suppliers.find(s => s.id === id);
+  if (!supplier) {
+    throw purchasingError(404, `Supplier not found: ${id}`);
+  }
+  return supplier;
+}
+
+async function createSupplier(fields) {
+  const supplier = buildSupplier(fields, {
+    id: `sup_${crypto.randomBytes(4).toString('hex')}`,
+    created_at: new Date().toISOString()
+  });
+  suppliers.push(supplier);
+  await writeJsonFile(SUPPLIERS_FILE, suppliers);
+  return supplier;
+}
+
+async function updateSupplier(id, fields) {
+  const index = suppliers.indexOf(getSupplier(id));
+  suppliers[index] = buildSupplier(fields, suppliers[index]);
+  await writeJsonFile(SUPPLIERS_FILE, suppliers);
+  return suppliers[index];
+}
+
+async function deleteSupplier(id) {
+  const supplier = getSupplier(id);
+  const open = purchaseOrders.orders.filter(po => po.supplier_id === id && OPEN_STATUSES.includes(po.status));
+  if (open.length > 0) {
+    throw purchasingError(409, `Supplier has open purchase orders: ${open.map(po => po.id).join(', ')}`);
+  }
+  suppliers.splice(suppliers.indexOf(supplier), 1);
+  await writeJsonFile(SUPPLIERS_FILE, suppliers);
+  return supplier;
+}
+
+// Preferred supplier for a SKU, otherwise the cheapest
+function sourceFor(sku) {
+  const offers = [];
+  suppliers.forEach(supplier => {
+    supplier.products
+      .filter(p => p.sku === sku)
+      .forEach(product => offers.push({ supplier, product }));
+  });
+
+  offers.sort((a, b) => {
+    if (a.product.preferred !== b.product.preferred) return a.product.preferred ? -1 : 1;
+    return a.product.unit_cost - b.product.unit_cost;
+  });
+
+  return offers[0] || null;
+}
+
+// ---- Purchase orders ----
+
+function totalOf(lines) {
+  return money(lines.reduce((sum, line) => sum + line.line_total, 0));
+}
+
+function recordStatus(po, status, user, note) {
+  po.status = status;
+  po.updated_at = new Date().toISOString();
+  po.status_history.push({ status, at: po.updated_at, by: user, ...(note ? { note } : {}) });
+}
+
+async function savePurchaseOrders() {
+  await writeJsonFile(PURCHASE_ORDERS_FILE, purchaseOrders);
+}
+
+function listPurchaseOrders({ status, supplierId } = {}) {
+  return purchaseOrders.orders.filter(po =>
+    (!status || po.status === status) && (!supplierId || po.supplier_id === supplierId)
+  );
+}
+
+function getPurchaseOrder(id) {
+  const po = purchaseOrders.orders.find(o => o.id === id.toUpperCase());
+  if (!po) {
+    throw purchasingError(404, `Purchase order not found: ${id}`);
+  }
+  return po;
+}
+
+// Draft POs for every low item (or just `skus`), one PO per supplier. SKUs already
+// on an open PO are skipped so repeated calls do not double-order.
+function draftPurchaseOrders({ skus, user } = {}) {
+  return withLock(async () => {
+    const wanted = Array.isArray(skus) && skus.length > 0 ? skus.map(s => String(s).toUpperCase()) : null;
+    const items = (await inventoryStore.listItems()).filter(item =>
+      wanted ? wanted.includes(item.sku) : (item.needs_reorder || item.available_quantity <= item.reorder_point)
+    );
+
+    const onOrder = new Set();
+    listPurchaseOrders()
+      .filter(po => OPEN_STATUSES.includes(po.status))
+      .forEach(po => po.lines.forEach(line => onOrder.add(line.sku)));
+
+    const bySupplier = new Map();
+    const skipped = [];
+
+    items.forEach(item => {
+      if (onOrder.has(item.sku)) {
+        skipped.push({ sku: item.sku, reason: 'Already on an open purchase order' });
+        return;
+      }
+
+      const source = sourceFor(item.sku);
+      if (!source) {
+        skipped.push({ sku: item.sku, reason: 'No supplier linked to this SKU' });
+        return;
+      }
+
+      const orderUpTo = Math.ceil(item.reorder_point * ORDER_UP_TO_MULTIPLIER);
+      const quantity = Math.max(source.product.min_order_qty, orderUpTo - item.available_quantity, 1);
+
+      if (!bySupplier.has(source.supplier.id)) {
+        bySupplier.set(source.supplier.id, { supplier: source.supplier, lines: [] });
+      }
+      bySupplier.get(source.supplier.id).lines.push({
+        sku: item.sku,
+        name: item.name,
+        supplier_sku: source.product.supplier_sku,
+        quantity,
+        unit: item.unit,
+        unit_cost: source.product.unit_cost,
+        line_total: money(quantity * source.product.unit_cost),
+        lead_time_days: source.product.lead_time_days,
+        min_order_qty: source.product.min_order_qty,
+        received_quantity: 0,
+        on_hand: item.quantity,
+        reorder_point: item.reorder_point
+      });
+    });
+
+    const created = [];
+    bySupplier.forEach(({ supplier, lines }) => {
+      const leadTime = Math.max(...lines.map(line => line.lead_time_days));
+      const now = new Date();
+      const po = {
+        id: `PO-${String(purchaseOrders.next_number++).padStart(6, '0')}`,
+        supplier_id: supplier.id,
+        supplier_name: supplier.name,
+        supplier_email: supplier.email || null,
+        currency: supplier.currency,
+        status: 'draft',
+        lines,
+        total: totalOf(lines),
+        expected_date: new Date(now.getTime() + leadTime * 86400000).toISOString().slice(0, 10),
+        notes: null,
+        created_at: now.toISOString(),
+        created_by: user,
+        status_history: []
+      };
+      recordStatus(po, 'draft', user, 'Generated from low-stock report');
+      purchaseOrders.orders.push(po);
+      created.push(po);
+    });
+
+    if (created.length > 0) {
+      await savePurchaseOrders();
+    }
+
+    return { created, skipped };
+  });
+}
+
+// A calendar day (YYYY-MM-DD) that really exists, e.g. not 2025-02-30
+function calendarDate(value, field) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+  if (!date || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw purchasingError(400, `${field} must be a YYYY-MM-DD date`);
+  }
+  return value;
+}
+
+// Edit line quantities / costs or notes while a PO is still a draft. Every
+// change is checked against a copy first, so a bad entry leaves the PO untouched.
+function updatePurchaseOrder(id, fields, user) {
+  return withLock(async () => {
+    const po = getPurchaseOrder(id);
+    if (po.status !== 'draft') {
+      throw purchasingError(409, `Only draft purchase orders can be edited (${po.id} is ${po.status})`);
+    }
+
+    let lines = po.lines.map(line => ({ ...line }));
+    if (fields.lines !== undefined) {
+      if (!Array.isArray(fields.lines)) {
+        throw purchasingError(400, 'lines must be an array');
+      }
+      fields.lines.forEach(change => {
+        const line = lines.find(l => l.sku === String(change.sku || '').toUpperCase());
+        if (!line) {
+          throw purchasingError(400, `SKU not on ${po.id}: ${change.sku}`);
+        }
+        if (change.quantity !== undefined) {
+          line.quantity = positiveInteger(change.quantity, 'quantity');
+        }
+        if (change.unit_cost !== undefined) {
+          line.unit_cost = money(nonNegativeNumber(change.unit_cost, 'unit_cost'));
+        }
+        line.line_total = money(line.quantity * line.unit_cost);
+      });
+    }
+
+    if (Array.isArray(fields.remove_skus)) {
+      const remove = fields.remove_skus.map(sku => String(sku).toUpperCase());
+      lines = lines.filter(line => !remove.includes(line.sku));
+    }
+
+    const expectedDate = fields.expected_date !== undefined
+      ? calendarDate(fields.expected_date, 'expected_date')
+      : po.expected_date;
+
+    Object.assign(po, {
+      lines,
+      total: totalOf(lines),
+      notes: fields.notes !== undefined ? fields.notes : po.notes,
+      expected_date: expectedDate,
+      updated_at: new Date().toISOString(),
+      updated_by: user
+    });
+    await savePurchaseOrders();
+    return po;
+  });
+}
+
+// approve / send / cancel
+function transitionPurchaseOrder(id, action, user, note) {
+  return withLock(async () => {
+    const transition = TRANSITIONS[action];
+    const po = getPurchaseOrder(id);
+
+    if (!transition.from.includes(po.status)) {
+      throw purchasingError(409, `Cannot ${action} ${po.id}: status is ${po.status}`);
+    }
+    if (action === 'approve' && po.lines.length === 0) {
+      throw purchasingError(409, `Cannot approve ${po.id}: it has no lines`);
+    }
+
+    recordStatus(po, transition.to, user, note);
+    await savePurchaseOrders();
+    return po;
+  });
+}
+
+// Book received stock into inventory. Without `lines`, everything outstanding is
+// received. Lines may repeat a SKU to split it across lots.
+function receivePurchaseOrder(id, { lines, user } = {}) {
+  return withLock(async () => {
+    const po = getPurchaseOrder(id);
+    if (po.status !== 'sent') {
+      throw purchasingError(409, `Cannot receive ${po.id}: status is ${po.status} (must be sent)`);
+    }
+
+    const receipts = Array.isArray(lines) && lines.length > 0
+      ? lines
+      : po.lines
+        .filter(line => line.quantity > line.received_quantity)
+        .map(line => ({ sku: line.sku, quantity: line.quantity - line.received_quantity }));
+
+    // Validate everything before booking anything
+    const pending = new Map();
+    receipts.forEach(receipt => {
+      const sku = String(receipt.sku || '').toUpperCase();
+      const line = po.lines.find(l => l.sku === sku);
+      if (!line) {
+        throw purchasingError(400, `SKU not on ${po.id}: ${receipt.sku}`);
+      }
+      const quantity = positiveInteger(receipt.quantity, 'quantity');
+      if (receipt.lot !== undefined && receipt.lot !== null &&
+          (!['string', 'number'].includes(typeof receipt.lot) || !String(receipt.lot).trim())) {
+        throw purchasingError(400, `lot for ${sku} must be a non-empty lot number`);
+      }
+      if (receipt.expiry_date !== undefined && receipt.expiry_date !== null && receipt.expiry_date !== '') {
+        calendarDate(receipt.expiry_date, `expiry_date for ${sku}`);
+      }
+      const total = (pending.get(sku) || 0) + quantity;
+      if (line.received_quantity + total > line.quantity) {
+        throw purchasingError(409, `Receiving ${total} of ${sku} exceeds the ${line.quantity - line.received_quantity} outstanding on ${po.id}`);
+      }
+      pending.set(sku, total);
+    });
+    for (const sku of pending.keys()) {
+      if (!(await inventoryStore.getItem(sku))) {
+        throw purchasingError(409, `Cannot receive ${sku} on ${po.id}: it is no longer in inventory`);
+      }
+    }
+
+    const movements = [];
+    try {
+      for (const receipt of receipts) {
+        const line = po.lines.find(l => l.sku === String(receipt.sku).toUpperCase());
+        const result = await inventoryStore.recordMovement({
+          sku: line.sku,
+          type: 'receive',
+          quantity: receipt.quantity,
+          lot: receipt.lot,
+          expiry_date: receipt.expiry_date,
+          coa_ref: receipt.coa_ref,
+          location: receipt.location,
+          reason: `Received on ${po.id}`,
+          reference: po.id,
+          user
+        });
+        line.received_quantity += Number(receipt.quantity);
+        movements.push(...result.movements);
+      }
+    } finally {
+      // Keep whatever was booked, even if a later line failed
+      if (movements.length > 0) {
+        const complete = po.lines.every(line => line.received_quantity >= line.quantity);
+        if (complete) {
+          recordStatus(po, 'received', user);
+        } else {
+          po.updated_at = new Date().toISOString();
+        }
+        await savePurchaseOrders();
+      }
+    }
+
+    return { purchase_order: po, movements };
+  });
+}
+
+module.exports = {
+  PO_STATUSES,
+  listSuppliers,
+  getSupplier,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  listPurchaseOrders,
+  getPurchaseOrder,
+  draftPurchaseOrders,
+  updatePurchaseOrder,
+  transitionPurchaseOrder,
+  receivePurchaseOrder
+};
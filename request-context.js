@@ -0,0 +1,21 @@
+// request-context.js
+// Per-request state that deep helpers need without every caller passing it
+// along (e.g. which GHL location a request is scoped to, or its request id
+// for logging). Each incoming request runs inside its own context object;
+// code outside a request sees {}.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+function getContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = {
+  runWithContext,
+  getContext
+};
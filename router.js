@@ -0,0 +1,227 @@
+// router.js
+// Request routing for the HTTP server. The registry in routes.js declares every
+// method + path; handlers attach to registry entries by operationId, so nothing
+// is served that the OpenAPI document does not describe.
+//
+// Each request runs through the middleware added with use(), in order, as
+// fn(ctx, next), and then its route handler as handler(ctx):
+//   ctx = { req, res, url, query, route, params, allowed, body, rawBody }
+//   - route is the registry entry (null when nothing matched) and params the
+//     decoded path parameters, e.g. { id } for /api/suppliers/{id}
+//   - an unknown path gets 404; a known path with another method gets 405 and
+//     an Allow header listing the methods it does support
+//   - routes the registry gives a request body get it parsed as a JSON object
+//     into ctx.body: at most MAX_BODY_BYTES (413), as application/json or with no
+//     Content-Type at all (any other type gets 415);
+//     handlers registered with { body: 'raw' } get the exact bytes in ctx.rawBody
+//   - an error thrown by a handler or middleware is answered as
+//     { success: false, error } with its statusCode - or 500 and a log line
+const { URL } = require('url');
+const log = require('./logger');
+
+const MAX_BODY_BYTES = parseInt(process.env.MAX_BODY_BYTES || '1048576');
+
+function routerError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Write a JSON response in one go
+function send(res, statusCode, payload, headers) {
+  res.writeHead(statusCode, headers);
+  res.end(JSON.stringify(payload));
+}
+
+// Compile '/api/things/{id}' style paths once for request matching
+function compilePath(path) {
+  const paramNames = [];
+  const pattern = path
+    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    .replace(/\{(\w+)\}/g, (_, name) => {
+      paramNames.push(name);
+      return '([^/]+)';
+    });
+  return { paramNames, regex: new RegExp(`^${pattern}$`) };
+}
+
+// Read the raw body as a Buffer; past `limit` bytes the rest is discarded and the read fails with 413
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => routerError(413, `Request body exceeds ${limit} bytes`);
+    if (parseInt(req.headers['content-length']) > limit) {
+      req.resume();
+      return reject(tooLarge());
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        chunks.length = 0;
+        return reject(tooLarge());
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// A missing Content-Type counts as JSON - clients that never set one kept working
+// before bodies were checked - but a declared non-JSON type is refused
+function isJsonContentType(req) {
+  const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return type === '' || type === 'application/json' || type.endsWith('+json');
+}
+
+// An empty body reads as {}; anything else must be a JSON object
+async function readJsonBody(req, limit) {
+  const raw = await readBody(req, limit);
+  if (raw.length === 0) {
+    return {};
+  }
+  if (!isJsonContentType(req)) {
+    throw routerError(415, 'Content-Type must be application/json');
+  }
+
+  let body;
+  try {
+    body = JSON.parse(raw.toString('utf8'));
+  } catch (e) {
+    throw routerError(400, `Invalid JSON body: ${e.message}`);
+  }
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw routerError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw routerError(400, `Malformed path parameter: ${value}`);
+  }
+}
+
+function createRouter(routeTable) {
+  const entries = routeTable.map(route => ({ route, ...compilePath(route.path), handler: null, options: {} }));
+  const middleware = [];
+
+  // First registry entry for the method wins; HEAD is served by the GET route.
+  // Without one, `allowed` lists the methods the path does support (empty: unknown path).
+  function match(method, pathname) {
+    const allowed = new Set();
+    for (const entry of entries) {
+      const found = pathname.match(entry.regex);
+      if (!found) continue;
+      if (entry.route.method === method || (method === 'HEAD' && entry.route.method === 'GET')) {
+        const params = {};
+        entry.paramNames.forEach((name, i) => {
+          params[name] = decodeParam(found[i + 1]);
+        });
+        return { entry, params, allowed: [] };
+      }
+      allowed.add(entry.route.method);
+    }
+    if (allowed.has('GET')) allowed.add('HEAD');
+    if (allowed.size > 0) allowed.add('OPTIONS');
+    return { entry: null, params: {}, allowed: [...allowed] };
+  }
+
+  async function runHandler(ctx, entry) {
+    const { req, res } = ctx;
+    if (!entry) {
+      if (ctx.allowed.length > 0) {
+        return send(res, 405, { success: false, error: `Method ${req.method} not allowed on ${ctx.url.pathname}` }, { Allow: ctx.allowed.join(', ') });
+      }
+      return send(res, 404, { error: 'Not found', path: req.url });
+    }
+
+    const limit = entry.options.bodyLimit || MAX_BODY_BYTES;
+    if (entry.options.body === 'raw') {
+      ctx.rawBody = await readBody(req, limit);
+    } else if (entry.route.body) {
+      ctx.body = await readJsonBody(req, limit);
+    }
+    return entry.handler(ctx);
+  }
+
+  function handleError(ctx, error) {
+    const { req, res } = ctx;
+    if (!error.statusCode) {
+      log.error(`Error in ${req.method} ${ctx.route ? ctx.route.path : ctx.url.pathname}`, error);
+    }
+    // A response that is already streaming can only be cut short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    const payload = { success: false, error: error.message };
+    if (error.details !== undefined) {
+      payload.details = error.details;
+    }
+    send(res, error.statusCode || 500, payload);
+  }
+
+  return {
+    use(fn) {
+      middleware.push(fn);
+    },
+
+    // options: { body: 'raw' } for the unparsed bytes, { bodyLimit } to override MAX_BODY_BYTES
+    handle(operationId, handler, options = {}) {
+      const entry = entries.find(e => e.route.operationId === operationId);
+      if (!entry) {
+        throw new Error(`No route in the registry with operationId ${operationId}`);
+      }
+      if (entry.handler) {
+        throw new Error(`Route ${operationId} already has a handler`);
+      }
+      entry.handler = handler;
+      entry.options = options;
+    },
+
+    // Registry routes nobody has attached a handler to
+    unhandledRoutes() {
+      return entries.filter(entry => !entry.handler).map(({ route }) => `${route.method} ${route.path} (${route.operationId})`);
+    },
+
+    async dispatch(req, res) {
+      // '//host/path' style request targets would otherwise be read as a host
+      const url = new URL(req.url.replace(/^\/+/, '/'), 'http://localhost');
+      const ctx = { req, res, url, query: url.searchParams, route: null, params: {}, allowed: [], body: undefined, rawBody: undefined };
+      try {
+        // A malformed path fails after the middleware, so it is still logged and counted
+        let matched;
+        try {
+          matched = match(req.method, url.pathname);
+        } catch (error) {
+          matched = { entry: null, params: {}, allowed: [], error };
+        }
+        Object.assign(ctx, { route: matched.entry ? matched.entry.route : null, params: matched.params, allowed: matched.allowed });
+
+        let index = 0;
+        const next = () => {
+          if (index < middleware.length) {
+            return middleware[index++](ctx, next);
+          }
+          if (matched.error) {
+            throw matched.error;
+          }
+          return runHandler(ctx, matched.entry);
+        };
+        await next();
+      } catch (error) {
+        handleError(ctx, error);
+      }
+    }
+  };
+}
+
+module.exports = {
+  MAX_BODY_BYTES,
+  createRouter,
+  send
+};
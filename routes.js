@@ -0,0 +1,2457 @@
+// routes.js
+// Route registry - single description of every endpoint the server exposes.
+// The OpenAPI document served at /openapi.json (and pasted into the Custom GPT
+// Actions editor) is generated from this list, so add new routes here first;
+// the server attaches each route's handler by operationId (see router.js).
+
+const API_TITLE = 'InnovativeBioScience Custom GPT API';
+const API_VERSION = require('./package.json').version;
+const { SCOPES } = require('./auth');
+
+// Shared schemas, referenced from routes as { $ref: '#/components/schemas/<Name>' }
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: false },
+      error: { type: 'string' },
+      details: { description: 'Upstream error message, when available' }
+    },
+    required: ['success', 'error']
+  },
+  InventoryItem: {
+    type: 'object',
+    properties: {
+      sku: { type: 'string', example: 'FBS-001' },
+      name: { type: 'string' },
+      category: { type: 'string', example: 'FBS' },
+      quantity: { type: 'integer' },
+      unit: { type: 'string' },
+      reorder_point: { type: 'integer' },
+      location: { type: 'string' },
+      stock_status: { type: 'string', enum: ['NORMAL', 'LOW'] },
+      needs_reorder: { type: 'boolean' },
+      available_quantity: { type: 'integer', description: 'On hand minus expired lots and reservations' },
+      expired_quantity: { type: 'integer' },
+      reserved_quantity: { type: 'integer', description: 'Held for won opportunities and other references' },
+      reservations: {
+        type: 'object',
+        description: 'Holds keyed by reference (e.g. GHL-OPP-<id>)',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            quantity: { type: 'integer' },
+            reason: { type: ['string', 'null'] },
+            user: { type: 'string' },
+            reserved_at: { type: 'string', format: 'date-time' }
+          }
+        }
+      },
+      unassigned_quantity: { type: 'integer', description: 'Stock not booked to any lot' },
+      lots: {
+        type: 'array',
+        description: 'Lots with stock, first-expiring first',
+        items: { $ref: '#/components/schemas/InventoryLot' }
+      },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' }
+    },
+    required: ['sku', 'name', 'quantity']
+  },
+  InventoryLot: {
+    type: 'object',
+    properties: {
+      lot: { type: 'string' },
+      quantity: { type: 'integer' },
+      expiry_date: { type: ['string', 'null'], format: 'date' },
+      days_to_expiry: { type: ['integer', 'null'] },
+      expired: { type: 'boolean' },
+      location: { type: ['string', 'null'] },
+      coa_ref: { type: ['string', 'null'], description: 'Certificate of analysis reference' },
+      received_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  InventoryItemInput: {
+    type: 'object',
+    description: 'stock_status and needs_reorder are derived from quantity and reorder_point',
+    properties: {
+      name: { type: 'string' },
+      category: { type: 'string', description: 'e.g. FBS, MEDIA, PLASTICS' },
+      unit: { type: 'string', example: 'bottles (500ml)' },
+      reorder_point: { type: 'integer', minimum: 0 },
+      location: { type: 'string', example: 'Cold Storage A1' },
+      quantity: { type: 'integer', minimum: 0, description: 'Booked as an adjust movement when it differs from stock on hand' },
+      reason: { type: 'string', description: 'Recorded on the resulting movement' },
+      user: { type: 'string', description: 'Person making the change; defaults to the API key name' }
+    }
+  },
+  InventoryMovement: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      sku: { type: 'string' },
+      type: { type: 'string', enum: ['receive', 'consume', 'adjust', 'transfer', 'return'] },
+      delta: { type: 'integer', description: 'Signed change to on-hand quantity' },
+      quantity_after: { type: 'integer' },
+      lot: { type: ['string', 'null'] },
+      expiry_date: { type: 'string', format: 'date' },
+      coa_ref: { type: 'string' },
+      lot_location: { type: 'string' },
+      reason: { type: 'string' },
+      user: { type: 'string' },
+      reference: { type: ['string', 'null'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      quantity_moved: { type: 'integer' },
+      from_location: { type: 'string' },
+      to_location: { type: 'string' }
+    }
+  },
+  InventoryItemResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      data: { $ref: '#/components/schemas/InventoryItem' }
+    }
+  },
+  InventoryList: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      count: { type: 'integer' },
+      data: { type: 'array', items: { $ref: '#/components/schemas/InventoryItem' } }
+    }
+  },
+  Contact: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      firstName: { type: 'string' },
+      lastName: { type: 'string' },
+      email: { type: 'string' },
+      phone: { type: 'string' },
+      tags: { type: 'array', items: { type: 'string' } }
+    },
+    additionalProperties: true
+  },
+  ContactInput: {
+    type: 'object',
+    properties: {
+      firstName: { type: 'string' },
+      lastName: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      phone: { type: 'string' },
+      companyName: { type: 'string' },
+      website: { type: 'string' },
+      address1: { type: 'string' },
+      city: { type: 'string' },
+      state: { type: 'string' },
+      postalCode: { type: 'string' },
+      country: { type: 'string' },
+      timezone: { type: 'string' },
+      source: { type: 'string' },
+      dnd: { type: 'boolean' },
+      tags: { type: 'array', items: { type: 'string' }, description: 'Replaces all tags; use the tags endpoints to add or remove' },
+      customFields: {
+        type: 'object',
+        description: 'Custom field values keyed by field id or key (see /api/ghl/custom-fields)',
+        additionalProperties: true
+      }
+    }
+  },
+  Note: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      body: { type: 'string' },
+      userId: { type: 'string' },
+      dateAdded: { type: 'string', format: 'date-time' }
+    },
+    additionalProperties: true
+  },
+  Opportunity: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      status: { type: 'string' },
+      monetaryValue: { type: 'number' },
+      pipelineId: { type: 'string' },
+      pipelineStageId: { type: 'string' },
+      contact: { $ref: '#/components/schemas/Contact' }
+    },
+    additionalProperties: true
+  },
+  Pipeline: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      stages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            position: { type: 'integer' }
+          }
+        }
+      }
+    },
+    additionalProperties: true
+  },
+  PipelineRollup: {
+    type: 'object',
+    properties: {
+      pipeline: {
+        type: 'object',
+        properties: { id: { type: 'string' }, name: { type: 'string' } }
+      },
+      status: { type: 'string' },
+      stages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            count: { type: 'integer' },
+            total_value: { type: 'number' }
+          }
+        }
+      },
+      totals: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          total_value: { type: 'number' }
+        }
+      },
+      generated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  Task: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      dueDate: { type: 'string', format: 'date-time' },
+      completed: { type: 'boolean' },
+      assignedTo: { type: 'string' },
+      contactId: { type: 'string' },
+      contactName: { type: 'string' }
+    },
+    additionalProperties: true
+  },
+  IntegrationTestResult: {
+    type: 'object',
+    properties: {
+      service: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      success: { type: 'boolean' },
+      data: { type: 'object', additionalProperties: true },
+      error: { type: 'string' },
+      circuit: {
+        oneOf: [{ $ref: '#/components/schemas/UpstreamCircuit' }, { type: 'null' }],
+        description: 'Circuit breaker state for this integration, null before its first call'
+      }
+    }
+  },
+  DiagnosticsReport: {
+    type: 'object',
+    properties: {
+      status: {
+        type: 'string',
+        enum: ['healthy', 'degraded', 'unhealthy'],
+        description: 'unhealthy when a REQUIRED_INTEGRATIONS service fails, degraded when an optional one does'
+      },
+      summary: {
+        type: 'object',
+        properties: {
+          ok: { type: 'integer' },
+          failed: { type: 'integer' },
+          not_configured: { type: 'integer' },
+          required_failing: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      services: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['ok', 'failed', 'timeout', 'not_configured'] },
+            latency_ms: { type: 'integer' },
+            required: { type: 'boolean' },
+            data: { type: 'object', additionalProperties: true },
+            error: { type: 'string' },
+            circuit: { oneOf: [{ $ref: '#/components/schemas/UpstreamCircuit' }, { type: 'null' }] }
+          }
+        }
+      },
+      timeout_ms: { type: 'integer' },
+      duration_ms: { type: 'integer' },
+      checked_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  UpstreamCircuit: {
+    type: 'object',
+    properties: {
+      state: { type: 'string', enum: ['closed', 'open', 'half_open'] },
+      consecutive_failures: { type: 'integer' },
+      requests: { type: 'integer' },
+      retries: { type: 'integer' },
+      failures: { type: 'integer' },
+      short_circuited: { type: 'integer', description: 'Calls refused while the circuit was open' },
+      last_error: { type: ['string', 'null'] },
+      last_failure_at: { type: ['string', 'null'], format: 'date-time' },
+      opened_at: { type: ['string', 'null'], format: 'date-time' },
+      retry_at: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  SupplierProduct: {
+    type: 'object',
+    properties: {
+      sku: { type: 'string' },
+      supplier_sku: { type: ['string', 'null'] },
+      unit_cost: { type: 'number' },
+      lead_time_days: { type: 'number' },
+      min_order_qty: { type: 'integer' },
+      preferred: { type: 'boolean', description: 'Use this supplier for the SKU when drafting POs' }
+    },
+    required: ['sku']
+  },
+  Supplier: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      email: { type: 'string' },
+      phone: { type: 'string' },
+      contact_name: { type: 'string' },
+      currency: { type: 'string', default: 'USD' },
+      lead_time_days: { type: 'number', description: 'Default for products without their own lead time' },
+      notes: { type: 'string' },
+      products: { type: 'array', items: { $ref: '#/components/schemas/SupplierProduct' } }
+    }
+  },
+  PurchaseOrder: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', example: 'PO-000001' },
+      supplier_id: { type: 'string' },
+      supplier_name: { type: 'string' },
+      status: { type: 'string', enum: ['draft', 'approved', 'sent', 'received', 'cancelled'] },
+      currency: { type: 'string' },
+      total: { type: 'number' },
+      expected_date: { type: 'string', format: 'date' },
+      notes: { type: ['string', 'null'] },
+      lines: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            sku: { type: 'string' },
+            name: { type: 'string' },
+            quantity: { type: 'integer' },
+            unit_cost: { type: 'number' },
+            line_total: { type: 'number' },
+            received_quantity: { type: 'integer' },
+            on_hand: { type: 'integer', description: 'Stock on hand when drafted' },
+            reorder_point: { type: 'integer' }
+          }
+        }
+      },
+      status_history: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            at: { type: 'string', format: 'date-time' },
+            by: { type: 'string' },
+            note: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  PurchaseOrderResult: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      data: { $ref: '#/components/schemas/PurchaseOrder' }
+    }
+  },
+  WooSyncResult: {
+    type: 'object',
+    properties: {
+      direction: { type: 'string', enum: ['pull', 'push', 'both'] },
+      dry_run: { type: 'boolean' },
+      update_names: { type: 'boolean' },
+      plan: {
+        type: 'object',
+        properties: {
+          pull: {
+            type: 'object',
+            properties: {
+              create: { type: 'array', items: { type: 'object', additionalProperties: true }, description: 'Store SKUs to add to inventory' },
+              name_differences: { type: 'array', items: { type: 'object', additionalProperties: true } }
+            }
+          },
+          push: {
+            type: 'object',
+            properties: {
+              updates: {
+                type: 'array',
+                description: 'Store stock changes, with current (from) and target (to) values',
+                items: { type: 'object', additionalProperties: true }
+              }
+            }
+          },
+          unmapped_inventory: { type: 'array', items: { type: 'string' }, description: 'Inventory SKUs not found in the store' },
+          catalog_without_sku: { type: 'array', items: { type: 'object', additionalProperties: true } }
+        }
+      },
+      applied: {
+        type: ['object', 'null'],
+        properties: {
+          created: { type: 'integer' },
+          renamed: { type: 'integer', description: 'Inventory items renamed to their store name (update_names)' },
+          pushed: { type: 'integer' },
+          failed: {
+            type: 'array',
+            description: 'SKUs that could not be created (action create) or renamed (action rename), or that WooCommerce rejected in a batch (action push); the rest of the sync carried on',
+            items: {
+              type: 'object',
+              properties: {
+                action: { type: 'string', enum: ['create', 'rename', 'push'] },
+                sku: { type: 'string' },
+                product_id: { type: 'integer' },
+                variation_id: { type: ['integer', 'null'] },
+                error: { type: 'string' }
+              }
+            }
+          },
+          cancelled: { type: 'boolean', description: 'The streaming client disconnected; writes stopped at a batch boundary' }
+        }
+      }
+    }
+  },
+  KnowledgeCitation: {
+    type: 'object',
+    properties: {
+      doc_id: { type: ['string', 'null'] },
+      title: { type: 'string' },
+      source: { type: ['string', 'null'] },
+      url: { type: ['string', 'null'] },
+      doc_type: { type: ['string', 'null'] },
+      sku: { type: ['string', 'null'] },
+      lot: { type: ['string', 'null'] },
+      page: { type: ['integer', 'null'] },
+      chunk: { type: ['integer', 'null'] }
+    }
+  },
+  KnowledgeDocumentInput: {
+    type: 'object',
+    properties: {
+      doc_id: { type: 'string', pattern: '^[A-Za-z0-9._-]{1,100}$' },
+      content: { type: 'string' },
+      format: { type: 'string', enum: ['text', 'markdown', 'html'], default: 'text' },
+      title: { type: 'string' },
+      sku: { type: 'string' },
+      doc_type: { type: 'string', description: 'e.g. datasheet, coa, protocol, sds' },
+      lot: { type: 'string' },
+      source: { type: 'string' },
+      url: { type: 'string' },
+      namespace: { type: 'string' }
+    },
+    required: ['doc_id', 'content']
+  },
+  KnowledgeDocument: {
+    type: 'object',
+    properties: {
+      doc_id: { type: 'string' },
+      namespace: { type: 'string' },
+      title: { type: 'string' },
+      format: { type: 'string' },
+      sku: { type: ['string', 'null'] },
+      doc_type: { type: ['string', 'null'] },
+      lot: { type: ['string', 'null'] },
+      source: { type: ['string', 'null'] },
+      url: { type: ['string', 'null'] },
+      chunks: { type: 'integer' },
+      characters: { type: 'integer' },
+      content_sha256: { type: 'string' },
+      ingested_at: { type: 'string', format: 'date-time' },
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  KnowledgeJob: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      status: { type: 'string', enum: ['queued', 'running', 'completed', 'completed_with_errors', 'failed', 'cancelled'] },
+      progress: {
+        type: 'object',
+        properties: {
+          documents_total: { type: 'integer' },
+          documents_done: { type: 'integer' },
+          total_chunks: { type: 'integer' },
+          embedded_chunks: { type: 'integer' },
+          upserted_chunks: { type: 'integer' }
+        }
+      },
+      documents: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            doc_id: { type: 'string' },
+            namespace: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+            chunks: { type: 'integer' },
+            replaced: { type: 'boolean' },
+            stale_deleted: { type: 'integer' },
+            error: { type: 'string' }
+          }
+        }
+      },
+      submitted_by: { type: ['string', 'null'] },
+      created_at: { type: 'string', format: 'date-time' },
+      started_at: { type: ['string', 'null'], format: 'date-time' },
+      finished_at: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  KnowledgeAnswer: {
+    type: 'object',
+    properties: {
+      question: { type: 'string' },
+      namespace: { type: 'string' },
+      filter: { type: ['object', 'null'], additionalProperties: true },
+      passages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            rank: { type: 'integer' },
+            id: { type: 'string' },
+            score: { type: 'number' },
+            text: { type: 'string' },
+            citation: { type: 'string', description: 'Marker of the source in citations, e.g. [1]' },
+            source: { $ref: '#/components/schemas/KnowledgeCitation' }
+          }
+        }
+      },
+      citations: {
+        type: 'array',
+        items: { allOf: [{ $ref: '#/components/schemas/KnowledgeCitation' }, { properties: { ref: { type: 'string' } } }] }
+      },
+      answer_policy: { type: 'string' },
+      embedding_model: { type: 'string' },
+      index: { type: 'string' }
+    }
+  },
+  ChatMessage: {
+    type: 'object',
+    properties: {
+      role: { type: 'string', enum: ['user', 'assistant', 'tool'] },
+      content: { type: ['string', 'null'] },
+      tool_calls: {
+        type: 'array',
+        description: 'Assistant turns only: tools the model called',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            arguments: { type: 'object', additionalProperties: true }
+          }
+        }
+      },
+      tool_call_id: { type: 'string', description: 'Tool turns only: the call this result answers' },
+      name: { type: 'string' },
+      is_error: { type: 'boolean' }
+    },
+    required: ['role']
+  },
+  ChatResponse: {
+    type: 'object',
+    properties: {
+      provider: { type: 'string', enum: ['openai', 'anthropic'] },
+      model: { type: 'string' },
+      reply: { type: 'string' },
+      stop_reason: { type: ['string', 'null'] },
+      steps: { type: 'integer', description: 'Model calls made for this turn' },
+      tool_calls: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            arguments: { type: 'object', additionalProperties: true },
+            ok: { type: 'boolean' },
+            duration_ms: { type: 'integer' }
+          }
+        }
+      },
+      messages: {
+        type: 'array',
+        description: 'Turns added by the server (assistant and tool); append them to the history for the next request',
+        items: { $ref: '#/components/schemas/ChatMessage' }
+      },
+      tools_available: { type: 'array', items: { type: 'string' } },
+      usage: {
+        type: 'object',
+        properties: { input_tokens: { type: 'integer' }, output_tokens: { type: 'integer' } }
+      }
+    }
+  },
+  GhlEvent: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: 'GHL webhookId' },
+      type: { type: 'string', example: 'OpportunityStatusUpdate' },
+      location_id: { type: ['string', 'null'] },
+      received_at: { type: 'string', format: 'date-time' },
+      payload: { type: 'object', additionalProperties: true },
+      handlers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            handler: { type: 'string' },
+            ok: { type: 'boolean' },
+            result: {},
+            error: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      prefix: { type: 'string', description: 'First characters of the key, for identification' },
+      scopes: { type: 'array', items: { type: 'string' } },
+      created_at: { type: 'string', format: 'date-time' },
+      last_used_at: { type: ['string', 'null'], format: 'date-time' },
+      revoked_at: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  GhlTenant: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', description: "'default' is the location configured by GHL_LOCATION_ID" },
+      name: { type: 'string' },
+      location_id: { type: 'string' },
+      api_key_configured: { type: 'boolean' },
+      api_key_ids: { type: 'array', items: { type: 'string' }, description: 'API keys scoped to this location by default; empty means any key may select it' },
+      oauth: { oneOf: [{ $ref: '#/components/schemas/GhlOAuthConnection' }, { type: 'null' }] },
+      created_at: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  GhlOAuthConnection: {
+    type: 'object',
+    description: 'OAuth connection for a location; token material is never returned',
+    properties: {
+      location_id: { type: 'string' },
+      company_id: { type: ['string', 'null'] },
+      user_type: { type: 'string' },
+      scope: { type: ['string', 'null'] },
+      expires_at: { type: 'string', format: 'date-time' },
+      connected_at: { type: 'string', format: 'date-time' },
+      refreshed_at: { type: ['string', 'null'], format: 'date-time' },
+      needs_reauthorization: { type: 'boolean' }
+    }
+  },
+  GhlLocationStats: {
+    type: 'object',
+    properties: {
+      tenant: { type: 'string' },
+      name: { type: 'string' },
+      locationId: { type: 'string' },
+      totalContacts: { type: 'integer' },
+      openOpportunities: { type: 'integer' },
+      errors: { type: 'array', items: { type: 'string' } },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const routes = [
+  {
+    method: 'GET',
+    path: '/health',
+    operationId: 'getHealth',
+    summary: 'Service health and uptime',
+    tags: ['System'],
+    public: true,
+    response: {
+      type: 'object',
+      properties: {
+        status: { type: 'string' },
+        timestamp: { type: 'string', format: 'date-time' },
+        uptime_s: { type: 'integer' },
+        endpoints: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/metrics',
+    operationId: 'getMetrics',
+    summary: 'Prometheus metrics: requests, upstream calls, inventory per SKU and process stats',
+    tags: ['System'],
+    scopes: ['diagnostics'],
+    hidden: true,
+    responseContentTypes: ['text/plain'],
+    response: { type: 'string' }
+  },
+  {
+    method: 'GET',
+    path: '/health/live',
+    operationId: 'getLiveness',
+    summary: 'Liveness probe: the process is up and its event loop is responsive',
+    tags: ['System'],
+    public: true,
+    hidden: true,
+    response: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['alive'] },
+        uptime_s: { type: 'integer' },
+        event_loop_delay_ms: { type: 'object', additionalProperties: { type: 'integer' } },
+        memory_mb: { type: 'object', additionalProperties: { type: 'integer' } }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/health/ready',
+    operationId: 'getReadiness',
+    summary: 'Readiness probe: data directory writable and REQUIRED_INTEGRATIONS passing (503 otherwise)',
+    tags: ['System'],
+    public: true,
+    hidden: true,
+    response: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['ready', 'not_ready'] },
+        checks: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { status: { type: 'string' }, latency_ms: { type: 'integer' } }
+          }
+        },
+        required_integrations: { type: 'array', items: { type: 'string' } },
+        cached: { type: 'boolean' },
+        checked_at: { type: 'string', format: 'date-time' }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/inventory/check',
+    operationId: 'checkInventory',
+    summary: 'Look up inventory by SKU or category, with availability by lot',
+    description: 'Returns a single item when sku is given, all items in a category when category is given, otherwise the full inventory. Each item lists its lots first-expiring first.',
+    tags: ['Inventory'],
+    scopes: ['inventory:read'],
+    body: {
+      type: 'object',
+      properties: {
+        sku: { type: 'string', description: 'Product SKU, e.g. FBS-001' },
+        category: { type: 'string', description: 'e.g. FBS, MEDIA, PLASTICS' }
+      }
+    },
+    response: ref('InventoryList')
+  },
+  {
+    method: 'GET',
+    path: '/api/inventory/low-stock',
+    operationId: 'listLowStock',
+    summary: 'List items at or below their reorder point',
+    tags: ['Inventory'],
+    scopes: ['inventory:read'],
+    response: ref('InventoryList')
+  },
+  {
+    method: 'POST',
+    path: '/api/inventory/movements',
+    operationId: 'recordInventoryMovement',
+    summary: 'Receive, consume, adjust, transfer or return stock',
+    description: 'Quantity on hand is derived from these movements; stock_status and needs_reorder are recomputed on every one. Unlotted consumption is split across lots first-expiring-first-out.',
+    tags: ['Inventory'],
+    scopes: ['inventory:write'],
+    body: {
+      type: 'object',
+      properties: {
+        sku: { type: 'string' },
+        type: { type: 'string', enum: ['receive', 'consume', 'adjust', 'transfer', 'return'] },
+        quantity: { type: 'integer', description: 'Units moved; signed for adjust. Optional on transfer, where it must equal the whole lot (or the whole SKU without a lot)' },
+        counted_quantity: { type: 'integer', description: 'adjust only - physical count to set on hand (or in the lot) to' },
+        to_location: { type: 'string', description: 'transfer only - new location of the lot, or of the SKU and all its lots' },
+        lot: { type: 'string', description: 'Lot number. Omit on consume to allocate first-expiring-first-out' },
+        expiry_date: { type: 'string', format: 'date', description: 'receive only - lot expiry (YYYY-MM-DD)' },
+        coa_ref: { type: 'string', description: 'receive only - certificate of analysis reference' },
+        location: { type: 'string', description: 'receive only - storage location of the lot' },
+        allow_expired: { type: 'boolean', description: 'consume only - let FEFO draw from expired lots' },
+        reason: { type: 'string' },
+        user: { type: 'string', description: 'Person making the movement; defaults to the API key name' },
+        reference: { type: 'string', description: 'PO, order or ticket number' }
+      },
+      required: ['sku', 'type', 'reason']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            movements: { type: 'array', items: ref('InventoryMovement') },
+            item: ref('InventoryItem')
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/inventory/expiring',
+    operationId: 'listExpiringLots',
+    summary: 'Lots expiring within N days, including already expired lots',
+    tags: ['Inventory'],
+    scopes: ['inventory:read'],
+    query: [{ name: 'days', schema: { type: 'integer', default: 30, minimum: 0 } }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        days: { type: 'integer' },
+        count: { type: 'integer' },
+        data: {
+          type: 'array',
+          items: {
+            allOf: [
+              ref('InventoryLot'),
+              { type: 'object', properties: { sku: { type: 'string' }, name: { type: 'string' }, unit: { type: 'string' } } }
+            ]
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/inventory/{sku}/history',
+    operationId: 'getInventoryHistory',
+    summary: 'Movement history for a SKU, newest first',
+    tags: ['Inventory'],
+    scopes: ['inventory:read'],
+    params: [{ name: 'sku', schema: { type: 'string' } }],
+    query: [
+      { name: 'type', schema: { type: 'string', enum: ['receive', 'consume', 'adjust', 'transfer', 'return'] } },
+      { name: 'user', schema: { type: 'string' } },
+      { name: 'limit', schema: { type: 'integer', default: 50, minimum: 1, maximum: 500 } }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        sku: { type: 'string' },
+        count: { type: 'integer' },
+        data: { type: 'array', items: ref('InventoryMovement') }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/inventory/items',
+    operationId: 'listInventoryItems',
+    summary: 'List inventory items, optionally by category',
+    tags: ['Inventory'],
+    scopes: ['inventory:read'],
+    query: [{ name: 'category', schema: { type: 'string' } }],
+    response: ref('InventoryList')
+  },
+  {
+    method: 'POST',
+    path: '/api/inventory/items',
+    operationId: 'createInventoryItem',
+    summary: 'Add a new SKU',
+    tags: ['Inventory'],
+    scopes: ['inventory:write'],
+    body: {
+      allOf: [
+        ref('InventoryItemInput'),
+        { type: 'object', properties: { sku: { type: 'string' } }, required: ['sku', 'name'] }
+      ]
+    },
+    response: ref('InventoryItemResult')
+  },
+  {
+    method: 'GET',
+    path: '/api/inventory/items/{sku}',
+    operationId: 'getInventoryItem',
+    summary: 'Get one inventory item',
+    tags: ['Inventory'],
+    scopes: ['inventory:read'],
+    params: [{ name: 'sku', schema: { type: 'string' } }],
+    response: ref('InventoryItemResult')
+  },
+  {
+    method: 'PUT',
+    path: '/api/inventory/items/{sku}',
+    operationId: 'replaceInventoryItem',
+    summary: 'Replace all editable fields of an item',
+    tags: ['Inventory'],
+    scopes: ['inventory:write'],
+    params: [{ name: 'sku', schema: { type: 'string' } }],
+    body: { allOf: [ref('InventoryItemInput'), { required: ['name'] }] },
+    response: ref('InventoryItemResult')
+  },
+  {
+    method: 'PATCH',
+    path: '/api/inventory/items/{sku}',
+    operationId: 'updateInventoryItem',
+    summary: 'Update quantity, reorder point, location or other fields of an item',
+    tags: ['Inventory'],
+    scopes: ['inventory:write'],
+    params: [{ name: 'sku', schema: { type: 'string' } }],
+    body: ref('InventoryItemInput'),
+    response: ref('InventoryItemResult')
+  },
+  {
+    method: 'DELETE',
+    path: '/api/inventory/items/{sku}',
+    operationId: 'deleteInventoryItem',
+    summary: 'Remove a SKU from inventory',
+    tags: ['Inventory'],
+    scopes: ['inventory:write'],
+    params: [{ name: 'sku', schema: { type: 'string' } }],
+    response: ref('InventoryItemResult')
+  },
+  {
+    method: 'GET',
+    path: '/api/suppliers',
+    operationId: 'listSuppliers',
+    summary: 'List suppliers, optionally those that carry a SKU',
+    tags: ['Purchasing'],
+    scopes: ['inventory:read'],
+    query: [{ name: 'sku', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        count: { type: 'integer' },
+        data: { type: 'array', items: ref('Supplier') }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/suppliers',
+    operationId: 'createSupplier',
+    summary: 'Add a supplier and the SKUs it supplies',
+    tags: ['Purchasing'],
+    scopes: ['inventory:write'],
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        email: { type: 'string' },
+        phone: { type: 'string' },
+        contact_name: { type: 'string' },
+        currency: { type: 'string' },
+        lead_time_days: { type: 'number' },
+        notes: { type: 'string' },
+        products: { type: 'array', items: ref('SupplierProduct') }
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Supplier')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/suppliers/{id}',
+    operationId: 'getSupplier',
+    summary: 'Get one supplier',
+    tags: ['Purchasing'],
+    scopes: ['inventory:read'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Supplier')
+      }
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/suppliers/{id}',
+    operationId: 'updateSupplier',
+    summary: 'Update a supplier; products, when given, replace the whole list',
+    tags: ['Purchasing'],
+    scopes: ['inventory:write'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        email: { type: 'string' },
+        phone: { type: 'string' },
+        contact_name: { type: 'string' },
+        currency: { type: 'string' },
+        lead_time_days: { type: 'number' },
+        notes: { type: 'string' },
+        products: { type: 'array', items: ref('SupplierProduct') }
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Supplier')
+      }
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/suppliers/{id}',
+    operationId: 'deleteSupplier',
+    summary: 'Delete a supplier with no open purchase orders',
+    tags: ['Purchasing'],
+    scopes: ['inventory:write'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Supplier')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/purchase-orders',
+    operationId: 'listPurchaseOrders',
+    summary: 'List purchase orders',
+    tags: ['Purchasing'],
+    scopes: ['inventory:read'],
+    query: [
+      { name: 'status', schema: { type: 'string', enum: ['draft', 'approved', 'sent', 'received', 'cancelled'] } },
+      { name: 'supplierId', schema: { type: 'string' } }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        count: { type: 'integer' },
+        data: { type: 'array', items: ref('PurchaseOrder') }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/purchase-orders/draft',
+    operationId: 'draftPurchaseOrders',
+    summary: 'Draft purchase orders for everything at or below its reorder point',
+    description: 'Creates one draft PO per supplier. Orders up to twice the reorder point, respecting minimum order quantities. SKUs already on an open PO or without a supplier are reported in skipped.',
+    tags: ['Purchasing'],
+    scopes: ['inventory:write'],
+    body: {
+      type: 'object',
+      properties: {
+        skus: { type: 'array', items: { type: 'string' }, description: 'Limit drafting to these SKUs, low or not' }
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            created: { type: 'array', items: ref('PurchaseOrder') },
+            skipped: {
+              type: 'array',
+              items: { type: 'object', properties: { sku: { type: 'string' }, reason: { type: 'string' } } }
+            }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/purchase-orders/{id}',
+    operationId: 'getPurchaseOrder',
+    summary: 'Get one purchase order',
+    tags: ['Purchasing'],
+    scopes: ['inventory:read'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    response: ref('PurchaseOrderResult')
+  },
+  {
+    method: 'PATCH',
+    path: '/api/purchase-orders/{id}',
+    operationId: 'updatePurchaseOrder',
+    summary: 'Edit a draft purchase order',
+    tags: ['Purchasing'],
+    scopes: ['inventory:write'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    body: {
+      type: 'object',
+      properties: {
+        lines: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { sku: { type: 'string' }, quantity: { type: 'integer' }, unit_cost: { type: 'number' } },
+            required: ['sku']
+          }
+        },
+        remove_skus: { type: 'array', items: { type: 'string' } },
+        notes: { type: 'string' },
+        expected_date: { type: 'string', format: 'date' }
+      }
+    },
+    response: ref('PurchaseOrderResult')
+  },
+  {
+    method: 'POST',
+    path: '/api/purchase-orders/{id}/approve',
+    operationId: 'approvePurchaseOrder',
+    summary: 'Approve a draft purchase order',
+    tags: ['Purchasing'],
+    scopes: ['purchasing:approve'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    body: {
+      type: 'object',
+      properties: { note: { type: 'string' } }
+    },
+    response: ref('PurchaseOrderResult')
+  },
+  {
+    method: 'POST',
+    path: '/api/purchase-orders/{id}/send',
+    operationId: 'sendPurchaseOrder',
+    summary: 'Mark an approved purchase order as sent to the supplier',
+    tags: ['Purchasing'],
+    scopes: ['purchasing:approve'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    body: {
+      type: 'object',
+      properties: { note: { type: 'string' } }
+    },
+    response: ref('PurchaseOrderResult')
+  },
+  {
+    method: 'POST',
+    path: '/api/purchase-orders/{id}/cancel',
+    operationId: 'cancelPurchaseOrder',
+    summary: 'Cancel an open purchase order',
+    tags: ['Purchasing'],
+    scopes: ['purchasing:approve'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    body: {
+      type: 'object',
+      properties: { note: { type: 'string' } }
+    },
+    response: ref('PurchaseOrderResult')
+  },
+  {
+    method: 'POST',
+    path: '/api/purchase-orders/{id}/receive',
+    operationId: 'receivePurchaseOrder',
+    summary: 'Receive a sent purchase order into inventory',
+    description: 'Without lines, everything outstanding is received. Lines may repeat a SKU to split it across lots.',
+    tags: ['Purchasing'],
+    scopes: ['inventory:write'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    body: {
+      type: 'object',
+      properties: {
+        lines: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              sku: { type: 'string' },
+              quantity: { type: 'integer' },
+              lot: { type: 'string' },
+              expiry_date: { type: 'string', format: 'date' },
+              coa_ref: { type: 'string' },
+              location: { type: 'string' }
+            },
+            required: ['sku', 'quantity']
+          }
+        },
+        user: { type: 'string' }
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            purchase_order: ref('PurchaseOrder'),
+            movements: { type: 'array', items: ref('InventoryMovement') }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/woocommerce/sync/diff',
+    operationId: 'diffWooCommerceSync',
+    summary: 'Dry run: show what a WooCommerce sync would change',
+    tags: ['WooCommerce'],
+    scopes: ['inventory:read'],
+    query: [{ name: 'direction', schema: { type: 'string', enum: ['pull', 'push', 'both'], default: 'both' } }],
+    response: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, data: ref('WooSyncResult') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/woocommerce/sync',
+    operationId: 'syncWooCommerce',
+    summary: 'Sync the WooCommerce catalog and stock levels',
+    description: 'pull adds store SKUs missing from inventory, and with update_names also takes the store\'s product names; push writes our available quantity and stock status to the store. dry_run defaults to true. With Accept: text/event-stream, progress events are streamed and the result arrives as the done event; disconnecting stops the sync at the next batch.',
+    tags: ['WooCommerce'],
+    scopes: ['inventory:write'],
+    responseContentTypes: ['application/json', 'text/event-stream'],
+    body: {
+      type: 'object',
+      properties: {
+        direction: { type: 'string', enum: ['pull', 'push', 'both'], default: 'both' },
+        dry_run: { type: 'boolean', default: true },
+        update_names: { type: 'boolean', default: false, description: 'pull only - rename inventory items to their store name (see plan.pull.name_differences)' }
+      }
+    },
+    response: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, data: ref('WooSyncResult') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/woocommerce/sync/status',
+    operationId: 'getWooCommerceSyncStatus',
+    summary: 'Whether a sync is running and the result of the last applied sync',
+    tags: ['WooCommerce'],
+    scopes: ['inventory:read'],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            in_progress: { type: 'boolean' },
+            last_sync_at: { type: ['string', 'null'], format: 'date-time' },
+            last_summary: { type: ['object', 'null'], additionalProperties: true }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/knowledge/query',
+    operationId: 'queryKnowledgeBase',
+    summary: 'Search product documents (datasheets, protocols, CoAs) for passages that answer a question',
+    description: 'Use for product-support questions. Answer only from the returned passages and cite them with their [n] markers; if nothing relevant comes back, say the documents do not cover it.',
+    tags: ['Knowledge'],
+    scopes: ['knowledge:read'],
+    body: {
+      type: 'object',
+      properties: {
+        question: { type: 'string', maxLength: 2000 },
+        namespace: { type: 'string', description: 'Pinecone namespace; default namespace when omitted' },
+        sku: { type: 'string', description: 'Only documents for this SKU' },
+        doc_type: { type: 'string', description: 'Only this document type, e.g. datasheet, protocol, coa, sds' },
+        filter: { type: 'object', additionalProperties: true, description: 'Pinecone metadata filter, e.g. {"lot": {"$eq": "L2301"}}' },
+        top_k: { type: 'integer', minimum: 1, maximum: 20, default: 5 },
+        min_score: { type: 'number', minimum: 0, maximum: 1, default: 0 }
+      },
+      required: ['question']
+    },
+    response: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, data: ref('KnowledgeAnswer') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/knowledge/documents',
+    operationId: 'ingestKnowledgeDocuments',
+    summary: 'Queue text, Markdown or HTML documents for chunking, embedding and indexing',
+    description: 'Send one document or {documents: [...]} (up to 50). Re-ingesting a doc_id replaces its previous vectors. Returns 202 with a job to poll. With Accept: text/event-stream the job streams as progress events until done; disconnecting cancels the documents not yet started.',
+    tags: ['Knowledge'],
+    scopes: ['knowledge:write'],
+    responseContentTypes: ['application/json', 'text/event-stream'],
+    body: {
+      type: 'object',
+      properties: {
+        documents: { type: 'array', items: ref('KnowledgeDocumentInput'), maxItems: 50 },
+        doc_id: { type: 'string', description: 'Single-document form: the KnowledgeDocumentInput fields at the top level' }
+      }
+    },
+    response: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, data: ref('KnowledgeJob') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/knowledge/documents',
+    operationId: 'listKnowledgeDocuments',
+    summary: 'Documents in the knowledge base',
+    tags: ['Knowledge'],
+    scopes: ['knowledge:read'],
+    query: [
+      { name: 'namespace', schema: { type: 'string' } },
+      { name: 'sku', schema: { type: 'string' } },
+      { name: 'doc_type', schema: { type: 'string' } }
+    ],
+    response: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, data: { type: 'array', items: ref('KnowledgeDocument') } }
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/knowledge/documents/{docId}',
+    operationId: 'deleteKnowledgeDocument',
+    summary: 'Remove every chunk of a document from the index',
+    tags: ['Knowledge'],
+    scopes: ['knowledge:write'],
+    params: [{ name: 'docId', schema: { type: 'string' } }],
+    query: [{ name: 'namespace', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            doc_id: { type: 'string' },
+            namespace: { type: 'string' },
+            deleted_chunks: { type: 'integer' }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/knowledge/jobs',
+    operationId: 'listKnowledgeJobs',
+    summary: 'Recent ingestion jobs, newest first',
+    tags: ['Knowledge'],
+    scopes: ['knowledge:read'],
+    response: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, data: { type: 'array', items: ref('KnowledgeJob') } }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/knowledge/jobs/{id}',
+    operationId: 'getKnowledgeJob',
+    summary: 'Progress of an ingestion job',
+    description: 'With Accept: text/event-stream, progress events stream until the job finishes (done event). The job keeps running if the watcher disconnects.',
+    tags: ['Knowledge'],
+    scopes: ['knowledge:read'],
+    responseContentTypes: ['application/json', 'text/event-stream'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, data: ref('KnowledgeJob') }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/chat',
+    operationId: 'chat',
+    summary: 'Ask the operations assistant; the server runs its inventory, CRM and document tool calls',
+    description: 'For clients without their own model (Slack bot, scripts). Send the whole conversation each time: the previous history plus the messages returned last turn, then the new user message. Tools are limited to the scopes of the calling key, and CRM tools act on its GHL location. With Accept: text/event-stream the answer streams as start, token, tool_call and tool_result events followed by done; disconnecting cancels the model call.',
+    tags: ['Chat'],
+    responseContentTypes: ['application/json', 'text/event-stream'],
+    scopes: ['chat'],
+    // The GPT already has these operations directly
+    hidden: true,
+    body: {
+      type: 'object',
+      properties: {
+        messages: { type: 'array', items: ref('ChatMessage'), maxItems: 50 },
+        provider: { type: 'string', enum: ['openai', 'anthropic'], description: 'Defaults to CHAT_PROVIDER, else the first configured' },
+        model: { type: 'string', description: 'Defaults to OPENAI_CHAT_MODEL / ANTHROPIC_CHAT_MODEL' },
+        system: { type: 'string', description: 'Extra instructions appended to the built-in system prompt' },
+        max_steps: { type: 'integer', minimum: 1, maximum: 10, default: 6 }
+      },
+      required: ['messages']
+    },
+    response: {
+      type: 'object',
+      properties: { success: { type: 'boolean' }, data: ref('ChatResponse') }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/contacts',
+    operationId: 'listContacts',
+    summary: 'List or search GoHighLevel contacts',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    query: [
+      { name: 'search', schema: { type: 'string' }, description: 'Free-text search on name, email or phone' },
+      { name: 'limit', schema: { type: 'integer', default: 20, minimum: 1, maximum: 500 } },
+      { name: 'cursor', schema: { type: 'string' }, description: 'next_cursor from the previous page' }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: ref('Contact') },
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        next_cursor: { type: ['string', 'null'], description: 'Pass as cursor for the next page; null on the last page' }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/ghl/contacts',
+    operationId: 'createContact',
+    summary: 'Create a GoHighLevel contact',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    body: {
+      type: 'object',
+      properties: {
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        phone: { type: 'string' },
+        tags: { type: 'array', items: { type: 'string' } },
+        customFields: {
+          type: 'object',
+          description: 'Custom field values keyed by field id or key',
+          additionalProperties: true
+        }
+      },
+      description: 'Either email or phone is required'
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Contact')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/contacts/{id}',
+    operationId: 'getContact',
+    summary: 'Get one contact, including custom field values',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    params: [{ name: 'id', schema: { type: 'string' }, description: 'GHL contact id' }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Contact')
+      }
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/ghl/contacts/{id}',
+    operationId: 'updateContact',
+    summary: 'Update contact fields and custom fields',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [{ name: 'id', schema: { type: 'string' }, description: 'GHL contact id' }],
+    body: ref('ContactInput'),
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Contact')
+      }
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/ghl/contacts/{id}',
+    operationId: 'deleteContact',
+    summary: 'Delete a contact',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [{ name: 'id', schema: { type: 'string' }, description: 'GHL contact id' }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'object', additionalProperties: true }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/ghl/contacts/{id}/tags',
+    operationId: 'addContactTags',
+    summary: 'Add tags to a contact',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [{ name: 'id', schema: { type: 'string' }, description: 'GHL contact id' }],
+    body: {
+      type: 'object',
+      properties: { tags: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+      required: ['tags']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/ghl/contacts/{id}/tags',
+    operationId: 'removeContactTags',
+    summary: 'Remove tags from a contact',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [{ name: 'id', schema: { type: 'string' }, description: 'GHL contact id' }],
+    body: {
+      type: 'object',
+      properties: { tags: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+      required: ['tags']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/contacts/{id}/notes',
+    operationId: 'listContactNotes',
+    summary: 'List notes on a contact',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    params: [{ name: 'id', schema: { type: 'string' }, description: 'GHL contact id' }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: ref('Note') }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/ghl/contacts/{id}/notes',
+    operationId: 'createContactNote',
+    summary: 'Add a note to a contact',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [{ name: 'id', schema: { type: 'string' }, description: 'GHL contact id' }],
+    body: {
+      type: 'object',
+      properties: {
+        body: { type: 'string', description: 'Note text' },
+        userId: { type: 'string', description: 'GHL user the note is attributed to' }
+      },
+      required: ['body']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Note')
+      }
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/ghl/contacts/{id}/notes/{noteId}',
+    operationId: 'updateContactNote',
+    summary: 'Edit a contact note',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [
+      { name: 'id', schema: { type: 'string' }, description: 'GHL contact id' },
+      { name: 'noteId', schema: { type: 'string' } }
+    ],
+    body: {
+      type: 'object',
+      properties: {
+        body: { type: 'string', description: 'Note text' },
+        userId: { type: 'string', description: 'GHL user the note is attributed to' }
+      },
+      required: ['body']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Note')
+      }
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/ghl/contacts/{id}/notes/{noteId}',
+    operationId: 'deleteContactNote',
+    summary: 'Delete a contact note',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [
+      { name: 'id', schema: { type: 'string' }, description: 'GHL contact id' },
+      { name: 'noteId', schema: { type: 'string' } }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'object', additionalProperties: true }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/ghl/contacts/{id}/tasks',
+    operationId: 'createContactTask',
+    summary: 'Create a task on a contact',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [{ name: 'id', schema: { type: 'string' }, description: 'GHL contact id' }],
+    body: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        body: { type: 'string' },
+        dueDate: { type: 'string', format: 'date-time' },
+        assignedTo: { type: 'string', description: 'GHL user id' }
+      },
+      required: ['title', 'dueDate']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Task')
+      }
+    }
+  },
+  {
+    method: 'PATCH',
+    path: '/api/ghl/contacts/{id}/tasks/{taskId}',
+    operationId: 'updateContactTask',
+    summary: 'Complete, reopen, reassign or reschedule a task',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [
+      { name: 'id', schema: { type: 'string' }, description: 'GHL contact id' },
+      { name: 'taskId', schema: { type: 'string' } }
+    ],
+    body: {
+      type: 'object',
+      properties: {
+        completed: { type: 'boolean' },
+        assignedTo: { type: 'string', description: 'GHL user id' },
+        dueDate: { type: 'string', format: 'date-time' },
+        title: { type: 'string' },
+        body: { type: 'string' }
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Task')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/custom-fields',
+    operationId: 'listContactCustomFields',
+    summary: 'Contact custom field definitions (ids and keys for customFields)',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: { type: 'object', additionalProperties: true } }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/opportunities',
+    operationId: 'listOpportunities',
+    summary: 'List GoHighLevel opportunities by status',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    query: [
+      { name: 'status', schema: { type: 'string', enum: ['open', 'won', 'lost', 'abandoned', 'all'], default: 'open' } },
+      { name: 'pipelineId', schema: { type: 'string' } },
+      { name: 'limit', schema: { type: 'integer', default: 20, minimum: 1, maximum: 500 } },
+      { name: 'cursor', schema: { type: 'string' }, description: 'next_cursor from the previous page' }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: ref('Opportunity') },
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        next_cursor: { type: ['string', 'null'], description: 'Pass as cursor for the next page; null on the last page' }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/opportunities/{id}',
+    operationId: 'getOpportunity',
+    summary: 'Get one opportunity',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Opportunity')
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/ghl/opportunities',
+    operationId: 'createOpportunity',
+    summary: 'Create an opportunity for a contact',
+    description: 'The stage can be given by id, or by name within pipelineId; with neither the pipeline\'s first stage is used.',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    body: {
+      type: 'object',
+      properties: {
+        contactId: { type: 'string' },
+        name: { type: 'string' },
+        pipelineId: { type: 'string' },
+        pipelineStageId: { type: 'string' },
+        stageName: { type: 'string' },
+        monetaryValue: { type: 'number', minimum: 0 },
+        source: { type: 'string', example: 'Custom GPT' },
+        status: { type: 'string', enum: ['open', 'won', 'lost', 'abandoned'], default: 'open' },
+        assignedTo: { type: 'string', description: 'GHL user id' }
+      },
+      required: ['contactId', 'name']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Opportunity')
+      }
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/ghl/opportunities/{id}/stage',
+    operationId: 'moveOpportunityStage',
+    summary: 'Move an opportunity to another stage',
+    description: 'Give pipelineStageId, or stageName (looked up in pipelineId, or the deal\'s current pipeline).',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    body: {
+      type: 'object',
+      properties: {
+        pipelineStageId: { type: 'string' },
+        stageName: { type: 'string' },
+        pipelineId: { type: 'string' }
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('Opportunity')
+      }
+    }
+  },
+  {
+    method: 'PUT',
+    path: '/api/ghl/opportunities/{id}/status',
+    operationId: 'setOpportunityStatus',
+    summary: 'Mark an opportunity won or lost (or reopen / abandon it)',
+    description: 'Marking a deal won reserves its quoted inventory once GHL sends the status webhook.',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:write'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    body: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['won', 'lost', 'open', 'abandoned'] },
+        lostReasonId: { type: 'string' }
+      },
+      required: ['status']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'object', additionalProperties: true }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/pipelines',
+    operationId: 'listPipelines',
+    summary: 'List pipelines with their stages in board order',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: ref('Pipeline') }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/pipelines/{id}/rollup',
+    operationId: 'getPipelineRollup',
+    summary: 'Opportunity count and total monetary value per stage, for pipeline reviews',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    query: [
+      { name: 'status', schema: { type: 'string', enum: ['open', 'won', 'lost', 'abandoned', 'all'], default: 'open' } }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('PipelineRollup')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/tasks',
+    operationId: 'listTasks',
+    summary: 'List GoHighLevel tasks for one contact or across the whole location',
+    description: 'Without contactId the location\'s task search is used, filtered on status and assignee by GHL. Sorted by due date.',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    query: [
+      { name: 'contactId', schema: { type: 'string' } },
+      { name: 'status', schema: { type: 'string', enum: ['open', 'completed', 'all'], default: 'open' } },
+      { name: 'assignedTo', schema: { type: 'string' }, description: 'GHL user id' },
+      { name: 'dueBefore', schema: { type: 'string', format: 'date-time' }, description: 'Due at or before this date' },
+      { name: 'dueAfter', schema: { type: 'string', format: 'date-time' }, description: 'Due at or after this date' },
+      { name: 'overdue', schema: { type: 'boolean' }, description: 'Only open tasks past their due date' }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: ref('Task') },
+        total: { type: 'integer' },
+        truncated: { type: 'boolean', description: 'Only the first GHL_TASK_SEARCH_MAX_PAGES pages of the location were read' }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/export/{resource}',
+    operationId: 'exportGhlRecords',
+    summary: 'Stream every contact or opportunity as NDJSON or CSV',
+    description: 'The response is streamed page by page; a connection closed before the end means the export failed part-way.',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    params: [{ name: 'resource', schema: { type: 'string', enum: ['contacts', 'opportunities'] } }],
+    query: [
+      { name: 'format', schema: { type: 'string', enum: ['ndjson', 'csv'], default: 'ndjson' } },
+      { name: 'search', schema: { type: 'string' }, description: 'Contacts only' },
+      { name: 'status', schema: { type: 'string', enum: ['open', 'won', 'lost', 'abandoned', 'all'] }, description: 'Opportunities only' },
+      { name: 'pipelineId', schema: { type: 'string' }, description: 'Opportunities only' }
+    ],
+    responseContentTypes: ['application/x-ndjson', 'text/csv'],
+    response: { type: 'string' }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/stats',
+    operationId: 'getGhlStats',
+    summary: 'Contact and open-opportunity totals for the location',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            locationId: { type: 'string' },
+            totalContacts: { type: 'integer' },
+            openOpportunities: { type: 'integer' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/stats/all',
+    operationId: 'getGhlStatsAllLocations',
+    summary: 'Contact and open-opportunity totals for every location this key can use',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            locations: { type: 'array', items: ref('GhlLocationStats') },
+            totals: {
+              type: 'object',
+              properties: {
+                totalContacts: { type: 'integer' },
+                openOpportunities: { type: 'integer' }
+              }
+            },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/locations',
+    operationId: 'listGhlLocations',
+    summary: 'GHL locations this key can select with the X-GHL-Location header',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              name: { type: 'string' },
+              location_id: { type: 'string' },
+              current: { type: 'boolean', description: 'The location this request was scoped to' }
+            }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/ghl/events',
+    operationId: 'listGhlEvents',
+    summary: 'Recent GoHighLevel webhook events and what each handler did with them',
+    tags: ['GoHighLevel'],
+    scopes: ['ghl:read'],
+    query: [
+      { name: 'type', schema: { type: 'string' }, description: 'Event type, e.g. OpportunityStatusUpdate' },
+      { name: 'limit', schema: { type: 'integer', default: 50, minimum: 1, maximum: 500 } }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        count: { type: 'integer' },
+        data: { type: 'array', items: ref('GhlEvent') }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/diagnostics/upstreams',
+    operationId: 'getUpstreamDiagnostics',
+    summary: 'Circuit breaker, retry and concurrency state for each outbound integration',
+    tags: ['Diagnostics'],
+    scopes: ['diagnostics'],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        timestamp: { type: 'string', format: 'date-time' },
+        data: {
+          type: 'object',
+          properties: {
+            config: { type: 'object', additionalProperties: true },
+            upstreams: { type: 'object', additionalProperties: ref('UpstreamCircuit') },
+            hosts: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: { active: { type: 'integer' }, queued: { type: 'integer' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/test/all',
+    operationId: 'testAllIntegrations',
+    summary: 'Run every integration check in parallel and report an overall status',
+    description: 'Each check has its own time limit. Returns 503 when a required integration (REQUIRED_INTEGRATIONS) is failing.',
+    tags: ['Diagnostics'],
+    scopes: ['diagnostics'],
+    query: [
+      { name: 'services', schema: { type: 'string' }, description: 'Comma-separated subset, e.g. ghl,openai' },
+      { name: 'timeout_ms', schema: { type: 'integer', minimum: 100, maximum: 30000, default: 8000 }, description: 'Time limit per check' }
+    ],
+    response: ref('DiagnosticsReport')
+  },
+  {
+    method: 'GET',
+    path: '/api/test/{service}',
+    operationId: 'testIntegration',
+    summary: 'Run the connectivity check for one integration',
+    tags: ['Diagnostics'],
+    scopes: ['diagnostics'],
+    params: [
+      {
+        name: 'service',
+        schema: { type: 'string', enum: ['mongodb', 'ghl', 'openai', 'anthropic', 'pinecone', 'woocommerce'] }
+      }
+    ],
+    response: ref('IntegrationTestResult')
+  },
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    operationId: 'getOpenApiSpec',
+    summary: 'This OpenAPI document',
+    tags: ['System'],
+    public: true,
+    response: { type: 'object' }
+  },
+  {
+    method: 'GET',
+    path: '/.well-known/ai-plugin.json',
+    operationId: 'getAiPluginManifest',
+    summary: 'GPT plugin manifest pointing at /openapi.json',
+    tags: ['System'],
+    public: true,
+    response: { type: 'object' }
+  },
+  {
+    method: 'POST',
+    path: '/api/webhooks/ghl',
+    operationId: 'receiveGhlWebhook',
+    summary: 'GoHighLevel webhook receiver (x-wh-signature RSA signature, not API key)',
+    tags: ['Webhooks'],
+    public: true,
+    hidden: true,
+    body: { type: 'object' },
+    response: { type: 'object' }
+  },
+  {
+    method: 'POST',
+    path: '/api/webhooks/woocommerce',
+    operationId: 'receiveWooCommerceWebhook',
+    summary: 'WooCommerce order webhook receiver (X-WC-Webhook-Signature HMAC, not API key)',
+    tags: ['Webhooks'],
+    public: true,
+    hidden: true,
+    body: { type: 'object' },
+    response: { type: 'object' }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/keys',
+    operationId: 'listApiKeys',
+    summary: 'List API keys (hashes are never returned)',
+    tags: ['Admin'],
+    scopes: ['admin'],
+    hidden: true,
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: ref('ApiKey') }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/keys',
+    operationId: 'createApiKey',
+    summary: 'Mint an API key; the plaintext key is only returned here',
+    tags: ['Admin'],
+    scopes: ['admin'],
+    hidden: true,
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        scopes: { type: 'array', items: { type: 'string', enum: SCOPES } }
+      },
+      required: ['name', 'scopes']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { allOf: [ref('ApiKey'), { properties: { key: { type: 'string' } } }] }
+      }
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/admin/keys/{id}',
+    operationId: 'revokeApiKey',
+    summary: 'Revoke an API key',
+    tags: ['Admin'],
+    scopes: ['admin'],
+    hidden: true,
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('ApiKey')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/oauth/ghl/authorize',
+    operationId: 'startGhlOAuth',
+    summary: 'Redirect (302) to the GHL consent screen to connect a location; the body carries the same URL',
+    tags: ['Admin'],
+    scopes: ['admin'],
+    hidden: true,
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            url: { type: 'string' },
+            state: { type: 'string' },
+            expires_at: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/oauth/ghl/callback',
+    operationId: 'completeGhlOAuth',
+    summary: 'GHL OAuth redirect target (validated by state, not API key)',
+    tags: ['Admin'],
+    public: true,
+    hidden: true,
+    query: [
+      { name: 'code', schema: { type: 'string' } },
+      { name: 'state', schema: { type: 'string' } }
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: {
+          type: 'object',
+          properties: {
+            connection: ref('GhlOAuthConnection'),
+            tenant: ref('GhlTenant')
+          }
+        }
+      }
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/admin/oauth/ghl/{locationId}',
+    operationId: 'disconnectGhlOAuth',
+    summary: 'Forget the stored OAuth tokens for a location',
+    tags: ['Admin'],
+    scopes: ['admin'],
+    hidden: true,
+    params: [{ name: 'locationId', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('GhlOAuthConnection')
+      }
+    }
+  },
+  {
+    method: 'GET',
+    path: '/api/admin/tenants',
+    operationId: 'listGhlTenants',
+    summary: 'List registered GHL locations (credentials are never returned)',
+    tags: ['Admin'],
+    scopes: ['admin'],
+    hidden: true,
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: { type: 'array', items: ref('GhlTenant') }
+      }
+    }
+  },
+  {
+    method: 'POST',
+    path: '/api/admin/tenants',
+    operationId: 'createGhlTenant',
+    summary: 'Register a GHL location and the credentials for it',
+    tags: ['Admin'],
+    scopes: ['admin'],
+    hidden: true,
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        location_id: { type: 'string' },
+        api_key: { type: 'string', description: 'GHL private integration token for the location - stored encrypted, so GHL_TOKEN_ENCRYPTION_KEY must be set' },
+        api_key_ids: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['name', 'location_id', 'api_key']
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('GhlTenant')
+      }
+    }
+  },
+  {
+    method: 'PATCH',
+    path: '/api/admin/tenants/{id}',
+    operationId: 'updateGhlTenant',
+    summary: 'Rename a GHL location, rotate its token or change which keys use it',
+    tags: ['Admin'],
+    scopes: ['admin'],
+    hidden: true,
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    body: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        api_key: { type: 'string' },
+        api_key_ids: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('GhlTenant')
+      }
+    }
+  },
+  {
+    method: 'DELETE',
+    path: '/api/admin/tenants/{id}',
+    operationId: 'deleteGhlTenant',
+    summary: 'Remove a registered GHL location',
+    tags: ['Admin'],
+    scopes: ['admin'],
+    hidden: true,
+    params: [{ name: 'id', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        data: ref('GhlTenant')
+      }
+    }
+  }
+];
+
+// Public base URL of this deployment - explicit override, Railway's domain, or the request host
+function resolveServerUrl(req) {
+  if (process.env.PUBLIC_URL) {
+    return process.env.PUBLIC_URL.replace(/\/+$/, '');
+  }
+  if (process.env.RAILWAY_PUBLIC_DOMAIN) {
+    return `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`;
+  }
+  const proto = (req && req.headers['x-forwarded-proto']) || 'http';
+  const host = (req && req.headers.host) || `localhost:${process.env.PORT || 3000}`;
+  return `${proto.split(',')[0]}://${host}`;
+}
+
+const GHL_LOCATION_PARAM = {
+  name: 'X-GHL-Location',
+  in: 'header',
+  required: false,
+  description: 'Tenant id or location id from /api/ghl/locations; defaults to the location tied to the API key',
+  schema: { type: 'string' }
+};
+
+// Streamed responses: `event: <name>` / `data: <JSON>` blocks, ending with done or error
+const EVENT_STREAM_SCHEMA = {
+  type: 'string',
+  description: 'Server-Sent Events; data lines are JSON. The last event is done (the JSON response data) or error.'
+};
+
+function buildOperation(route) {
+  const operation = {
+    operationId: route.operationId,
+    summary: route.summary,
+    tags: route.tags
+  };
+
+  if (route.description) {
+    operation.description = route.description;
+  }
+
+  const parameters = [
+    ...(route.params || []).map(p => ({ in: 'path', required: true, ...p })),
+    ...(route.query || []).map(p => ({ in: 'query', required: false, ...p }))
+  ];
+  // Every GHL call can be pointed at another registered location
+  if (route.tags.includes('GoHighLevel')) {
+    parameters.push(GHL_LOCATION_PARAM);
+  }
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: route.body } }
+    };
+  }
+
+  // Streaming routes declare their own media types instead of the JSON envelope
+  const contentTypes = route.responseContentTypes || ['application/json'];
+  operation.responses = {
+    200: {
+      description: 'Successful response',
+      content: Object.fromEntries(contentTypes.map(type => [type, {
+        schema: type === 'text/event-stream' ? EVENT_STREAM_SCHEMA : route.response || { type: 'object' }
+      }]))
+    },
+    default: {
+      description: 'Error response',
+      content: { 'application/json': { schema: ref('Error') } }
+    }
+  };
+
+  // OpenAPI 3.1 allows role names on non-OAuth schemes - we list the key scopes
+  operation.security = route.public ? [] : [{ bearerAuth: route.scopes || [] }];
+
+  return operation;
+}
+
+function buildOpenApiSpec(serverUrl) {
+  const paths = {};
+
+  routes.filter(route => !route.hidden).forEach(route => {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = buildOperation(route);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: API_TITLE,
+      version: API_VERSION,
+      description: 'Inventory, GoHighLevel CRM and integration diagnostics for InnovativeBioScience.'
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: `API key issued via /api/admin/keys. Scopes: ${SCOPES.join(', ')}`
+        }
+      }
+    }
+  };
+}
+
+function buildAiPluginManifest(serverUrl) {
+  return {
+    schema_version: 'v1',
+    name_for_human: 'InnovativeBioScience',
+    name_for_model: 'innovativebiosci',
+    description_for_human: 'Check lab inventory, search product documents and work with InnovativeBioScience CRM contacts, deals and tasks.',
+    description_for_model: 'Use for InnovativeBioScience product stock levels (FBS, media, plastics), low-stock reports, product-support questions answered from our documents via the knowledge base (cite the returned sources), and GoHighLevel CRM contacts, opportunities, tasks and stats.',
+    auth: {
+      type: 'service_http',
+      authorization_type: 'bearer'
+    },
+    api: {
+      type: 'openapi',
+      url: `${serverUrl}/openapi.json`
+    },
+    logo_url: process.env.PLUGIN_LOGO_URL || 'https://innovativebiosci.com/logo.png',
+    contact_email: process.env.PLUGIN_CONTACT_EMAIL || 'support@innovativebiosci.com',
+    legal_info_url: process.env.PLUGIN_LEGAL_URL || 'https://innovativebiosci.com'
+  };
+}
+
+module.exports = {
+  routes,
+  resolveServerUrl,
+  buildOpenApiSpec,
+  buildAiPluginManifest
+};
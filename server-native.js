@@ -1,48 +1,52 @@
 // server-native-enhanced.js
 // Production server with integration test endpoints - no external dependencies required
 const http = require('http');
-const https = require('https');
 const { URL } = require('url');
 const crypto = require('crypto');
+const { makeHttpsRequest, upstreamErrorMessage, getUpstreamStats } = require('./http-client');
+const { checkMongoConnection } = require('./mongo-wire');
+const ghl = require('./ghl');
+const { makeGHLRequest } = ghl;
+const { routes, resolveServerUrl, buildOpenApiSpec, buildAiPluginManifest } = require('./routes');
+const { createRouter, send } = require('./router');
+const { authorize, createApiKey, revokeApiKey, listApiKeys, activeKeyCount } = require('./auth');
+const inventoryStore = require('./inventory');
+const purchasing = require('./purchasing');
+const woocommerce = require('./woocommerce');
+const knowledge = require('./knowledge');
+const knowledgeIngest = require('./knowledge-ingest');
+const chat = require('./chat');
+const { handleWooCommerceWebhook } = require('./woocommerce-webhooks');
+const ghlWebhooks = require('./ghl-webhooks');
+const tenants = require('./tenants');
+const ghlOAuth = require('./ghl-oauth');
+const { runWithContext, getContext } = require('./request-context');
+const { streamExport } = require('./ghl-export');
+const log = require('./logger');
+const { reserveQuotedInventory } = require('./opportunity-reservations');
+const sse = require('./sse');
+const diagnostics = require('./diagnostics');
+const metrics = require('./metrics');
+
+// GHL event handlers - add more with ghlWebhooks.registerHandler(type, name, fn)
+ghlWebhooks.registerHandler('OpportunityStatusUpdate', 'reserve-quoted-inventory', reserveQuotedInventory);
 
 const PORT = process.env.PORT || 3000;
 
-console.log('======== InnovativeBioScience Custom GPT API ========');
-console.log(`» NODE_ENV: ${process.env.NODE_ENV || 'development'}`);
-console.log(`» PORT: ${PORT}`);
-console.log('» Integration tests: ENABLED');
-console.log('----------------------------------------');
-
-// Helper function for HTTPS requests
-function makeHttpsRequest(options) {
-  return new Promise((resolve, reject) => {
-    const timeout = options.timeout || 10000;
-    let data = '';
-    
-    const req = https.request(options, (res) => {
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const jsonData = data ? JSON.parse(data) : {};
-          resolve({ status: res.statusCode, data: jsonData, headers: res.headers });
-        } catch (e) {
-          resolve({ status: res.statusCode, data: data, headers: res.headers });
-        }
-      });
-    });
-    
-    req.on('error', reject);
-    req.setTimeout(timeout, () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
-    
-    if (options.body) {
-      req.write(options.body);
-    }
-    
-    req.end();
-  });
+// Largest page the list endpoints return; /api/ghl/export streams everything
+const MAX_LIST_LIMIT = 500;
+
+// Incoming X-Request-Id values we are willing to reuse (anything else gets a fresh id)
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+log.info('Starting InnovativeBioScience Custom GPT API', {
+  node_env: process.env.NODE_ENV || 'development',
+  port: Number(PORT),
+  api_keys: activeKeyCount(),
+  required_integrations: diagnostics.requiredServices()
+});
+if (activeKeyCount() === 0) {
+  log.warn('No API keys configured - set ADMIN_API_KEY to mint keys; all /api routes will return 401');
 }
 
 // MongoDB test function (using HTTP API if available, otherwise connection check)
@@ -51,67 +55,44 @@ async function testMongoDB() {
     return { success: false, error: 'MONGODB_URI not configured' };
   }
   
-  try {
-    // Parse MongoDB URI to extract connection info
-    const uri = process.env.MONGODB_URI;
-    const isAtlas = uri.includes('mongodb.net') || uri.includes('mongodb+srv');
-    
-    return {
-      success: true,
-      data: {
-        configured: true,
-        uri_pattern: uri.replace(/:[^:@]+@/, ':****@'),
-        is_atlas: isAtlas,
-        database: process.env.MONGODB_DATABASE || 'innovativebiosci',
-        note: 'Full connection test requires mongodb driver'
-      }
-    };
-  } catch (error) {
-    return { success: false, error: error.message };
-  }
+  // Real round trip over the wire protocol - SRV lookup, TLS, hello, SCRAM auth
+  const uri = process.env.MONGODB_URI;
+  const database = process.env.MONGODB_DATABASE || 'innovativebiosci';
+  const result = await checkMongoConnection(uri, { database });
+  
+  return {
+    ...result,
+    data: {
+      uri_pattern: uri.replace(/:[^:@/]+@/, ':****@'),
+      database,
+      ...result.data
+    }
+  };
 }
 
-// GoHighLevel test function
+// GoHighLevel test function - goes through makeGHLRequest so OAuth tokens are exercised too
 async function testGoHighLevel() {
-  if (!process.env.GHL_API_KEY) {
-    return { success: false, error: 'GHL_API_KEY not configured' };
-  }
-  
-  if (!process.env.GHL_LOCATION_ID) {
-    return { success: false, error: 'GHL_LOCATION_ID not configured' };
-  }
-  
   try {
-    const baseUrl = process.env.GHL_BASE_URL || 'https://services.leadconnectorhq.com';
-    const url = new URL(`${baseUrl}/locations/${process.env.GHL_LOCATION_ID}`);
-    
-    const response = await makeHttpsRequest({
-      hostname: url.hostname,
-      path: url.pathname,
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${process.env.GHL_API_KEY}`,
-        'Accept': 'application/json',
-        'Version': '2021-07-28'
-      },
-      timeout: 10000
-    });
+    const location = tenants.locationId();
+    const result = await makeGHLRequest(`/locations/${location}`);
     
-    if (response.status === 200) {
+    if (result.success) {
+      const data = result.data.location || result.data;
       return {
         success: true,
         data: {
-          location_id: process.env.GHL_LOCATION_ID,
-          name: response.data.name || 'Location found',
-          email: response.data.email,
-          phone: response.data.phone,
+          location_id: location,
+          name: data.name || 'Location found',
+          email: data.email,
+          phone: data.phone,
+          auth: ghlOAuth.describeConnection(location) ? 'oauth' : 'api_key',
           api_version: '2021-07-28'
         }
       };
     } else {
       return {
         success: false,
-        error: `GHL API error: ${response.status} - ${JSON.stringify(response.data)}`
+        error: result.details ? `${result.error} - ${result.details}` : result.error
       };
     }
   } catch (error) {
@@ -128,6 +109,7 @@ async function testOpenAI() {
   try {
     const response = await makeHttpsRequest({
       hostname: 'api.openai.com',
+      upstream: 'openai',
       path: '/v1/models',
       method: 'GET',
       headers: {
@@ -154,7 +136,7 @@ async function testOpenAI() {
     } else {
       return {
         success: false,
-        error: `OpenAI API error: ${response.status} - ${JSON.stringify(response.data)}`
+        error: [`OpenAI API error: ${response.status}`, upstreamErrorMessage(response.data)].filter(Boolean).join(' - ')
       };
     }
   } catch (error) {
@@ -179,6 +161,7 @@ async function testAnthropic() {
     
     const response = await makeHttpsRequest({
       hostname: 'api.anthropic.com',
+      upstream: 'anthropic',
       path: '/v1/messages',
       method: 'POST',
       headers: {
@@ -205,7 +188,7 @@ async function testAnthropic() {
     } else {
       return {
         success: false,
-        error: `Anthropic API error: ${response.status} - ${JSON.stringify(response.data)}`
+        error: [`Anthropic API error: ${response.status}`, upstreamErrorMessage(response.data)].filter(Boolean).join(' - ')
       };
     }
   } catch (error) {
@@ -226,6 +209,7 @@ async function testPinecone() {
     // First, get the index host
     const listResponse = await makeHttpsRequest({
       hostname: 'api.pinecone.io',
+      upstream: 'pinecone',
       path: '/indexes',
       method: 'GET',
       headers: {
@@ -244,6 +228,7 @@ async function testPinecone() {
         const statsUrl = new URL(`https://${targetIndex.host}/describe_index_stats`);
         const statsResponse = await makeHttpsRequest({
           hostname: statsUrl.hostname,
+          upstream: 'pinecone',
           path: statsUrl.pathname,
           method: 'GET',
           headers: {
@@ -275,7 +260,7 @@ async function testPinecone() {
     } else {
       return {
         success: false,
-        error: `Pinecone API error: ${listResponse.status} - ${JSON.stringify(listResponse.data)}`
+        error: [`Pinecone API error: ${listResponse.status}`, upstreamErrorMessage(listResponse.data)].filter(Boolean).join(' - ')
       };
     }
   } catch (error) {
@@ -283,66 +268,6 @@ async function testPinecone() {
   }
 }
 
-// GoHighLevel API request helper
-async function makeGHLRequest(path, options = {}) {
-  if (!process.env.GHL_API_KEY) {
-    throw new Error('GHL_API_KEY not configured');
-  }
-  
-  if (!process.env.GHL_LOCATION_ID) {
-    throw new Error('GHL_LOCATION_ID not configured');
-  }
-  
-  const baseUrl = process.env.GHL_BASE_URL || 'https://services.leadconnectorhq.com';
-  const url = new URL(`${baseUrl}${path}`);
-  
-  // Add query params if provided
-  if (options.query) {
-    Object.entries(options.query).forEach(([key, value]) => {
-      if (value !== undefined && value !== null) {
-        url.searchParams.append(key, value);
-      }
-    });
-  }
-  
-  const requestOptions = {
-    hostname: url.hostname,
-    path: url.pathname + url.search,
-    method: options.method || 'GET',
-    headers: {
-      'Authorization': `Bearer ${process.env.GHL_API_KEY}`,
-      'Version': '2021-07-28',
-      'Accept': 'application/json',
-      'Content-Type': 'application/json',
-      ...options.headers
-    },
-    timeout: 15000
-  };
-  
-  if (options.body) {
-    requestOptions.body = JSON.stringify(options.body);
-  }
-  
-  try {
-    const response = await makeHttpsRequest(requestOptions);
-    
-    if (response.status >= 200 && response.status < 300) {
-      return { success: true, data: response.data };
-    } else {
-      return {
-        success: false,
-        error: `GHL API error: ${response.status}`,
-        details: response.data
-      };
-    }
-  } catch (error) {
-    return {
-      success: false,
-      error: `GHL request failed: ${error.message}`
-    };
-  }
-}
-
 // WooCommerce test function
 async function testWooCommerce() {
   if (!process.env.WC_CONSUMER_KEY || !process.env.WC_CONSUMER_SECRET) {
@@ -357,6 +282,7 @@ async function testWooCommerce() {
     
     const response = await makeHttpsRequest({
       hostname: url.hostname,
+      upstream: 'woocommerce',
       path: url.pathname,
       method: 'GET',
       headers: {
@@ -392,6 +318,7 @@ async function testWooCommerce() {
       
       const altResponse = await makeHttpsRequest({
         hostname: productsUrl.hostname,
+        upstream: 'woocommerce',
         path: productsUrl.pathname + productsUrl.search,
         method: 'GET',
         headers: {
@@ -425,458 +352,881 @@ async function testWooCommerce() {
   }
 }
 
-// Simple in-memory inventory data
-const inventory = {
-  'FBS-001': {
-    sku: 'FBS-001',
-    name: 'Fetal Bovine Serum - US Origin',
-    category: 'FBS',
-    quantity: 150,
-    unit: 'bottles (500ml)',
-    reorder_point: 50,
-    location: 'Cold Storage A1',
-    stock_status: 'NORMAL',
-    needs_reorder: false
-  },
-  'FBS-002': {
-    sku: 'FBS-002',
-    name: 'Fetal Bovine Serum - USDA Approved',
-    category: 'FBS',
-    quantity: 25,
-    unit: 'bottles (500ml)',
-    reorder_point: 30,
-    location: 'Cold Storage A2',
-    stock_status: 'LOW',
-    needs_reorder: true
-  },
-  'MED-001': {
-    sku: 'MED-001',
-    name: 'DMEM Media',
-    category: 'MEDIA',
-    quantity: 200,
-    unit: 'bottles (1L)',
-    reorder_point: 50,
-    location: 'Media Storage B1',
-    stock_status: 'NORMAL',
-    needs_reorder: false
-  },
-  'PLS-001': {
-    sku: 'PLS-001',
-    name: 'Plastic Pipette Tips',
-    category: 'PLASTICS',
-    quantity: 45,
-    unit: 'boxes',
-    reorder_point: 100,
-    location: 'Supply Cabinet C1',
-    stock_status: 'LOW',
-    needs_reorder: true
+// Stream an ingestion job as progress events until it finishes (done event)
+function streamKnowledgeJob(req, res, jobId, { cancelOnDisconnect }) {
+  const stream = sse.createEventStream(req, res);
+  const { job, finished, unwatch } = knowledgeIngest.watchJob(jobId, progress => {
+    if (progress.finished_at) {
+      stream.end('done', progress);
+    } else {
+      stream.send('progress', progress);
+    }
+  });
+
+  if (finished) {
+    return stream.end('done', job);
   }
+  stream.send('progress', job);
+  stream.signal.addEventListener('abort', () => {
+    unwatch();
+    if (cancelOnDisconnect) {
+      knowledgeIngest.cancelJob(jobId);
+      log.info(`Knowledge job ${jobId} cancelled: client disconnected`);
+    }
+  });
+}
+
+// Connectivity checks behind /api/test/:service, /api/test/all and /health/ready
+const INTEGRATION_CHECKS = {
+  mongodb: { run: testMongoDB, configured: () => Boolean(process.env.MONGODB_URI) },
+  ghl: { run: testGoHighLevel, configured: () => tenants.allTenants().length > 0 },
+  openai: { run: testOpenAI, configured: () => Boolean(process.env.OPENAI_API_KEY) },
+  anthropic: { run: testAnthropic, configured: () => Boolean(process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY) },
+  pinecone: { run: testPinecone, configured: () => Boolean(process.env.PINECONE_API_KEY) },
+  woocommerce: { run: testWooCommerce, configured: () => Boolean(process.env.WC_CONSUMER_KEY && process.env.WC_CONSUMER_SECRET) }
 };
 
+// Scrape-time gauges for /metrics: stock per SKU, circuit breakers, event loop
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+metrics.registerCollector(async () => {
+  const items = await inventoryStore.listItems();
+  const perSku = (name, help, value) => ({
+    name,
+    type: 'gauge',
+    help,
+    samples: items.map(item => ({ labels: { sku: item.sku, category: item.category || '' }, value: value(item) }))
+  });
+  return [
+    perSku('inventory_quantity', 'On-hand units per SKU, including reserved and expired units', item => item.quantity),
+    perSku('inventory_available_quantity', 'Units per SKU that can be sold (on hand minus reserved and expired)', item => item.available_quantity),
+    perSku('inventory_reserved_quantity', 'Units per SKU reserved for won opportunities', item => item.reserved_quantity),
+    perSku('inventory_expired_quantity', 'Units per SKU in expired lots', item => item.expired_quantity),
+    perSku('inventory_reorder_point', 'Reorder point per SKU', item => item.reorder_point),
+    perSku('inventory_needs_reorder', '1 when the SKU is at or below its reorder point', item => (item.needs_reorder ? 1 : 0))
+  ];
+});
+
+metrics.registerCollector(async () => {
+  const upstreams = getUpstreamStats().upstreams;
+  const { event_loop_delay_ms: loopDelay } = diagnostics.liveness();
+  return [
+    {
+      name: 'upstream_circuit_state',
+      type: 'gauge',
+      help: 'Circuit breaker per upstream: 0 closed, 1 half open, 2 open',
+      samples: Object.entries(upstreams).map(([upstream, stats]) => ({ labels: { upstream }, value: CIRCUIT_STATES[stats.state] }))
+    },
+    {
+      name: 'nodejs_eventloop_lag_p99_seconds',
+      type: 'gauge',
+      help: '99th percentile event loop delay since start, in seconds',
+      samples: [{ value: loopDelay.p99 / 1000 }]
+    }
+  ];
+});
+
 // Main server
-const server = http.createServer(async (req, res) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.url}`);
+// Every route is declared in the registry (routes.js) and served by the handler
+// attached to its operationId below; see router.js for matching, 404/405 and
+// body parsing. Each request runs in its own context (see request-context.js).
+const router = createRouter(routes);
+const server = http.createServer((req, res) => runWithContext({}, () => router.dispatch(req, res)));
+
+// Documents travel inline in the ingestion request, so it gets a larger body allowance
+const MAX_INGEST_BODY_BYTES = 10 * 1024 * 1024;
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// ?limit= as an integer from 1 to `max`, or `fallback` when absent
+function limitParam(query, fallback, max = MAX_LIST_LIMIT) {
+  const raw = query.get('limit');
+  if (raw === null || raw === '') {
+    return fallback;
+  }
+  const limit = Number(raw);
+  if (!/^\d+$/.test(raw) || limit < 1 || limit > max) {
+    throw httpError(400, `limit must be an integer from 1 to ${max}`);
+  }
+  return limit;
+}
+
+// GHL helpers resolve to { success, data } or { success: false, error, status, details }
+function sendGhlResult(res, result, statusCode = 200) {
+  if (result.success) {
+    return send(res, statusCode, { success: true, data: result.data });
+  }
+  send(res, result.status === 404 ? 404 : 500, result);
+}
 
-  // CORS headers
+// Request id, one log line and one metrics sample per request
+router.use((ctx, next) => {
+  const { req, res } = ctx;
+
+  // Keep the caller's request id when it is sane, so one id follows the request
+  // through their logs, ours and the upstreams'; otherwise mint one
+  const incomingId = req.headers['x-request-id'];
+  const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : `req_${crypto.randomBytes(8).toString('hex')}`;
+  getContext().requestId = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  // Labelled with the registry template, never the raw URL
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    const route = req.method === 'OPTIONS' ? 'preflight' : ctx.route ? ctx.route.path : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    metrics.observeRequest({ method: req.method, route, status: res.statusCode, seconds });
+    // 'close' can fire outside the request's async context, so the id is passed explicitly
+    const fields = {
+      request_id: requestId,
+      method: req.method,
+      path: req.url,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 1000),
+      key: req.auth ? req.auth.name : undefined,
+      aborted: res.writableEnded ? undefined : true
+    };
+    if (route === 'preflight' || route.startsWith('/health') || route === '/metrics') {
+      log.debug('request', fields);
+    } else {
+      log.info('request', fields);
+    }
+  });
+  return next();
+});
+
+// CORS headers, preflight, and JSON as the default response type
+router.use(({ req, res }, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-GHL-Location, X-Request-Id');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
 
-  // Handle preflight
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
     return res.end();
   }
-
-  // Set JSON content type for all responses
   res.setHeader('Content-Type', 'application/json');
+  return next();
+});
 
-  // Health check
-  if (req.url === '/health') {
-    res.writeHead(200);
-    return res.end(JSON.stringify({
-      status: 'healthy',
-      timestamp,
-      uptime_s: Math.round(process.uptime()),
-      endpoints: [
-        '/health',
-        '/api/inventory/check',
-        '/api/inventory/low-stock',
-        '/api/ghl/contacts',
-        '/api/ghl/opportunities',
-        '/api/ghl/tasks',
-        '/api/ghl/stats',
-        '/api/test/mongodb',
-        '/api/test/ghl',
-        '/api/test/openai',
-        '/api/test/anthropic',
-        '/api/test/pinecone',
-        '/api/test/woocommerce'
-      ]
-    }));
-  }
-
-  // Test endpoints
-  if (req.url.startsWith('/api/test/') && req.method === 'GET') {
-    const service = req.url.split('/').pop();
-    let result;
-    
-    try {
-      switch (service) {
-        case 'mongodb':
-          result = await testMongoDB();
-          break;
-        case 'ghl':
-          result = await testGoHighLevel();
-          break;
-        case 'openai':
-          result = await testOpenAI();
-          break;
-        case 'anthropic':
-          result = await testAnthropic();
-          break;
-        case 'pinecone':
-          result = await testPinecone();
-          break;
-        case 'woocommerce':
-          result = await testWooCommerce();
-          break;
-        default:
-          result = { success: false, error: `Unknown service: ${service}` };
-      }
-      
-      const statusCode = result.success ? 200 : 500;
-      res.writeHead(statusCode);
-      return res.end(JSON.stringify({
-        service,
-        timestamp,
-        ...result
-      }));
-    } catch (error) {
-      console.error(`Error testing ${service}:`, error);
-      res.writeHead(500);
-      return res.end(JSON.stringify({
-        service,
-        success: false,
-        error: error.message,
-        timestamp
-      }));
+// API key + scope check (public routes pass straight through; unmatched ones go on to their 404/405)
+router.use(({ req, res, route }, next) => {
+  const denied = route && authorize(req, route);
+  if (denied) {
+    if (denied.status === 401) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
     }
+    return send(res, denied.status, { success: false, error: denied.error });
   }
+  return next();
+});
 
-  // GoHighLevel Operational Endpoints
-  
-  // GET /api/ghl/contacts - Fetch contacts with search
-  if (req.url.startsWith('/api/ghl/contacts') && req.method === 'GET') {
-    try {
-      const url = new URL(req.url, `http://localhost:${PORT}`);
-      const search = url.searchParams.get('search');
-      const limit = parseInt(url.searchParams.get('limit') || '20');
-      const offset = parseInt(url.searchParams.get('offset') || '0');
-      
-      const query = {
-        locationId: process.env.GHL_LOCATION_ID,
-        limit: Math.min(limit, 100), // Cap at 100
-        skip: offset
-      };
-      
-      if (search) {
-        query.query = search;
-      }
-      
-      const result = await makeGHLRequest('/contacts/', { query });
-      
-      if (result.success) {
-        res.writeHead(200);
-        return res.end(JSON.stringify({
-          success: true,
-          data: result.data.contacts || [],
-          total: result.data.total || 0,
-          limit,
-          offset
-        }));
-      } else {
-        res.writeHead(500);
-        return res.end(JSON.stringify(result));
-      }
-    } catch (error) {
-      console.error('Error fetching contacts:', error);
-      res.writeHead(500);
-      return res.end(JSON.stringify({
-        success: false,
-        error: error.message
-      }));
-    }
+// GHL location for this request: X-GHL-Location header, the key's tenant, or the default
+router.use(({ req }, next) => {
+  if (req.auth) {
+    tenants.setRequestTenant(tenants.resolveTenant(req));
   }
-  
-  // POST /api/ghl/contacts - Create new contact
-  if (req.url === '/api/ghl/contacts' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', async () => {
-      try {
-        const contactData = JSON.parse(body);
-        
-        // Validate required fields
-        if (!contactData.email && !contactData.phone) {
-          res.writeHead(400);
-          return res.end(JSON.stringify({
-            success: false,
-            error: 'Either email or phone is required'
-          }));
-        }
-        
-        const ghlContact = {
-          locationId: process.env.GHL_LOCATION_ID,
-          firstName: contactData.firstName || '',
-          lastName: contactData.lastName || '',
-          email: contactData.email,
-          phone: contactData.phone,
-          tags: contactData.tags || []
-        };
-        
-        const result = await makeGHLRequest('/contacts/', {
-          method: 'POST',
-          body: ghlContact
-        });
-        
-        if (result.success) {
-          res.writeHead(200);
-          return res.end(JSON.stringify({
-            success: true,
-            data: result.data.contact || result.data
-          }));
-        } else {
-          res.writeHead(500);
-          return res.end(JSON.stringify(result));
-        }
-      } catch (error) {
-        console.error('Error creating contact:', error);
-        res.writeHead(400);
-        return res.end(JSON.stringify({
-          success: false,
-          error: error.message
-        }));
-      }
+  return next();
+});
+
+// --- Health, metrics and API description ----------------------------------------
+
+router.handle('getHealth', ({ res }) => send(res, 200, {
+  status: 'healthy',
+  timestamp: new Date().toISOString(),
+  uptime_s: Math.round(process.uptime()),
+  endpoints: [...new Set(routes.map(r => r.path))]
+}));
+
+// Liveness - no dependencies, so a restart is only triggered by a wedged process
+router.handle('getLiveness', ({ res }) => send(res, 200, diagnostics.liveness()));
+
+// Readiness - 503 until the data directory and the required integrations are usable
+router.handle('getReadiness', async ({ res }) => {
+  const data = await diagnostics.readiness(INTEGRATION_CHECKS);
+  if (data.status !== 'ready' && !data.cached) {
+    log.warn('Readiness check failing', { checks: data.checks });
+  }
+  send(res, data.status === 'ready' ? 200 : 503, data);
+});
+
+// Prometheus scrape endpoint
+router.handle('getMetrics', async ({ res }) => {
+  const body = await metrics.render();
+  res.writeHead(200, { 'Content-Type': metrics.CONTENT_TYPE });
+  res.end(body);
+});
+
+// OpenAPI document for the Custom GPT Actions editor
+router.handle('getOpenApiSpec', ({ req, res }) => {
+  res.writeHead(200);
+  res.end(JSON.stringify(buildOpenApiSpec(resolveServerUrl(req)), null, 2));
+});
+
+// GPT plugin manifest
+router.handle('getAiPluginManifest', ({ req, res }) => {
+  res.writeHead(200);
+  res.end(JSON.stringify(buildAiPluginManifest(resolveServerUrl(req)), null, 2));
+});
+
+// --- Admin: API keys, GHL OAuth and the GHL location (tenant) registry ----------
+
+router.handle('listApiKeys', ({ res }) => send(res, 200, { success: true, data: listApiKeys() }));
+
+router.handle('createApiKey', async ({ req, res, body }) => {
+  const key = await createApiKey(body);
+  log.info(`API key created: ${key.id} (${key.name}) by ${req.auth.name}`);
+  send(res, 201, { success: true, data: key });
+});
+
+router.handle('revokeApiKey', async ({ req, res, params }) => {
+  const key = await revokeApiKey(params.id);
+  if (!key) {
+    throw httpError(404, `API key not found: ${params.id}`);
+  }
+  log.info(`API key revoked: ${key.id} (${key.name}) by ${req.auth.name}`);
+  send(res, 200, { success: true, data: key });
+});
+
+// GHL OAuth install flow: authorize redirects to the consent screen, GHL redirects back to callback
+router.handle('startGhlOAuth', ({ req, res }) => {
+  const authorization = ghlOAuth.buildAuthorizeUrl(resolveServerUrl(req));
+  log.info(`GHL OAuth authorization started by ${req.auth.name}`);
+  send(res, 302, { success: true, data: authorization }, { Location: authorization.url });
+});
+
+router.handle('completeGhlOAuth', async ({ res, query }) => {
+  const connection = await ghlOAuth.completeAuthorization(Object.fromEntries(query));
+  const tenant = await tenants.ensureTenantForLocation(connection.location_id);
+  send(res, 200, { success: true, data: { connection, tenant } });
+});
+
+router.handle('disconnectGhlOAuth', async ({ req, res, params }) => {
+  const data = await ghlOAuth.disconnect(params.locationId);
+  log.info(`GHL OAuth disconnected for location ${data.location_id} by ${req.auth.name}`);
+  send(res, 200, { success: true, data });
+});
+
+router.handle('listGhlTenants', ({ res }) => send(res, 200, { success: true, data: tenants.allTenants().map(tenants.describeTenant) }));
+
+router.handle('createGhlTenant', async ({ req, res, body }) => {
+  const data = await tenants.createTenant(body);
+  log.info(`GHL tenant created: ${data.id} (${data.location_id}) by ${req.auth.name}`);
+  send(res, 201, { success: true, data });
+});
+
+router.handle('updateGhlTenant', async ({ req, res, params, body }) => {
+  const data = await tenants.updateTenant(params.id, body);
+  log.info(`GHL tenant updated: ${data.id} by ${req.auth.name}`);
+  send(res, 200, { success: true, data });
+});
+
+router.handle('deleteGhlTenant', async ({ req, res, params }) => {
+  const data = await tenants.deleteTenant(params.id);
+  log.info(`GHL tenant deleted: ${data.id} by ${req.auth.name}`);
+  send(res, 200, { success: true, data });
+});
+
+// --- Diagnostics and integration tests --------------------------------------------
+
+// Outbound client state: circuit breakers, retry counters and per-host queues
+router.handle('getUpstreamDiagnostics', ({ res }) => send(res, 200, {
+  success: true,
+  timestamp: new Date().toISOString(),
+  data: getUpstreamStats()
+}));
+
+// GET /api/test/all - every integration check in parallel, each with its own time limit
+router.handle('testAllIntegrations', async ({ res, query }) => {
+  const services = query.get('services');
+  const data = await diagnostics.runChecks(INTEGRATION_CHECKS, {
+    services: services ? services.split(',').map(name => name.trim()).filter(Boolean) : undefined,
+    timeoutMs: query.get('timeout_ms') || undefined
+  });
+  const upstreams = getUpstreamStats().upstreams;
+  Object.entries(data.services).forEach(([name, outcome]) => {
+    outcome.circuit = upstreams[name] || null;
+  });
+  send(res, data.status === 'unhealthy' ? 503 : 200, data);
+});
+
+router.handle('testIntegration', async ({ res, params }) => {
+  const { service } = params;
+  const timestamp = new Date().toISOString();
+  try {
+    const check = diagnostics.findCheck(INTEGRATION_CHECKS, service);
+    if (!check) {
+      return send(res, 404, { service, success: false, error: `Unknown service: ${service}`, timestamp });
+    }
+    const result = await check.run();
+    send(res, result.success ? 200 : 500, {
+      service,
+      timestamp,
+      ...result,
+      circuit: getUpstreamStats().upstreams[service] || null
     });
-    return;
+  } catch (error) {
+    log.error(`Error testing ${service}`, error);
+    send(res, 500, { service, success: false, error: error.message, timestamp });
   }
-  
-  // GET /api/ghl/opportunities - Fetch open opportunities
-  if (req.url.startsWith('/api/ghl/opportunities') && req.method === 'GET') {
-    try {
-      const url = new URL(req.url, `http://localhost:${PORT}`);
-      const limit = parseInt(url.searchParams.get('limit') || '20');
-      const status = url.searchParams.get('status') || 'open';
-      
-      const query = {
-        locationId: process.env.GHL_LOCATION_ID,
-        limit: Math.min(limit, 100),
-        status: status
-      };
-      
-      const result = await makeGHLRequest('/opportunities/', { query });
-      
-      if (result.success) {
-        const opportunities = result.data.opportunities || [];
-        res.writeHead(200);
-        return res.end(JSON.stringify({
-          success: true,
-          data: opportunities,
-          total: result.data.total || opportunities.length,
-          limit
-        }));
-      } else {
-        res.writeHead(500);
-        return res.end(JSON.stringify(result));
-      }
-    } catch (error) {
-      console.error('Error fetching opportunities:', error);
-      res.writeHead(500);
-      return res.end(JSON.stringify({
-        success: false,
-        error: error.message
-      }));
+});
+
+// --- GoHighLevel ----------------------------------------------------------------
+
+// GET /api/ghl/contacts - Fetch contacts with search
+router.handle('listContacts', async ({ res, query }) => {
+  const limit = limitParam(query, 20);
+  const result = await ghl.collectGHL('/contacts/', {
+    itemsKey: 'contacts',
+    query: { locationId: tenants.locationId(), query: query.get('search') || undefined },
+    limit,
+    cursor: ghl.decodeCursor(query.get('cursor'))
+  });
+
+  if (!result.success) {
+    return sendGhlResult(res, result);
+  }
+  send(res, 200, {
+    success: true,
+    data: result.data,
+    total: result.total || 0,
+    limit,
+    next_cursor: result.next_cursor
+  });
+});
+
+// POST /api/ghl/contacts - Create new contact
+router.handle('createContact', async ({ res, body }) => {
+  if (!body.email && !body.phone) {
+    throw httpError(400, 'Either email or phone is required');
+  }
+
+  const ghlContact = {
+    locationId: tenants.locationId(),
+    firstName: body.firstName || '',
+    lastName: body.lastName || '',
+    email: body.email,
+    phone: body.phone,
+    tags: body.tags || []
+  };
+  if (body.customFields) {
+    ghlContact.customFields = ghl.toGHLCustomFields(body.customFields);
+  }
+
+  const result = await makeGHLRequest('/contacts/', { method: 'POST', body: ghlContact });
+  sendGhlResult(res, result.success ? { success: true, data: result.data.contact || result.data } : result);
+});
+
+// Contact lifecycle - /api/ghl/contacts/{id}[/tags | /notes[/{noteId}] | /tasks[/{taskId}]]
+// Changes are logged with the key that made them
+function contactHandler(section, action) {
+  return async ctx => {
+    const result = await action(ctx);
+    if (result.success && ctx.req.method !== 'GET') {
+      log.info(`GHL contact ${ctx.params.id}: ${ctx.req.method} ${section} by ${ctx.req.auth.name}`);
     }
+    sendGhlResult(ctx.res, result);
+  };
+}
+
+function requireTags({ tags }) {
+  if (!Array.isArray(tags) || tags.length === 0) {
+    throw httpError(400, 'tags must be a non-empty array');
   }
-  
-  // GET /api/ghl/tasks - Fetch tasks
-  if (req.url.startsWith('/api/ghl/tasks') && req.method === 'GET') {
-    try {
-      const url = new URL(req.url, `http://localhost:${PORT}`);
-      const contactId = url.searchParams.get('contactId');
-      const status = url.searchParams.get('status') || 'open';
-      
-      let path = '/contacts/';
-      const query = {};
-      
-      if (contactId) {
-        // Get tasks for specific contact
-        path = `/contacts/${contactId}/tasks`;
-      } else {
-        // Get all tasks for location - using contacts endpoint with tasks expanded
-        query.locationId = process.env.GHL_LOCATION_ID;
-        query.limit = 100;
-      }
-      
-      const result = await makeGHLRequest(path, { query });
-      
-      if (result.success) {
-        let tasks = [];
-        
-        if (contactId) {
-          tasks = result.data.tasks || [];
-        } else {
-          // Extract tasks from contacts if fetching location-wide
-          const contacts = result.data.contacts || [];
-          contacts.forEach(contact => {
-            if (contact.tasks && contact.tasks.length > 0) {
-              tasks = tasks.concat(contact.tasks.map(task => ({
-                ...task,
-                contactId: contact.id,
-                contactName: `${contact.firstName} ${contact.lastName}`.trim()
-              })));
-            }
-          });
-        }
-        
-        // Filter by status if specified
-        if (status !== 'all') {
-          tasks = tasks.filter(task => 
-            status === 'open' ? !task.completed : task.completed
-          );
-        }
-        
-        res.writeHead(200);
-        return res.end(JSON.stringify({
-          success: true,
-          data: tasks,
-          total: tasks.length
-        }));
-      } else {
-        res.writeHead(500);
-        return res.end(JSON.stringify(result));
-      }
-    } catch (error) {
-      console.error('Error fetching tasks:', error);
-      res.writeHead(500);
-      return res.end(JSON.stringify({
-        success: false,
-        error: error.message
-      }));
+  return tags;
+}
+
+function requireNoteText({ body }) {
+  if (!body || typeof body !== 'string') {
+    throw httpError(400, 'body (the note text) is required');
+  }
+  return body;
+}
+
+router.handle('getContact', contactHandler('contact', ({ params }) => ghl.getContact(params.id)));
+router.handle('updateContact', contactHandler('contact', ({ params, body }) => ghl.updateContact(params.id, body)));
+router.handle('deleteContact', contactHandler('contact', ({ params }) => ghl.deleteContact(params.id)));
+router.handle('addContactTags', contactHandler('tags', ({ params, body }) => ghl.addContactTags(params.id, requireTags(body))));
+router.handle('removeContactTags', contactHandler('tags', ({ params, body }) => ghl.removeContactTags(params.id, requireTags(body))));
+router.handle('listContactNotes', contactHandler('notes', ({ params }) => ghl.listContactNotes(params.id)));
+router.handle('createContactNote', contactHandler('notes', ({ params, body }) => ghl.createContactNote(params.id, requireNoteText(body), body.userId)));
+router.handle('updateContactNote', contactHandler('notes', ({ params, body }) => ghl.updateContactNote(params.id, params.noteId, requireNoteText(body), body.userId)));
+router.handle('deleteContactNote', contactHandler('notes', ({ params }) => ghl.deleteContactNote(params.id, params.noteId)));
+router.handle('createContactTask', contactHandler('tasks', ({ params, body }) => ghl.createContactTask(params.id, body)));
+router.handle('updateContactTask', contactHandler('tasks', ({ params, body }) => ghl.updateContactTask(params.id, params.taskId, body)));
+
+// GET /api/ghl/custom-fields - Contact custom field definitions
+router.handle('listContactCustomFields', async ({ res }) => sendGhlResult(res, await ghl.listContactCustomFields()));
+
+// GET /api/ghl/opportunities - Fetch opportunities by status
+router.handle('listOpportunities', async ({ res, query }) => {
+  const limit = limitParam(query, 20);
+  const status = query.get('status') || 'open';
+  const result = await ghl.collectGHL('/opportunities/search', {
+    itemsKey: 'opportunities',
+    query: {
+      location_id: tenants.locationId(),
+      status: status === 'all' ? undefined : status,
+      pipeline_id: query.get('pipelineId') || undefined
+    },
+    limit,
+    cursor: ghl.decodeCursor(query.get('cursor'))
+  });
+
+  if (!result.success) {
+    return sendGhlResult(res, result);
+  }
+  send(res, 200, {
+    success: true,
+    data: result.data,
+    total: result.total || result.data.length,
+    limit,
+    next_cursor: result.next_cursor
+  });
+});
+
+// Pipelines and deals - /api/ghl/pipelines[/{id}/rollup], /api/ghl/opportunities[/{id}[/stage|status]]
+function opportunityHandler(action, change, statusCode = 200) {
+  return async ctx => {
+    const result = await change(ctx);
+    if (result.success) {
+      log.info(`GHL opportunity ${ctx.params.id || (result.data && result.data.id)}: ${action} by ${ctx.req.auth.name}`);
     }
+    sendGhlResult(ctx.res, result, statusCode);
+  };
+}
+
+router.handle('listPipelines', async ({ res }) => sendGhlResult(res, await ghl.listPipelines()));
+router.handle('getPipelineRollup', async ({ res, params, query }) => {
+  sendGhlResult(res, await ghl.pipelineRollup(params.id, { status: query.get('status') || 'open' }));
+});
+router.handle('getOpportunity', async ({ res, params }) => sendGhlResult(res, await ghl.getOpportunity(params.id)));
+router.handle('createOpportunity', opportunityHandler('created', ({ body }) => ghl.createOpportunity(body), 201));
+router.handle('moveOpportunityStage', opportunityHandler('stage', ({ params, body }) => ghl.moveOpportunityStage(params.id, body)));
+router.handle('setOpportunityStatus', opportunityHandler('status', ({ params, body }) => ghl.setOpportunityStatus(params.id, body.status, body.lostReasonId)));
+
+// GET /api/ghl/export/{resource} - Stream all contacts or opportunities as NDJSON / CSV
+router.handle('exportGhlRecords', async ({ req, res, params, query }) => {
+  const count = await streamExport(res, params.resource, {
+    format: query.get('format') || 'ndjson',
+    search: query.get('search'),
+    status: query.get('status'),
+    pipelineId: query.get('pipelineId')
+  });
+  log.info(`GHL ${params.resource} export by ${req.auth.name}: ${count} records`);
+});
+
+// GET /api/ghl/tasks - Fetch tasks for one contact or the whole location
+router.handle('listTasks', async ({ res, query }) => {
+  const contactId = query.get('contactId');
+  const filters = {
+    status: query.get('status') || 'open',
+    assignedTo: query.get('assignedTo'),
+    dueBefore: query.get('dueBefore'),
+    dueAfter: query.get('dueAfter'),
+    overdue: query.get('overdue') === 'true'
+  };
+  const result = contactId
+    ? await ghl.listContactTasks(contactId)
+    : await ghl.listLocationTasks(filters);
+
+  if (!result.success) {
+    return sendGhlResult(res, result);
   }
-  
-  // GET /api/ghl/stats - Location statistics
-  if (req.url === '/api/ghl/stats' && req.method === 'GET') {
-    try {
-      // Fetch multiple data points in parallel
-      const [contactsResult, opportunitiesResult] = await Promise.all([
-        makeGHLRequest('/contacts/', {
-          query: {
-            locationId: process.env.GHL_LOCATION_ID,
-            limit: 1
-          }
-        }),
-        makeGHLRequest('/opportunities/', {
-          query: {
-            locationId: process.env.GHL_LOCATION_ID,
-            status: 'open',
-            limit: 1
-          }
-        })
-      ]);
-      
-      const stats = {
-        locationId: process.env.GHL_LOCATION_ID,
-        totalContacts: 0,
-        openOpportunities: 0,
-        timestamp: new Date().toISOString()
-      };
-      
-      if (contactsResult.success) {
-        stats.totalContacts = contactsResult.data.total || 0;
-      }
-      
-      if (opportunitiesResult.success) {
-        stats.openOpportunities = opportunitiesResult.data.total || 0;
-      }
-      
-      res.writeHead(200);
-      return res.end(JSON.stringify({
-        success: true,
-        data: stats
-      }));
-    } catch (error) {
-      console.error('Error fetching stats:', error);
-      res.writeHead(500);
-      return res.end(JSON.stringify({
-        success: false,
-        error: error.message
-      }));
+  const tasks = ghl.filterTasks(result.data || [], filters);
+  send(res, 200, { success: true, data: tasks, total: tasks.length, ...(result.truncated ? { truncated: true } : {}) });
+});
+
+// GET /api/ghl/stats - Location statistics
+router.handle('getGhlStats', async ({ res }) => send(res, 200, { success: true, data: await ghl.getLocationStats() }));
+
+// GET /api/ghl/stats/all - Statistics for every location this key can use
+router.handle('getGhlStatsAllLocations', async ({ req, res }) => {
+  const locations = await Promise.all(tenants.accessibleTenants(req.auth).map(tenant =>
+    tenants.withTenant(tenant, async () => ({
+      tenant: tenant.id,
+      name: tenant.name,
+      ...(await ghl.getLocationStats())
+    })).catch(error => ({ tenant: tenant.id, name: tenant.name, locationId: tenant.location_id, errors: [error.message] }))
+  ));
+
+  send(res, 200, {
+    success: true,
+    data: {
+      locations,
+      totals: {
+        totalContacts: locations.reduce((sum, l) => sum + (l.totalContacts || 0), 0),
+        openOpportunities: locations.reduce((sum, l) => sum + (l.openOpportunities || 0), 0)
+      },
+      timestamp: new Date().toISOString()
     }
+  });
+});
+
+// GET /api/ghl/locations - Locations this key can address with X-GHL-Location
+router.handle('listGhlLocations', ({ req, res }) => {
+  const current = tenants.currentTenant();
+  send(res, 200, {
+    success: true,
+    data: tenants.accessibleTenants(req.auth).map(tenant => ({
+      id: tenant.id,
+      name: tenant.name,
+      location_id: tenant.location_id,
+      current: Boolean(current && current.id === tenant.id)
+    }))
+  });
+});
+
+// GET /api/ghl/events - Recent webhook events from the local log
+router.handle('listGhlEvents', ({ res, query }) => {
+  const data = ghlWebhooks.listEvents({
+    type: query.get('type') || undefined,
+    limit: limitParam(query, 50)
+  });
+  send(res, 200, { success: true, count: data.length, data });
+});
+
+// --- Inventory ----------------------------------------------------------------------
+
+// Inventory check
+router.handle('checkInventory', async ({ res, body }) => {
+  const { sku, category } = body;
+  let results = [];
+  if (sku) {
+    const item = await inventoryStore.getItem(sku);
+    if (item) results.push(item);
+  } else {
+    results = await inventoryStore.listItems({ category });
   }
-  
-  // Inventory check
-  if (req.url === '/api/inventory/check' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        const { sku, category } = JSON.parse(body || '{}');
-        let results = [];
-
-        if (sku) {
-          const item = inventory[sku.toUpperCase()];
-          if (item) results.push(item);
-        } else if (category) {
-          results = Object.values(inventory)
-            .filter(i => i.category === category.toUpperCase());
-        } else {
-          results = Object.values(inventory);
-        }
+  send(res, 200, { success: true, count: results.length, data: results });
+});
 
-        res.writeHead(200);
-        res.end(JSON.stringify({ success: true, count: results.length, data: results }));
-      } catch (err) {
-        console.error('Error parsing /api/inventory/check body:', err);
-        res.writeHead(400);
-        res.end(JSON.stringify({ success: false, error: err.message }));
-      }
+// Low stock
+router.handle('listLowStock', async ({ res }) => {
+  const items = await inventoryStore.listItems();
+  const low = items.filter(i => i.needs_reorder || i.stock_status === 'LOW');
+  send(res, 200, { success: true, count: low.length, data: low });
+});
+
+// POST /api/inventory/movements - book a receive/consume/adjust/transfer/return
+router.handle('recordInventoryMovement', async ({ req, res, body }) => {
+  const result = await inventoryStore.recordMovement({ ...body, user: body.user || req.auth.name });
+  result.movements.forEach(m => {
+    log.info(`Inventory ${m.type} ${m.sku}${m.lot ? ` lot ${m.lot}` : ''} ${m.delta} by ${m.user}`);
+  });
+  send(res, 201, { success: true, data: result });
+});
+
+// GET /api/inventory/expiring?days=N - lots expiring within N days
+router.handle('listExpiringLots', async ({ res, query }) => {
+  const days = parseInt(query.get('days') || '30');
+  if (isNaN(days) || days < 0) {
+    throw httpError(400, 'days must be a non-negative integer');
+  }
+  const lots = await inventoryStore.listExpiringLots(days);
+  send(res, 200, { success: true, days, count: lots.length, data: lots });
+});
+
+// GET /api/inventory/{sku}/history - movement ledger for one SKU
+router.handle('getInventoryHistory', async ({ res, params, query }) => {
+  const movements = await inventoryStore.getHistory(params.sku, {
+    type: query.get('type'),
+    user: query.get('user'),
+    limit: limitParam(query, 50)
+  });
+  send(res, 200, { success: true, sku: params.sku.toUpperCase(), count: movements.length, data: movements });
+});
+
+// Inventory item CRUD - /api/inventory/items[/{sku}]; changes are logged with the key that made them
+function inventoryChange(change, statusCode = 200) {
+  return async ctx => {
+    const item = await change(ctx);
+    log.info(`Inventory ${ctx.req.method} ${item.sku} by ${ctx.req.auth.name}`);
+    send(ctx.res, statusCode, { success: true, data: item });
+  };
+}
+
+router.handle('listInventoryItems', async ({ res, query }) => {
+  const items = await inventoryStore.listItems({ category: query.get('category') });
+  send(res, 200, { success: true, count: items.length, data: items });
+});
+
+router.handle('getInventoryItem', async ({ res, params }) => {
+  const item = await inventoryStore.getItem(params.sku);
+  if (!item) {
+    throw httpError(404, `SKU not found: ${params.sku}`);
+  }
+  send(res, 200, { success: true, data: item });
+});
+
+router.handle('createInventoryItem', inventoryChange(({ req, body }) => inventoryStore.createItem(body, body.user || req.auth.name), 201));
+router.handle('replaceInventoryItem', inventoryChange(({ req, params, body }) => inventoryStore.replaceItem(params.sku, body, body.user || req.auth.name)));
+router.handle('updateInventoryItem', inventoryChange(({ req, params, body }) => inventoryStore.updateItem(params.sku, body, body.user || req.auth.name)));
+router.handle('deleteInventoryItem', inventoryChange(({ req, params }) => inventoryStore.deleteItem(params.sku, req.auth.name)));
+
+// --- Purchasing -------------------------------------------------------------------
+
+// Suppliers - /api/suppliers[/{id}]
+router.handle('listSuppliers', ({ res, query }) => {
+  const suppliers = purchasing.listSuppliers({ sku: query.get('sku') });
+  send(res, 200, { success: true, count: suppliers.length, data: suppliers });
+});
+router.handle('getSupplier', ({ res, params }) => send(res, 200, { success: true, data: purchasing.getSupplier(params.id) }));
+router.handle('createSupplier', async ({ res, body }) => send(res, 201, { success: true, data: await purchasing.createSupplier(body) }));
+router.handle('updateSupplier', async ({ res, params, body }) => send(res, 200, { success: true, data: await purchasing.updateSupplier(params.id, body) }));
+router.handle('deleteSupplier', async ({ res, params }) => send(res, 200, { success: true, data: await purchasing.deleteSupplier(params.id) }));
+
+// Purchase orders - /api/purchase-orders[/draft | /{id}[/approve|send|cancel|receive]]
+router.handle('listPurchaseOrders', ({ res, query }) => {
+  const orders = purchasing.listPurchaseOrders({
+    status: query.get('status'),
+    supplierId: query.get('supplierId')
+  });
+  send(res, 200, { success: true, count: orders.length, data: orders });
+});
+
+router.handle('getPurchaseOrder', ({ res, params }) => send(res, 200, { success: true, data: purchasing.getPurchaseOrder(params.id) }));
+
+router.handle('draftPurchaseOrders', async ({ req, res, body }) => {
+  const data = await purchasing.draftPurchaseOrders({ skus: body.skus, user: req.auth.name });
+  log.info(`Drafted ${data.created.length} purchase order(s) by ${req.auth.name}`);
+  send(res, data.created.length > 0 ? 201 : 200, { success: true, data });
+});
+
+router.handle('updatePurchaseOrder', async ({ req, res, params, body }) => {
+  send(res, 200, { success: true, data: await purchasing.updatePurchaseOrder(params.id, body, req.auth.name) });
+});
+
+router.handle('receivePurchaseOrder', async ({ req, res, params, body }) => {
+  const data = await purchasing.receivePurchaseOrder(params.id, { lines: body.lines, user: body.user || req.auth.name });
+  log.info(`Received ${data.movements.length} line(s) on ${data.purchase_order.id} by ${req.auth.name}`);
+  send(res, 200, { success: true, data });
+});
+
+function purchaseOrderTransition(action) {
+  return async ({ req, res, params, body }) => {
+    const data = await purchasing.transitionPurchaseOrder(params.id, action, req.auth.name, body.note);
+    log.info(`Purchase order ${data.id} -> ${data.status} by ${req.auth.name}`);
+    send(res, 200, { success: true, data });
+  };
+}
+
+router.handle('approvePurchaseOrder', purchaseOrderTransition('approve'));
+router.handle('sendPurchaseOrder', purchaseOrderTransition('send'));
+router.handle('cancelPurchaseOrder', purchaseOrderTransition('cancel'));
+
+// --- WooCommerce --------------------------------------------------------------------
+
+router.handle('getWooCommerceSyncStatus', ({ res }) => send(res, 200, { success: true, data: woocommerce.getSyncStatus() }));
+
+router.handle('diffWooCommerceSync', async ({ res, query }) => {
+  const data = await woocommerce.syncWooCommerce({
+    direction: query.get('direction') || 'both',
+    dryRun: true
+  });
+  send(res, 200, { success: true, data });
+});
+
+// POST /api/woocommerce/sync streams progress when asked for text/event-stream
+router.handle('syncWooCommerce', async ({ req, res, body }) => {
+  const stream = sse.wantsEventStream(req) ? sse.createEventStream(req, res) : null;
+  try {
+    const data = await woocommerce.syncWooCommerce({
+      direction: body.direction || 'both',
+      dryRun: body.dry_run !== false,
+      updateNames: body.update_names === true,
+      user: req.auth.name,
+      onProgress: stream ? progress => stream.send('progress', progress) : undefined,
+      signal: stream ? stream.signal : undefined
     });
-    return;
+    if (data.applied) {
+      log.info(`WooCommerce sync (${data.direction}) by ${req.auth.name}: ${data.applied.created} created, ${data.applied.renamed} renamed, ${data.applied.pushed} pushed, ${data.applied.failed.length} failed${data.applied.cancelled ? ' (cancelled: client disconnected)' : ''}`);
+    }
+
+    if (stream) {
+      return stream.end('done', data);
+    }
+    send(res, 200, { success: true, data });
+  } catch (err) {
+    if (err.code === 'ABORT_ERR') {
+      return log.info(`WooCommerce sync by ${req.auth.name} cancelled: client disconnected`);
+    }
+    if (stream && stream.started) {
+      if (!err.statusCode) {
+        log.error('Error syncing WooCommerce', err);
+      }
+      return stream.fail(err);
+    }
+    throw err;
   }
+});
 
-  // Low stock
-  if (req.url === '/api/inventory/low-stock' && req.method === 'GET') {
-    const low = Object.values(inventory).filter(i => i.needs_reorder || i.stock_status === 'LOW');
-    res.writeHead(200);
-    return res.end(JSON.stringify({ success: true, count: low.length, data: low }));
+// --- Knowledge base -----------------------------------------------------------------
+
+// POST /api/knowledge/query - ranked passages with citations from the product documents
+router.handle('queryKnowledgeBase', async ({ res, body }) => {
+  const data = await knowledge.queryKnowledge({
+    question: body.question,
+    namespace: body.namespace,
+    filter: body.filter,
+    sku: body.sku,
+    docType: body.doc_type,
+    topK: body.top_k,
+    minScore: body.min_score
+  });
+  send(res, 200, { success: true, data });
+});
+
+// Documents and ingestion jobs; POST documents and GET jobs/{id} stream job
+// progress when asked for text/event-stream
+router.handle('ingestKnowledgeDocuments', ({ req, res, body }) => {
+  const { job, done } = knowledgeIngest.submitIngestion(body.doc_id ? [body] : body.documents, { user: req.auth.name });
+  done.catch(error => log.error(`Knowledge job ${job.id} crashed`, error));
+  log.info(`Knowledge job ${job.id} queued by ${req.auth.name}: ${job.documents.map(d => d.doc_id).join(', ')}`);
+  if (sse.wantsEventStream(req)) {
+    // The submitter leaving means nobody wants the rest of the job
+    return streamKnowledgeJob(req, res, job.id, { cancelOnDisconnect: true });
   }
+  send(res, 202, { success: true, data: job });
+}, { bodyLimit: MAX_INGEST_BODY_BYTES });
+
+router.handle('listKnowledgeDocuments', ({ res, query }) => send(res, 200, {
+  success: true,
+  data: knowledgeIngest.listDocuments({
+    namespace: query.get('namespace') ?? undefined,
+    sku: query.get('sku'),
+    docType: query.get('doc_type')
+  })
+}));
 
-  // 404
-  res.writeHead(404);
-  res.end(JSON.stringify({ error: 'Not found', path: req.url }));
+router.handle('deleteKnowledgeDocument', async ({ res, params, query }) => {
+  send(res, 200, { success: true, data: await knowledgeIngest.deleteDocument(params.docId, query.get('namespace') || '') });
 });
 
-// Log just before binding
-console.log('>> about to call server.listen()');
-server.listen(PORT, () => {
-  console.log('>> server.listen() callback fired');
-  console.log(`
+router.handle('listKnowledgeJobs', ({ res }) => send(res, 200, { success: true, data: knowledgeIngest.listJobs() }));
+
+router.handle('getKnowledgeJob', ({ req, res, params }) => {
+  if (sse.wantsEventStream(req)) {
+    return streamKnowledgeJob(req, res, params.id, { cancelOnDisconnect: false });
+  }
+  send(res, 200, { success: true, data: knowledgeIngest.getJob(params.id) });
+});
+
+// --- Chat -------------------------------------------------------------------------
+
+// POST /api/chat - assistant with server-side tool calls into inventory, GHL and the knowledge base
+// With Accept: text/event-stream the answer streams token by token
+router.handle('chat', async ({ req, res, body }) => {
+  const stream = sse.wantsEventStream(req) ? sse.createEventStream(req, res) : null;
+  try {
+    const data = await chat.runChat({
+      messages: body.messages,
+      provider: body.provider,
+      model: body.model,
+      system: body.system,
+      maxSteps: body.max_steps,
+      principal: req.auth,
+      onEvent: stream ? stream.send : undefined,
+      signal: stream ? stream.signal : undefined
+    });
+    log.info(`Chat for ${req.auth.name} via ${data.provider}: ${data.steps} step(s), tools: ${data.tool_calls.map(c => c.name).join(', ') || 'none'}`);
+
+    if (stream) {
+      return stream.end('done', data);
+    }
+    send(res, 200, { success: true, data });
+  } catch (error) {
+    if (error.code === 'ABORT_ERR') {
+      return log.info(`Chat for ${req.auth.name} cancelled: client disconnected`);
+    }
+    if (stream && stream.started) {
+      if (!error.statusCode) {
+        log.error('Error in chat', error);
+      }
+      return stream.fail(error);
+    }
+    throw error;
+  }
+});
+
+// --- Webhooks (authenticated by signature, not API key; signatures cover the exact bytes) --
+
+router.handle('receiveGhlWebhook', async ({ req, res, rawBody }) => {
+  const data = await ghlWebhooks.handleGhlWebhook(rawBody, req.headers);
+  if (!data.duplicate) {
+    log.info(`GHL webhook ${data.type} (${data.id}): ${data.handlers.length} handler(s) run`);
+  }
+  send(res, 200, { success: true, data });
+}, { body: 'raw' });
+
+router.handle('receiveWooCommerceWebhook', async ({ req, res, rawBody }) => {
+  const data = await handleWooCommerceWebhook(rawBody, req.headers);
+  if (data.movements && data.movements.length > 0) {
+    log.info(`WooCommerce ${data.topic} for order ${data.order_id}: ${data.movements.length} movement(s) booked`);
+  }
+  if (data.problems && data.problems.length > 0) {
+    log.warn(`WooCommerce order ${data.order_id} not fully booked`, { problems: data.problems });
+  }
+  send(res, 200, { success: true, data });
+}, { body: 'raw' });
+
+// A registry route without a handler would only fail when first called
+const unhandled = router.unhandledRoutes();
+if (unhandled.length > 0) {
+  throw new Error(`Routes without a handler: ${unhandled.join(', ')}`);
+}
+
+function startServer() {
+  log.debug('Binding server', { port: Number(PORT) });
+  server.listen(PORT, () => {
+    log.info('Server listening', {
+      port: Number(PORT),
+      configured: {
+        admin_api_key: Boolean(process.env.ADMIN_API_KEY),
+        mongodb: Boolean(process.env.MONGODB_URI),
+        ghl: Boolean(process.env.GHL_API_KEY),
+        openai: Boolean(process.env.OPENAI_API_KEY),
+        anthropic: Boolean(process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY),
+        pinecone: Boolean(process.env.PINECONE_API_KEY),
+        woocommerce: Boolean(process.env.WC_CONSUMER_KEY),
+        woocommerce_webhooks: Boolean(process.env.WC_WEBHOOK_SECRET),
+        ghl_webhooks: Boolean(process.env.GHL_WEBHOOK_PUBLIC_KEY),
+        ghl_oauth: ghlOAuth.isConfigured()
+      },
+      ghl_tenants: tenants.allTenants().length
+    });
+    // The endpoint overview is for people at a terminal, not for log collectors
+    if (!process.stdout.isTTY) return;
+    console.log(`
 🚀 Custom GPT Inventory API is LIVE with Integration Tests!
    
    Core Endpoints:
-   • Health: http://localhost:${PORT}/health
+   • Health: http://localhost:${PORT}/health (probes: /health/live, /health/ready)
    • Check:  http://localhost:${PORT}/api/inventory/check
    • Low:    http://localhost:${PORT}/api/inventory/low-stock
+   • Items:  http://localhost:${PORT}/api/inventory/items
+   • POs:    http://localhost:${PORT}/api/purchase-orders
+   • Woo:    http://localhost:${PORT}/api/woocommerce/sync/diff
+   • Docs:   http://localhost:${PORT}/api/knowledge/query
+   • Chat:   http://localhost:${PORT}/api/chat (POST)
+   • OpenAPI: http://localhost:${PORT}/openapi.json
+   • Metrics: http://localhost:${PORT}/metrics
    
    GoHighLevel Endpoints:
    • Contacts:      http://localhost:${PORT}/api/ghl/contacts
    • Opportunities: http://localhost:${PORT}/api/ghl/opportunities
+   • Pipelines:     http://localhost:${PORT}/api/ghl/pipelines
+   • Export:        http://localhost:${PORT}/api/ghl/export/contacts?format=csv
    • Tasks:         http://localhost:${PORT}/api/ghl/tasks
    • Stats:         http://localhost:${PORT}/api/ghl/stats
+   • All stats:     http://localhost:${PORT}/api/ghl/stats/all
+   • Events:        http://localhost:${PORT}/api/ghl/events
    
    Integration Test Endpoints:
    • MongoDB:     http://localhost:${PORT}/api/test/mongodb
@@ -885,13 +1235,30 @@ server.listen(PORT, () => {
    • Anthropic:   http://localhost:${PORT}/api/test/anthropic
    • Pinecone:    http://localhost:${PORT}/api/test/pinecone
    • WooCommerce: http://localhost:${PORT}/api/test/woocommerce
+   • All:         http://localhost:${PORT}/api/test/all
+   • Upstreams:   http://localhost:${PORT}/api/diagnostics/upstreams
    
    Environment Variables Status:
+   • API Auth:    ${process.env.ADMIN_API_KEY ? '✓' : '✗'} ADMIN_API_KEY
    • MongoDB:     ${process.env.MONGODB_URI ? '✓' : '✗'} MONGODB_URI
    • GoHighLevel: ${process.env.GHL_API_KEY ? '✓' : '✗'} GHL_API_KEY
    • OpenAI:      ${process.env.OPENAI_API_KEY ? '✓' : '✗'} OPENAI_API_KEY
    • Anthropic:   ${(process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY) ? '✓' : '✗'} ANTHROPIC_API_KEY
    • Pinecone:    ${process.env.PINECONE_API_KEY ? '✓' : '✗'} PINECONE_API_KEY
    • WooCommerce: ${process.env.WC_CONSUMER_KEY ? '✓' : '✗'} WC_CONSUMER_KEY
+   • Woo hooks:   ${process.env.WC_WEBHOOK_SECRET ? '✓' : '✗'} WC_WEBHOOK_SECRET
+   • GHL hooks:   ${process.env.GHL_WEBHOOK_PUBLIC_KEY ? '✓' : '✗'} GHL_WEBHOOK_PUBLIC_KEY
+   • GHL tenants: ${tenants.allTenants().length} location(s)
+   • GHL OAuth:   ${ghlOAuth.isConfigured() ? '✓' : '✗'} GHL_CLIENT_ID / GHL_CLIENT_SECRET
 `);
-});
\ No newline at end of file
+  });
+}
+
+// Load the inventory store, then bind
+inventoryStore.initInventory().then(backend => {
+  log.info('Inventory store ready', { backend });
+  startServer();
+}).catch(error => {
+  log.error('Failed to initialise inventory store', error);
+  process.exit(1);
+});
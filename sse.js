@@ -0,0 +1,115 @@
+// sse.js
+// Server-Sent Events in both directions: streaming our own responses to
+// clients that ask for text/event-stream, and parsing the event streams
+// OpenAI and Anthropic send back when we ask them to stream.
+//
+// A stream only writes its headers with the first event, so a handler can
+// still answer with an ordinary JSON error if it fails before that. Once open,
+// a comment line goes out every SSE_HEARTBEAT_MS to keep proxies from closing
+// an idle connection, and `signal` aborts as soon as the client disconnects so
+// the handler can stop the upstream work it started.
+const { StringDecoder } = require('string_decoder');
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS || '15000');
+
+function wantsEventStream(req) {
+  return (req.headers.accept || '').split(',').some(type => type.trim().startsWith('text/event-stream'));
+}
+
+function createEventStream(req, res) {
+  const controller = new AbortController();
+  let heartbeat = null;
+  let started = false;
+  let nextId = 1;
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  };
+
+  // 'close' also fires after a normal end; only an unfinished response means the client left
+  res.on('close', () => {
+    stop();
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const open = () => {
+    started = true;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // nginx-style proxies buffer responses unless told otherwise
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+    heartbeat = setInterval(() => res.write(`: heartbeat ${new Date().toISOString()}\n\n`), HEARTBEAT_MS);
+    heartbeat.unref();
+  };
+
+  const stream = {
+    signal: controller.signal,
+
+    get started() {
+      return started;
+    },
+
+    // JSON payloads never contain raw newlines, so every event is a single data line
+    send(event, data) {
+      if (controller.signal.aborted || res.writableEnded) return false;
+      if (!started) open();
+      return res.write(`id: ${nextId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    end(event, data) {
+      if (event) stream.send(event, data);
+      stop();
+      if (!res.writableEnded) res.end();
+    },
+
+    // Failure after the stream is open: the status code travels in the event
+    fail(error) {
+      stream.end('error', { success: false, error: error.message, status: error.statusCode || 500 });
+    }
+  };
+  return stream;
+}
+
+// Incremental parser for an upstream event stream. Feed it chunks as they
+// arrive; `onEvent({ event, data })` is called once per complete event.
+function createEventParser(onEvent) {
+  // A multi-byte character can straddle two chunks
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  return chunk => {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach(block => {
+      let event = 'message';
+      const data = [];
+      block.split(/\r?\n/).forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+      });
+      if (data.length > 0) onEvent({ event, data: data.join('\n') });
+    });
+  };
+}
+
+// Error for work stopped because the client went away
+function abortError() {
+  const error = new Error('Client disconnected');
+  error.code = 'ABORT_ERR';
+  error.statusCode = 499;
+  return error;
+}
+
+module.exports = {
+  wantsEventStream,
+  createEventStream,
+  createEventParser,
+  abortError
+};
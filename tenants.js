@@ -0,0 +1,257 @@
+// tenants.js
+// GHL sub-account (location) registry. Each tenant pairs a location id with
+// the credentials for it and lists the API keys that use it by default
+// (data/ghl-tenants.json). GHL_LOCATION_ID / GHL_API_KEY still configure a
+// built-in "default" tenant.
+//
+// A request is scoped to one tenant: the X-GHL-Location header (tenant id or
+// location id) picks one explicitly, otherwise the caller's API key decides,
+// otherwise the default applies. makeGHLRequest reads the current tenant from
+// the request context, so GHL helpers never see credentials directly.
+// Locations connected through OAuth (ghl-oauth.js) need no api_key here.
+//
+// Registered api keys are sealed at rest with the OAuth token key
+// (GHL_TOKEN_ENCRYPTION_KEY) and bound to the tenant id; plaintext keys left
+// by older versions are sealed on the first start that has the key.
+const crypto = require('crypto');
+const { dataPath, readJsonFile, writeJsonFile } = require('./file-store');
+const { runWithContext, getContext } = require('./request-context');
+const ghlOAuth = require('./ghl-oauth');
+const log = require('./logger');
+
+const TENANTS_FILE = dataPath('ghl-tenants.json');
+const TENANT_HEADER = 'x-ghl-location';
+
+const tenants = readJsonFile(TENANTS_FILE, []);
+
+function tenantError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sealLegacyKeys() {
+  const plaintext = tenants.filter(t => typeof t.api_key === 'string');
+  if (plaintext.length === 0) {
+    return;
+  }
+  if (!ghlOAuth.canSeal()) {
+    log.warn(`${plaintext.length} GHL tenant api key(s) stored in plaintext - set GHL_TOKEN_ENCRYPTION_KEY to seal them`);
+    return;
+  }
+  plaintext.forEach(tenant => {
+    tenant.api_key = ghlOAuth.seal(tenant.id, tenant.api_key);
+  });
+  writeJsonFile(TENANTS_FILE, tenants).catch(error => {
+    log.error('Failed to save sealed GHL tenant api keys', error);
+  });
+}
+
+sealLegacyKeys();
+
+function defaultTenant() {
+  if (!process.env.GHL_LOCATION_ID && !process.env.GHL_API_KEY) {
+    return null;
+  }
+  return {
+    id: 'default',
+    name: 'Default location',
+    location_id: process.env.GHL_LOCATION_ID,
+    api_key: process.env.GHL_API_KEY,
+    api_key_ids: []
+  };
+}
+
+function allTenants() {
+  const fallback = defaultTenant();
+  return fallback ? [fallback, ...tenants] : tenants.slice();
+}
+
+// The GHL api key to authenticate as `tenant`, or null. Only the env-configured
+// default tenant (and a not yet sealed legacy entry) holds it in plaintext.
+function tenantApiKey(tenant) {
+  if (!tenant.api_key || typeof tenant.api_key === 'string') {
+    return tenant.api_key || null;
+  }
+  return ghlOAuth.unseal(tenant.id, tenant.api_key, 'GHL api key');
+}
+
+// Public view - credentials are never returned
+function describeTenant(tenant) {
+  return {
+    id: tenant.id,
+    name: tenant.name,
+    location_id: tenant.location_id,
+    api_key_configured: Boolean(tenant.api_key),
+    api_key_ids: tenant.api_key_ids,
+    oauth: ghlOAuth.describeConnection(tenant.location_id),
+    created_at: tenant.created_at || null
+  };
+}
+
+// Tenants with no api_key_ids are open to every key; admins reach all of them
+function canAccess(principal, tenant) {
+  return principal.scopes.includes('admin') ||
+    tenant.api_key_ids.length === 0 ||
+    tenant.api_key_ids.includes(principal.id);
+}
+
+function findTenant(ref) {
+  return allTenants().find(t => t.id === ref || t.location_id === ref) || null;
+}
+
+// Pick the tenant for an authenticated request, or throw 403/404
+function resolveTenant(req) {
+  const requested = req.headers[TENANT_HEADER];
+
+  if (requested) {
+    const tenant = findTenant(requested);
+    if (!tenant) {
+      throw tenantError(404, `Unknown GHL location: ${requested}`);
+    }
+    if (!canAccess(req.auth, tenant)) {
+      throw tenantError(403, `API key is not allowed to use GHL location ${requested}`);
+    }
+    return tenant;
+  }
+
+  return tenants.find(t => t.api_key_ids.includes(req.auth.id)) || defaultTenant();
+}
+
+// Tenant for a location id seen outside a request (e.g. in a webhook payload).
+// Only a registered location - or GHL_LOCATION_ID itself - resolves; any other
+// location is null rather than borrowing the default tenant's credentials.
+function tenantForLocation(locationId) {
+  if (!locationId) {
+    return null;
+  }
+  return allTenants().find(t => t.location_id === locationId) || null;
+}
+
+function accessibleTenants(principal) {
+  return allTenants().filter(tenant => canAccess(principal, tenant));
+}
+
+// The tenant the current request (or withTenant block) is scoped to
+function currentTenant() {
+  const context = getContext();
+  return context.tenant !== undefined ? context.tenant : defaultTenant();
+}
+
+function setRequestTenant(tenant) {
+  getContext().tenant = tenant;
+}
+
+function withTenant(tenant, fn) {
+  return runWithContext({ ...getContext(), tenant }, fn);
+}
+
+// Location id of the current tenant, for query strings and request bodies
+function locationId() {
+  const tenant = currentTenant();
+  return tenant ? tenant.location_id : undefined;
+}
+
+function validateTenantFields(fields, partial) {
+  ['name', 'location_id', 'api_key'].forEach(field => {
+    if (fields[field] === undefined) {
+      if (!partial) throw tenantError(400, `${field} is required`);
+      return;
+    }
+    if (typeof fields[field] !== 'string' || !fields[field].trim()) {
+      throw tenantError(400, `${field} must be a non-empty string`);
+    }
+  });
+  if (fields.api_key_ids !== undefined && !Array.isArray(fields.api_key_ids)) {
+    throw tenantError(400, 'api_key_ids must be an array of API key ids');
+  }
+}
+
+async function createTenant(fields) {
+  validateTenantFields(fields, false);
+  if (findTenant(fields.location_id)) {
+    throw tenantError(409, `Location ${fields.location_id} is already registered`);
+  }
+
+  const id = `ten_${crypto.randomBytes(6).toString('hex')}`;
+  const tenant = {
+    id,
+    name: fields.name.trim(),
+    location_id: fields.location_id.trim(),
+    api_key: ghlOAuth.seal(id, fields.api_key.trim()),
+    api_key_ids: fields.api_key_ids || [],
+    created_at: new Date().toISOString()
+  };
+
+  tenants.push(tenant);
+  await writeJsonFile(TENANTS_FILE, tenants);
+  return describeTenant(tenant);
+}
+
+// Register a location that was connected through OAuth, if it is not already known
+async function ensureTenantForLocation(locationId, name) {
+  const existing = findTenant(locationId);
+  if (existing) {
+    return describeTenant(existing);
+  }
+
+  const tenant = {
+    id: `ten_${crypto.randomBytes(6).toString('hex')}`,
+    name: name || `Location ${locationId}`,
+    location_id: locationId,
+    api_key: null,
+    api_key_ids: [],
+    created_at: new Date().toISOString()
+  };
+
+  tenants.push(tenant);
+  await writeJsonFile(TENANTS_FILE, tenants);
+  return describeTenant(tenant);
+}
+
+async function updateTenant(id, fields) {
+  const tenant = tenants.find(t => t.id === id);
+  if (!tenant) {
+    throw tenantError(404, `Tenant not found: ${id}`);
+  }
+  validateTenantFields(fields, true);
+  const apiKey = fields.api_key !== undefined ? ghlOAuth.seal(tenant.id, fields.api_key.trim()) : undefined;
+
+  if (fields.name !== undefined) tenant.name = fields.name.trim();
+  if (apiKey) tenant.api_key = apiKey;
+  if (fields.api_key_ids !== undefined) {
+    tenant.api_key_ids = fields.api_key_ids;
+  }
+  tenant.updated_at = new Date().toISOString();
+
+  await writeJsonFile(TENANTS_FILE, tenants);
+  return describeTenant(tenant);
+}
+
+async function deleteTenant(id) {
+  const index = tenants.findIndex(t => t.id === id);
+  if (index === -1) {
+    throw tenantError(404, `Tenant not found: ${id}`);
+  }
+  const [tenant] = tenants.splice(index, 1);
+  await writeJsonFile(TENANTS_FILE, tenants);
+  return describeTenant(tenant);
+}
+
+module.exports = {
+  TENANT_HEADER,
+  allTenants,
+  describeTenant,
+  tenantApiKey,
+  resolveTenant,
+  tenantForLocation,
+  accessibleTenants,
+  currentTenant,
+  setRequestTenant,
+  withTenant,
+  locationId,
+  createTenant,
+  ensureTenantForLocation,
+  updateTenant,
+  deleteTenant
+};
@@ -9,6 +9,9 @@ const LOCAL_URL = 'http://localhost:3000';
 // Use Railway URL if available, otherwise local
 const BASE_URL = process.argv[2] === '--local' ? LOCAL_URL : RAILWAY_URL;
 
+// API key with ghl:read and ghl:write scopes (see /api/admin/keys)
+const API_KEY = process.env.API_KEY;
+
 const colors = {
   green: '\x1b[32m',
   red: '\x1b[31m',
@@ -31,6 +34,7 @@ async function makeRequest(url, options = {}) {
       method: options.method || 'GET',
       headers: {
         'Content-Type': 'application/json',
+        ...(API_KEY ? { 'Authorization': `Bearer ${API_KEY}` } : {}),
         ...options.headers
       }
     };
@@ -132,6 +136,7 @@ async function runTests() {
   
   // Test 4: Create contact
   console.log(`\n${colors.cyan}4. Testing POST /api/ghl/contacts...${colors.reset}`);
+  let createdContactId = null;
   const testContact = {
     firstName: 'Test',
     lastName: 'Contact',
@@ -148,6 +153,7 @@ async function runTests() {
     
     if (result.data.success) {
       console.log(`${colors.green}✓ Contact created successfully${colors.reset}`);
+      createdContactId = result.data.data.id;
       console.log(`  ID: ${result.data.data.id}`);
       console.log(`  Name: ${result.data.data.firstName} ${result.data.data.lastName}`);
       console.log(`  Email: ${result.data.data.email}`);
@@ -162,6 +168,34 @@ async function runTests() {
     console.log(`${colors.red}✗ Request failed: ${error.message}${colors.reset}`);
   }
   
+  // Test 4b: Contact lifecycle on the contact created above (deleted again at the end)
+  if (createdContactId) {
+    console.log(`\n${colors.cyan}4b. Testing contact lifecycle on ${createdContactId}...${colors.reset}`);
+    const contactUrl = `${BASE_URL}/api/ghl/contacts/${createdContactId}`;
+    const steps = [
+      ['GET contact', () => makeRequest(contactUrl)],
+      ['PUT contact', () => makeRequest(contactUrl, { method: 'PUT', body: { companyName: 'API Test Lab' } })],
+      ['POST tags', () => makeRequest(`${contactUrl}/tags`, { method: 'POST', body: { tags: ['api-test-tag'] } })],
+      ['DELETE tags', () => makeRequest(`${contactUrl}/tags`, { method: 'DELETE', body: { tags: ['api-test-tag'] } })],
+      ['POST note', () => makeRequest(`${contactUrl}/notes`, { method: 'POST', body: { body: 'Created by test-ghl-endpoints.js' } })],
+      ['GET notes', () => makeRequest(`${contactUrl}/notes`)],
+      ['DELETE contact', () => makeRequest(contactUrl, { method: 'DELETE' })]
+    ];
+
+    for (const [label, run] of steps) {
+      try {
+        const result = await run();
+        if (result.data.success) {
+          console.log(`${colors.green}✓ ${label}${colors.reset}`);
+        } else {
+          console.log(`${colors.red}✗ ${label}: ${result.data.error}${colors.reset}`);
+        }
+      } catch (error) {
+        console.log(`${colors.red}✗ ${label}: ${error.message}${colors.reset}`);
+      }
+    }
+  }
+  
   // Test 5: Get opportunities
   console.log(`\n${colors.cyan}5. Testing GET /api/ghl/opportunities...${colors.reset}`);
   try {
@@ -232,6 +266,8 @@ async function runTests() {
   console.log(`\n${colors.cyan}Required Scopes per Endpoint:${colors.reset}`);
   console.log(`  • /api/ghl/contacts (GET):    contacts.readonly`);
   console.log(`  • /api/ghl/contacts (POST):   contacts.write`);
+  console.log(`  • /api/ghl/contacts/:id/*:    contacts.readonly, contacts.write`);
+  console.log(`  • /api/ghl/custom-fields:     locations/customFields.readonly`);
   console.log(`  • /api/ghl/opportunities:     opportunities.readonly`);
   console.log(`  • /api/ghl/tasks:            contacts.readonly`);
   console.log(`  • /api/ghl/stats:            contacts.readonly, opportunities.readonly`);
@@ -239,12 +275,16 @@ async function runTests() {
   console.log(`\n${colors.cyan}Usage Examples:${colors.reset}`);
   console.log(`  GET  ${BASE_URL}/api/ghl/contacts?search=john&limit=10`);
   console.log(`  POST ${BASE_URL}/api/ghl/contacts { "email": "test@example.com", "firstName": "John" }`);
+  console.log(`  PUT  ${BASE_URL}/api/ghl/contacts/xxx { "customFields": { "contact.lab_size": "12" } }`);
+  console.log(`  POST ${BASE_URL}/api/ghl/contacts/xxx/notes { "body": "Quoted 10x FBS-001" }`);
   console.log(`  GET  ${BASE_URL}/api/ghl/opportunities?status=open&limit=20`);
   console.log(`  GET  ${BASE_URL}/api/ghl/tasks?contactId=xxx`);
+  console.log(`  GET  ${BASE_URL}/api/ghl/tasks?overdue=true&assignedTo=xxx`);
+  console.log(`  POST ${BASE_URL}/api/ghl/contacts/xxx/tasks { "title": "Follow up", "dueDate": "2025-01-31" }`);
   console.log(`  GET  ${BASE_URL}/api/ghl/stats`);
 }
 
 // Run tests
 console.log(`${colors.cyan}Starting GoHighLevel endpoint tests...${colors.reset}\n`);
-console.log(`${colors.yellow}Usage: node test-ghl-endpoints.js [--local]${colors.reset}\n`);
+console.log(`${colors.yellow}Usage: API_KEY=ibs_... node test-ghl-endpoints.js [--local]${colors.reset}\n`);
 runTests().catch(console.error);
\ No newline at end of file
@@ -0,0 +1,40 @@
+// API key authentication
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.LOG_LEVEL = 'silent';
+delete process.env.ADMIN_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const auth = require('../auth');
+
+const KEYS_FILE = path.join(process.env.DATA_DIR, 'api-keys.json');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function request(key) {
+  return { headers: { authorization: `Bearer ${key}` } };
+}
+
+test('repeated use of a key records last_used_at once a minute, not per request', async () => {
+  const { key, id } = await auth.createApiKey({ name: 'test', scopes: ['inventory:read'] });
+  const route = { scopes: ['inventory:read'] };
+
+  assert.strictEqual(auth.authorize(request(key), route), null);
+  const first = auth.listApiKeys().find(k => k.id === id).last_used_at;
+  assert.ok(first);
+  // Let the write from the first request land before watching for more
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const written = fs.statSync(KEYS_FILE).mtimeMs;
+
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(auth.authorize(request(key), route), null);
+  }
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(auth.listApiKeys().find(k => k.id === id).last_used_at, first);
+  assert.strictEqual(fs.statSync(KEYS_FILE).mtimeMs, written);
+});
@@ -0,0 +1,131 @@
+// Chat agent: the tool loop over both providers, streaming and request checks
+process.env.LOG_LEVEL = 'silent';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.ANTHROPIC_API_KEY = 'sk-ant-test';
+process.env.PINECONE_API_KEY = 'pc-test';
+process.env.PINECONE_INDEX_HOST = 'kb-test.svc.pinecone.io';
+delete process.env.CHAT_PROVIDER;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const httpClient = require('../http-client');
+
+// Model replies are scripted per test and consumed in order; embeddings and
+// Pinecone answer the search_knowledge tool with one passage
+const completions = [];
+let script = [];
+
+test.mock.method(httpClient, 'makeHttpsRequest', async options => {
+  const body = JSON.parse(options.body);
+  if (options.path.endsWith('/embeddings')) {
+    return { status: 200, data: { data: [{ index: 0, embedding: [0.1] }] } };
+  }
+  if (options.upstream === 'pinecone') {
+    return { status: 200, data: { matches: [{ id: 'coa#0', score: 0.9, metadata: { doc_id: 'coa', title: 'FBS COA', text: 'Store at -20C' } }] } };
+  }
+  completions.push({ upstream: options.upstream, body });
+  const next = script.shift();
+  if (options.onData && next.stream) {
+    next.stream.forEach(event => options.onData(Buffer.from(`data: ${JSON.stringify(event)}\n\n`)));
+    return { status: 200, data: null };
+  }
+  return { status: 200, data: next };
+});
+
+const { runChat } = require('../chat');
+
+const reader = { id: 'key_1', scopes: ['knowledge:read'] };
+const ask = content => [{ role: 'user', content }];
+
+test.beforeEach(() => {
+  completions.length = 0;
+  script = [];
+});
+
+test('OpenAI tool calls are run and fed back until the model answers', async () => {
+  script = [
+    {
+      model: 'gpt-4o-mini-2024',
+      choices: [{ finish_reason: 'tool_calls', message: { content: null, tool_calls: [{ id: 'call_1', function: { name: 'search_knowledge', arguments: '{"question":"FBS storage"}' } }] } }],
+      usage: { prompt_tokens: 100, completion_tokens: 10 }
+    },
+    { choices: [{ finish_reason: 'stop', message: { content: 'Store it at -20C [1].' } }], usage: { prompt_tokens: 150, completion_tokens: 8 } }
+  ];
+  const result = await runChat({ messages: ask('How is FBS stored?'), provider: 'openai', principal: reader });
+
+  assert.strictEqual(result.reply, 'Store it at -20C [1].');
+  assert.deepStrictEqual(result.usage, { input_tokens: 250, output_tokens: 18 });
+  assert.deepStrictEqual(result.tool_calls.map(call => [call.name, call.ok]), [['search_knowledge', true]]);
+  assert.deepStrictEqual(result.messages.map(m => m.role), ['assistant', 'tool', 'assistant']);
+  assert.match(result.messages[1].content, /Store at -20C/);
+
+  // Only the tools the key's scopes allow are offered
+  assert.deepStrictEqual(completions[0].body.tools.map(tool => tool.function.name), ['search_knowledge']);
+  const toolTurn = completions[1].body.messages.slice(-2);
+  assert.deepStrictEqual(toolTurn.map(m => m.role), ['assistant', 'tool']);
+  assert.strictEqual(toolTurn[0].tool_calls[0].function.arguments, '{"question":"FBS storage"}');
+});
+
+test('Anthropic gets all tool results of a turn in one user message, failures flagged', async () => {
+  script = [
+    {
+      content: [
+        { type: 'tool_use', id: 'tu_1', name: 'search_knowledge', input: { question: 'storage' } },
+        { type: 'tool_use', id: 'tu_2', name: 'check_inventory', input: { sku: 'FBS-001' } }
+      ],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 10, output_tokens: 5 }
+    },
+    { content: [{ type: 'text', text: 'Done.' }], stop_reason: 'end_turn', usage: { input_tokens: 20, output_tokens: 2 } }
+  ];
+  const result = await runChat({ messages: ask('Storage and stock?'), provider: 'anthropic', principal: reader });
+
+  assert.strictEqual(result.reply, 'Done.');
+  const [, assistant, toolResults] = completions[1].body.messages;
+  assert.deepStrictEqual(assistant.content.map(block => block.type), ['tool_use', 'tool_use']);
+  assert.strictEqual(toolResults.role, 'user');
+  assert.deepStrictEqual(toolResults.content.map(block => [block.tool_use_id, block.is_error]), [['tu_1', undefined], ['tu_2', true]]);
+  assert.match(toolResults.content[1].content, /Unknown tool: check_inventory/);
+});
+
+test('the last step offers no tools, so the model has to answer', async () => {
+  const toolCall = { choices: [{ finish_reason: 'tool_calls', message: { tool_calls: [{ id: 'c', function: { name: 'search_knowledge', arguments: '{bad' } }] } }] };
+  script = [toolCall, { choices: [{ finish_reason: 'stop', message: { content: 'Best effort.' } }] }];
+  const result = await runChat({ messages: ask('q'), provider: 'openai', principal: reader, maxSteps: 2 });
+
+  assert.strictEqual(result.steps, 2);
+  assert.strictEqual(completions[1].body.tools, undefined);
+  assert.deepStrictEqual(result.tool_calls.map(call => call.ok), [false]);
+  assert.match(result.messages[1].content, /not valid JSON/);
+});
+
+test('streamed tokens are emitted as they arrive and assembled into the reply', async () => {
+  script = [{
+    stream: [
+      { model: 'gpt-4o-mini', choices: [{ delta: { content: 'Hel' } }] },
+      { choices: [{ delta: { content: 'lo' }, finish_reason: 'stop' }] },
+      { choices: [], usage: { prompt_tokens: 5, completion_tokens: 2 } }
+    ]
+  }];
+  const events = [];
+  const result = await runChat({ messages: ask('hi'), provider: 'openai', principal: reader, onEvent: (event, data) => events.push([event, data]) });
+
+  assert.strictEqual(result.reply, 'Hello');
+  assert.deepStrictEqual(events.filter(([event]) => event === 'token').map(([, data]) => data.text), ['Hel', 'lo']);
+  assert.strictEqual(events[0][0], 'start');
+  assert.strictEqual(completions[0].body.stream, true);
+});
+
+test('malformed requests are refused before any model call', async () => {
+  const cases = [
+    [{ messages: [] }, /non-empty array/],
+    [{ messages: [...ask('hi'), { role: 'assistant', content: 'hello' }] }, /last message must be from the user/],
+    [{ messages: [{ role: 'system', content: 'x' }] }, /role must be/],
+    [{ messages: ask('hi'), maxSteps: 11 }, /max_steps/],
+    [{ messages: ask('hi'), provider: 'constructor' }, /provider must be one of/]
+  ];
+  for (const [options, message] of cases) {
+    await assert.rejects(runChat({ principal: reader, ...options }), { statusCode: 400, message });
+  }
+  assert.strictEqual(completions.length, 0);
+});
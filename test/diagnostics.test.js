@@ -0,0 +1,82 @@
+// Integration check roll-up behind /api/test/all and /health/ready
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Readiness creates DATA_DIR to prove it is writable
+process.env.DATA_DIR = path.join(os.tmpdir(), `diagnostics-test-${process.pid}`);
+process.env.LOG_LEVEL = 'silent';
+process.env.READINESS_CACHE_MS = '100';
+delete process.env.REQUIRED_INTEGRATIONS;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const diagnostics = require('../diagnostics');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const checks = {
+  up: { run: async () => ({ success: true, data: { version: 1 } }), configured: () => true },
+  down: { run: async () => ({ success: false, error: 'refused' }), configured: () => true },
+  slow: { run: () => new Promise(resolve => setTimeout(() => resolve({ success: true }), 1000)), configured: () => true },
+  unset: { run: async () => { throw new Error('must not run'); }, configured: () => false }
+};
+
+test('only own entries are checks, so inherited names are unknown', async () => {
+  assert.strictEqual(diagnostics.findCheck(checks, 'up'), checks.up);
+  assert.strictEqual(diagnostics.findCheck(checks, 'constructor'), null);
+  assert.strictEqual(diagnostics.findCheck(checks, '__proto__'), null);
+
+  await assert.rejects(diagnostics.runChecks(checks, { services: ['constructor'] }), { statusCode: 400 });
+});
+
+test('each check gets a status; an optional failure degrades the roll-up', async () => {
+  const report = await diagnostics.runChecks(checks, { timeoutMs: 100 });
+
+  assert.strictEqual(report.status, 'degraded');
+  assert.strictEqual(report.services.up.status, 'ok');
+  assert.deepStrictEqual(report.services.up.data, { version: 1 });
+  assert.strictEqual(report.services.down.error, 'refused');
+  assert.strictEqual(report.services.slow.status, 'timeout');
+  assert.strictEqual(report.services.unset.status, 'not_configured');
+});
+
+test('a failing required integration makes the roll-up unhealthy', async () => {
+  process.env.REQUIRED_INTEGRATIONS = 'down';
+  try {
+    const report = await diagnostics.runChecks(checks, { services: ['up', 'down'] });
+    assert.strictEqual(report.status, 'unhealthy');
+    assert.strictEqual(report.services.down.required, true);
+  } finally {
+    delete process.env.REQUIRED_INTEGRATIONS;
+  }
+});
+
+test('readiness runs only the required checks, hides their errors and caches the answer', async () => {
+  process.env.REQUIRED_INTEGRATIONS = ' UP, down, unknown ';
+  try {
+    const first = await diagnostics.readiness(checks);
+    assert.strictEqual(first.status, 'not_ready');
+    assert.deepStrictEqual(first.required_integrations, ['up', 'down']);
+    assert.deepStrictEqual(Object.keys(first.checks), ['data_dir', 'up', 'down']);
+    assert.deepStrictEqual(first.checks.down, { status: 'failed', latency_ms: first.checks.down.latency_ms });
+    assert.strictEqual(first.cached, false);
+    assert.ok(fs.existsSync(process.env.DATA_DIR));
+
+    assert.strictEqual((await diagnostics.readiness(checks)).cached, true);
+
+    process.env.REQUIRED_INTEGRATIONS = 'up';
+    await new Promise(resolve => setTimeout(resolve, 120));
+    const later = await diagnostics.readiness(checks);
+    assert.deepStrictEqual([later.status, later.cached], ['ready', false]);
+  } finally {
+    delete process.env.REQUIRED_INTEGRATIONS;
+  }
+});
+
+test('liveness reports uptime, event loop delay and memory without touching upstreams', () => {
+  const live = diagnostics.liveness();
+  assert.strictEqual(live.status, 'alive');
+  assert.deepStrictEqual(Object.keys(live.event_loop_delay_ms), ['mean', 'p99', 'max']);
+  assert.ok(live.memory_mb.rss > 0);
+});
@@ -0,0 +1,77 @@
+// GHL OAuth against a local stand-in authorization server on plain http
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { URLSearchParams } = require('url');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ghl-oauth-test-'));
+process.env.LOG_LEVEL = 'silent';
+process.env.GHL_CLIENT_ID = 'client-1';
+process.env.GHL_CLIENT_SECRET = 'secret-1';
+process.env.GHL_TOKEN_ENCRYPTION_KEY = 'test-key';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Grants the stand-in received, and how it answers the next one
+const grants = [];
+let answer;
+
+const authServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    grants.push(Object.fromEntries(new URLSearchParams(body)));
+    const { status, token } = answer(grants[grants.length - 1]);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(token));
+  });
+});
+
+let oauth;
+
+test.before(async () => {
+  await new Promise(resolve => authServer.listen(0, '127.0.0.1', resolve));
+  process.env.GHL_OAUTH_TOKEN_URL = `http://127.0.0.1:${authServer.address().port}/oauth/token`;
+  oauth = require('../ghl-oauth');
+});
+
+test.after(() => {
+  authServer.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('the authorization code is exchanged for stored tokens', async () => {
+  answer = () => ({ status: 200, token: { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 3600, locationId: 'loc-1' } });
+  const { state } = oauth.buildAuthorizeUrl('http://localhost:3000');
+
+  const connection = await oauth.completeAuthorization({ code: 'code-1', state });
+
+  assert.strictEqual(connection.location_id, 'loc-1');
+  assert.strictEqual(grants[0].grant_type, 'authorization_code');
+  assert.strictEqual(grants[0].code, 'code-1');
+  assert.strictEqual(grants[0].client_secret, 'secret-1');
+  assert.strictEqual(await oauth.accessToken('loc-1'), 'access-1');
+});
+
+test('a rejected access token is refreshed with the rotated refresh token', async () => {
+  answer = () => ({ status: 200, token: { access_token: 'access-2', refresh_token: 'refresh-2', expires_in: 60 } });
+
+  assert.strictEqual(await oauth.accessToken('loc-1', { rejected: 'access-1' }), 'access-2');
+  assert.strictEqual(grants[grants.length - 1].grant_type, 'refresh_token');
+  assert.strictEqual(grants[grants.length - 1].refresh_token, 'refresh-1');
+
+  // Sixty seconds is inside the refresh margin, so the next call refreshes again
+  answer = () => ({ status: 200, token: { access_token: 'access-3', refresh_token: 'refresh-3', expires_in: 3600 } });
+  assert.strictEqual(await oauth.accessToken('loc-1'), 'access-3');
+  assert.strictEqual(grants[grants.length - 1].refresh_token, 'refresh-2');
+});
+
+test('a refused refresh marks the connection for reauthorization', async () => {
+  answer = () => ({ status: 400, token: { error: 'invalid_grant' } });
+
+  await assert.rejects(oauth.accessToken('loc-1', { rejected: 'access-3' }), { statusCode: 401 });
+  assert.strictEqual(oauth.describeConnection('loc-1').needs_reauthorization, true);
+  await assert.rejects(oauth.accessToken('loc-1'), { statusCode: 401 });
+});
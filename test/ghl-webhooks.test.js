@@ -0,0 +1,57 @@
+// GHL webhook routing by location
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ghl-webhooks-test-'));
+process.env.LOG_LEVEL = 'silent';
+process.env.GHL_LOCATION_ID = 'loc-default';
+process.env.GHL_API_KEY = 'default-key';
+process.env.GHL_TOKEN_ENCRYPTION_KEY = 'test-key';
+process.env.GHL_WEBHOOK_PUBLIC_KEY = publicKey.export({ type: 'spki', format: 'pem' });
+
+const test = require('node:test');
+const assert = require('node:assert');
+const tenants = require('../tenants');
+const webhooks = require('../ghl-webhooks');
+
+// Location each delivery was handled as
+const seen = [];
+webhooks.registerHandler('*', 'record-location', () => {
+  seen.push(tenants.locationId());
+});
+
+function deliver(payload) {
+  const rawBody = Buffer.from(JSON.stringify({ webhookId: crypto.randomUUID(), ...payload }));
+  const signature = crypto.sign('sha256', rawBody, privateKey).toString('base64');
+  return webhooks.handleGhlWebhook(rawBody, { 'x-wh-signature': signature });
+}
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('without registered tenants only GHL_LOCATION_ID is handled', async () => {
+  const own = await deliver({ type: 'ContactCreate', locationId: 'loc-default' });
+  const other = await deliver({ type: 'OpportunityStatusUpdate', locationId: 'loc-other', status: 'won' });
+  const none = await deliver({ type: 'ContactCreate' });
+
+  assert.strictEqual(own.ignored, undefined);
+  assert.match(other.ignored, /loc-other/);
+  assert.ok(none.ignored);
+  assert.deepStrictEqual(seen.splice(0), ['loc-default']);
+});
+
+test('once tenants are registered, events from unknown locations are acknowledged and ignored', async () => {
+  await tenants.createTenant({ name: 'Lab', location_id: 'loc-lab', api_key: 'lab-key' });
+
+  const known = await deliver({ type: 'ContactCreate', locationId: 'loc-lab' });
+  const unknown = await deliver({ type: 'ContactCreate', locationId: 'loc-other' });
+
+  assert.strictEqual(known.handlers.length, 1);
+  assert.match(unknown.ignored, /loc-other/);
+  assert.deepStrictEqual(unknown.handlers, []);
+  assert.deepStrictEqual(seen.splice(0), ['loc-lab']);
+  assert.strictEqual(webhooks.listEvents({ limit: 1 })[0].ignored, unknown.ignored);
+});
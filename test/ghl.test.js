@@ -0,0 +1,257 @@
+// GHL proxy helpers against a stand-in for the HTTPS transport
+process.env.LOG_LEVEL = 'silent';
+process.env.GHL_LOCATION_ID = 'loc-1';
+process.env.GHL_API_KEY = 'pit-key';
+delete process.env.GHL_BASE_URL;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const httpClient = require('../http-client');
+
+// Every upstream request, and the reply the current test wants for it
+const calls = [];
+let reply = () => ({ status: 200, data: {} });
+
+test.mock.method(httpClient, 'makeHttpsRequest', async options => {
+  const [path, search = ''] = options.path.split('?');
+  const call = {
+    method: options.method,
+    path,
+    query: Object.fromEntries(new URLSearchParams(search)),
+    body: options.body ? JSON.parse(options.body) : undefined,
+    authorization: options.headers.Authorization
+  };
+  calls.push(call);
+  return reply(call);
+});
+
+// Required after the transport is replaced, since ghl.js binds it on load
+const ghl = require('../ghl');
+
+test.beforeEach(() => {
+  calls.length = 0;
+  reply = () => ({ status: 200, data: {} });
+});
+
+test('contact reads unwrap the contact and authenticate with the location key', async () => {
+  reply = () => ({ status: 200, data: { contact: { id: 'c/1', email: 'a@example.com' } } });
+  const result = await ghl.getContact('c/1');
+
+  assert.deepStrictEqual(result, { success: true, data: { id: 'c/1', email: 'a@example.com' } });
+  assert.deepStrictEqual(calls.map(c => [c.method, c.path, c.authorization]), [['GET', '/contacts/c%2F1', 'Bearer pit-key']]);
+});
+
+test('contact updates send only writable fields and map custom fields by id or key', async () => {
+  await ghl.updateContact('c1', {
+    firstName: 'Ada',
+    locationId: 'someone-else',
+    id: 'c2',
+    customFields: { abc123: 'x', 'contact.lab_size': 12 }
+  });
+
+  assert.strictEqual(calls[0].method, 'PUT');
+  assert.deepStrictEqual(calls[0].body, {
+    firstName: 'Ada',
+    customFields: [{ id: 'abc123', field_value: 'x' }, { key: 'contact.lab_size', field_value: 12 }]
+  });
+  assert.deepStrictEqual(ghl.toGHLCustomFields([{ key: 'contact.a', value: 1 }, { id: 'f2', field_value: 2 }, { value: 3 }]), [
+    { key: 'contact.a', field_value: 1 },
+    { id: 'f2', field_value: 2 }
+  ]);
+});
+
+test('tags are added and removed on the contact tags endpoint', async () => {
+  reply = call => ({ status: 200, data: { tags: call.method === 'POST' ? ['vip', 'fbs'] : ['fbs'] } });
+
+  assert.deepStrictEqual((await ghl.addContactTags('c1', ['vip'])).data, ['vip', 'fbs']);
+  assert.deepStrictEqual((await ghl.removeContactTags('c1', ['vip'])).data, ['fbs']);
+  assert.deepStrictEqual(calls.map(c => [c.method, c.path, c.body]), [
+    ['POST', '/contacts/c1/tags', { tags: ['vip'] }],
+    ['DELETE', '/contacts/c1/tags', { tags: ['vip'] }]
+  ]);
+});
+
+test('notes are created, edited and deleted under the contact', async () => {
+  reply = call => ({ status: 200, data: call.method === 'DELETE' ? { succeded: true } : { note: { id: 'n1', body: call.body.body } } });
+
+  assert.deepStrictEqual((await ghl.createContactNote('c1', 'Called about FBS', 'u1')).data, { id: 'n1', body: 'Called about FBS' });
+  await ghl.updateContactNote('c1', 'n1', 'Ordered', 'u1');
+  assert.strictEqual((await ghl.deleteContactNote('c1', 'n1')).success, true);
+
+  assert.deepStrictEqual(calls.map(c => `${c.method} ${c.path}`), [
+    'POST /contacts/c1/notes',
+    'PUT /contacts/c1/notes/n1',
+    'DELETE /contacts/c1/notes/n1'
+  ]);
+  assert.deepStrictEqual(calls[0].body, { body: 'Called about FBS', userId: 'u1' });
+});
+
+test('custom field definitions are listed for the current location', async () => {
+  reply = () => ({ status: 200, data: { customFields: [{ id: 'f1', fieldKey: 'contact.lab_size' }] } });
+  const result = await ghl.listContactCustomFields();
+
+  assert.deepStrictEqual(result.data, [{ id: 'f1', fieldKey: 'contact.lab_size' }]);
+  assert.deepStrictEqual([calls[0].path, calls[0].query], ['/locations/loc-1/customFields', { model: 'contact' }]);
+});
+
+test('an upstream error comes back as a failed envelope with its details', async () => {
+  reply = () => ({ status: 404, data: { message: 'Contact not found' } });
+  const result = await ghl.deleteContact('missing');
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.status, 404);
+  assert.match(result.details, /Contact not found/);
+});
+
+// Stage order on the wire is not board order
+const PIPELINES = [
+  { id: 'p1', name: 'Sales', stages: [{ id: 's2', name: 'Quoted', position: 1 }, { id: 's1', name: 'New', position: 0 }] },
+  { id: 'p2', name: 'Renewals', stages: [{ id: 's3', name: 'Due', position: 0 }] }
+];
+
+function pipelineReply(handler) {
+  return call => (call.path === '/opportunities/pipelines' ? { status: 200, data: { pipelines: PIPELINES } } : handler(call));
+}
+
+test('pipelines come back with their stages in board order', async () => {
+  reply = pipelineReply();
+  const { data } = await ghl.listPipelines();
+
+  assert.deepStrictEqual(data[0].stages.map(stage => stage.id), ['s1', 's2']);
+  assert.deepStrictEqual(calls[0].query, { locationId: 'loc-1' });
+});
+
+test('a new deal lands in the named stage, or the first one by default', async () => {
+  reply = pipelineReply(call => ({ status: 201, data: { opportunity: { id: 'o1', ...call.body } } }));
+
+  const named = await ghl.createOpportunity({ contactId: 'c1', name: 'FBS order', pipelineId: 'p1', stageName: 'quoted', monetaryValue: '250.5' });
+  assert.strictEqual(named.data.pipelineStageId, 's2');
+  assert.strictEqual(named.data.monetaryValue, 250.5);
+  assert.strictEqual(named.data.status, 'open');
+
+  const first = await ghl.createOpportunity({ contactId: 'c1', name: 'Media order', pipelineId: 'p1' });
+  assert.strictEqual(first.data.pipelineStageId, 's1');
+});
+
+test('deals with a bad stage, value or status are refused before anything is created', async () => {
+  reply = pipelineReply(() => assert.fail('no deal should be created'));
+
+  const cases = [
+    [{ name: 'x', pipelineId: 'p1' }, /contactId/],
+    [{ contactId: 'c1', name: 'x', pipelineId: 'p1', stageName: 'Closed' }, /no stage named/],
+    [{ contactId: 'c1', name: 'x', pipelineId: 'p1', pipelineStageId: 's3' }, /Unknown pipelineStageId/],
+    [{ contactId: 'c1', name: 'x', pipelineId: 'p1', monetaryValue: -1 }, /monetaryValue/],
+    [{ contactId: 'c1', name: 'x', pipelineId: 'p1', status: 'pending' }, /status/]
+  ];
+  for (const [fields, message] of cases) {
+    await assert.rejects(ghl.createOpportunity(fields), { statusCode: 400, message });
+  }
+});
+
+test('moving by stage name looks the stage up in the deal\'s own pipeline', async () => {
+  reply = pipelineReply(call => {
+    if (call.method === 'GET') return { status: 200, data: { opportunity: { id: 'o1', pipelineId: 'p2' } } };
+    return { status: 200, data: { opportunity: { id: 'o1', ...call.body } } };
+  });
+
+  const moved = await ghl.moveOpportunityStage('o1', { stageName: 'Due' });
+  assert.deepStrictEqual(moved.data, { id: 'o1', pipelineId: 'p2', pipelineStageId: 's3' });
+  assert.deepStrictEqual(calls.map(c => `${c.method} ${c.path}`), ['GET /opportunities/o1', 'GET /opportunities/pipelines', 'PUT /opportunities/o1']);
+
+  await assert.rejects(ghl.setOpportunityStatus('o1', 'closed'), { statusCode: 400 });
+});
+
+test('the rollup counts deals and value per stage, including empty stages', async () => {
+  reply = pipelineReply(() => ({
+    status: 200,
+    data: {
+      opportunities: [
+        { pipelineStageId: 's1', monetaryValue: 100 },
+        { pipelineStageId: 's1', monetaryValue: '50' },
+        { pipelineStageId: 'gone', monetaryValue: 999 }
+      ],
+      meta: { total: 3 }
+    }
+  }));
+
+  const { data } = await ghl.pipelineRollup('p1');
+  assert.deepStrictEqual(data.stages.map(({ id, count, total_value }) => [id, count, total_value]), [['s1', 2, 150], ['s2', 0, 0]]);
+  assert.deepStrictEqual(data.totals, { count: 2, total_value: 150 });
+  assert.strictEqual(calls[1].query.status, 'open');
+
+  await assert.rejects(ghl.pipelineRollup('nope'), { statusCode: 404 });
+});
+
+// Contacts c1..c<count>, served a requested page at a time after startAfterId
+function contactPages(count) {
+  return call => {
+    const start = call.query.startAfterId ? Number(call.query.startAfterId.slice(1)) : 0;
+    const contacts = Array.from({ length: Math.max(0, Math.min(Number(call.query.limit), count - start)) }, (_, i) => ({
+      id: `c${start + i + 1}`,
+      email: `c${start + i + 1}@example.com`
+    }));
+    const last = contacts[contacts.length - 1];
+    return { status: 200, data: { contacts, meta: { total: count, startAfterId: last && last.id, startAfter: last && start + contacts.length } } };
+  };
+}
+
+test('collecting walks the cursor until a short page, and a limit never splits a page', async () => {
+  reply = contactPages(230);
+  const all = await ghl.collectGHL('/contacts/', { itemsKey: 'contacts', query: { locationId: 'loc-1' } });
+  assert.strictEqual(all.data.length, 230);
+  assert.strictEqual(all.next_cursor, null);
+  assert.deepStrictEqual(calls.map(c => [c.query.limit, c.query.startAfterId]), [['100', undefined], ['100', 'c100'], ['100', 'c200']]);
+
+  calls.length = 0;
+  const some = await ghl.collectGHL('/contacts/', { itemsKey: 'contacts', limit: 150 });
+  assert.strictEqual(some.data.length, 150);
+  assert.deepStrictEqual(calls.map(c => c.query.limit), ['100', '50']);
+
+  calls.length = 0;
+  const rest = await ghl.collectGHL('/contacts/', { itemsKey: 'contacts', cursor: ghl.decodeCursor(some.next_cursor) });
+  assert.strictEqual(rest.data[0].id, 'c151');
+  assert.strictEqual(rest.data.length, 80);
+});
+
+test('a malformed cursor is a 400 and an upstream failure mid-walk a failed envelope', async () => {
+  assert.throws(() => ghl.decodeCursor('not-a-cursor'), { statusCode: 400 });
+  assert.throws(() => ghl.decodeCursor(Buffer.from('{"startAfter":1}').toString('base64')), { statusCode: 400 });
+
+  reply = call => (call.query.startAfterId ? { status: 429, data: { message: 'Too many requests' } } : contactPages(500)(call));
+  const result = await ghl.collectGHL('/contacts/', { itemsKey: 'contacts' });
+  assert.deepStrictEqual([result.success, result.status], [false, 429]);
+});
+
+// Just enough of a ServerResponse for streamExport
+function exportResponse() {
+  return {
+    chunks: [],
+    destroyed: false,
+    writeHead(status, headers) { Object.assign(this, { status, headers }); },
+    write(chunk) { this.chunks.push(chunk); return true; },
+    end() { this.ended = true; },
+    destroy() { this.destroyed = true; },
+    text() { return this.chunks.join(''); }
+  };
+}
+
+test('exports stream every page as NDJSON, or as CSV with formulas defused', async () => {
+  const { streamExport } = require('../ghl-export');
+
+  reply = contactPages(120);
+  const ndjson = exportResponse();
+  assert.strictEqual(await streamExport(ndjson, 'contacts'), 120);
+  assert.strictEqual(ndjson.headers['Content-Type'], 'application/x-ndjson');
+  assert.strictEqual(ndjson.text().trim().split('\n').length, 120);
+  assert.strictEqual(ndjson.ended, true);
+
+  reply = () => ({ status: 200, data: { contacts: [{ id: 'c1', firstName: '=HYPERLINK("x")', companyName: 'Cells, Inc.', tags: ['a', 'b'] }] } });
+  const csv = exportResponse();
+  await streamExport(csv, 'contacts', { format: 'csv' });
+  const [header, row] = csv.text().split('\r\n');
+  assert.strictEqual(header, 'id,firstName,lastName,email,phone,companyName,tags,source,dateAdded');
+  assert.strictEqual(row, 'c1,"\'=HYPERLINK(""x"")",,,,"Cells, Inc.",a;b,,');
+
+  await assert.rejects(streamExport(exportResponse(), 'invoices'), { statusCode: 404 });
+  await assert.rejects(streamExport(exportResponse(), 'contacts', { format: 'xml' }), { statusCode: 400 });
+});
@@ -0,0 +1,83 @@
+// Circuit breaker and per-host queue behaviour of http-client.js against local sockets
+process.env.HTTP_BREAKER_THRESHOLD = '1';
+process.env.HTTP_BREAKER_COOLDOWN_MS = '50';
+process.env.HTTP_MAX_CONCURRENCY_PER_HOST = '1';
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { makeHttpsRequest, getUpstreamStats } = require('../http-client');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// A port nothing listens on: connections are refused straight away
+async function closedPort() {
+  const server = net.createServer();
+  const port = await listen(server);
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+test('aborting the half-open trial call lets the next call through', async () => {
+  // Accepts connections and never answers, so the trial call hangs until aborted
+  const sockets = new Set();
+  const silent = net.createServer(socket => sockets.add(socket));
+  const silentPort = await listen(silent);
+  const refusedPort = await closedPort();
+  const upstream = 'trial-abort';
+
+  try {
+    // One refused connection opens the breaker (threshold 1)
+    await assert.rejects(makeHttpsRequest({ hostname: '127.0.0.1', port: refusedPort, upstream, retries: 0 }), { code: 'ECONNREFUSED' });
+    assert.strictEqual(getUpstreamStats().upstreams[upstream].state, 'open');
+
+    // After the cool-down the next call is the trial; the client goes away mid-call
+    await sleep(60);
+    const controller = new AbortController();
+    const trial = makeHttpsRequest({ hostname: '127.0.0.1', port: silentPort, upstream, retries: 0, signal: controller.signal });
+    setTimeout(() => controller.abort(), 30);
+    await assert.rejects(trial, { code: 'ABORT_ERR' });
+    assert.strictEqual(getUpstreamStats().upstreams[upstream].state, 'half_open');
+
+    // Not ECIRCUITOPEN: the abandoned trial must not keep the breaker blocked
+    await assert.rejects(makeHttpsRequest({ hostname: '127.0.0.1', port: refusedPort, upstream, retries: 0 }), { code: 'ECONNREFUSED' });
+  } finally {
+    sockets.forEach(socket => socket.destroy());
+    silent.close();
+  }
+});
+
+test('a call aborted while queued for a host slot gives up its place', async () => {
+  const sockets = new Set();
+  const silent = net.createServer(socket => sockets.add(socket));
+  const silentPort = await listen(silent);
+  const refusedPort = await closedPort();
+  // Its own hostname, so the queue is not shared with the test above
+  const hostname = 'localhost';
+
+  try {
+    // The one slot (HTTP_MAX_CONCURRENCY_PER_HOST=1) is held by a call that never gets an answer
+    const holder = new AbortController();
+    const holding = makeHttpsRequest({ hostname, port: silentPort, upstream: 'queue-holder', retries: 0, signal: holder.signal });
+
+    const queued = new AbortController();
+    const waiting = makeHttpsRequest({ hostname, port: silentPort, upstream: 'queue-waiter', retries: 0, signal: queued.signal });
+    setTimeout(() => queued.abort(), 30);
+    await assert.rejects(waiting, { code: 'ABORT_ERR' });
+    assert.strictEqual(getUpstreamStats().upstreams['queue-holder'].state, 'closed');
+
+    holder.abort();
+    await assert.rejects(holding, { code: 'ABORT_ERR' });
+
+    // The slot went back to the host rather than to the aborted waiter
+    await assert.rejects(makeHttpsRequest({ hostname, port: refusedPort, upstream: 'queue-next', retries: 0 }), { code: 'ECONNREFUSED' });
+  } finally {
+    sockets.forEach(socket => socket.destroy());
+    silent.close();
+  }
+});
@@ -0,0 +1,107 @@
+// Inventory store against a throwaway file backend
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-test-'));
+process.env.LOG_LEVEL = 'silent';
+delete process.env.INVENTORY_BACKEND;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const inventory = require('../inventory');
+
+test.before(() => inventory.initInventory());
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+async function receiveLots(sku) {
+  await inventory.createItem({ sku, name: sku, location: 'Shelf 1' }, 'test');
+  await inventory.recordMovement({ sku, type: 'receive', quantity: 10, lot: 'L1', reason: 'test' });
+  await inventory.recordMovement({ sku, type: 'receive', quantity: 4, lot: 'L2', reason: 'test' });
+}
+
+test('a transfer without a lot moves the SKU and all its lots', async () => {
+  await receiveLots('TR-1');
+  const { item, movements } = await inventory.recordMovement({ sku: 'TR-1', type: 'transfer', to_location: 'Freezer 2', reason: 'test' });
+
+  assert.strictEqual(item.location, 'Freezer 2');
+  assert.deepStrictEqual(item.lots.map(lot => lot.location), ['Freezer 2', 'Freezer 2']);
+  assert.strictEqual(movements[0].quantity_moved, 14);
+});
+
+test('a transfer quantity must cover the whole lot or SKU', async () => {
+  await receiveLots('TR-2');
+  await assert.rejects(
+    inventory.recordMovement({ sku: 'TR-2', type: 'transfer', lot: 'L1', quantity: 3, to_location: 'Freezer 2', reason: 'test' }),
+    { statusCode: 400 }
+  );
+  await assert.rejects(
+    inventory.recordMovement({ sku: 'TR-2', type: 'transfer', quantity: 3, to_location: 'Freezer 2', reason: 'test' }),
+    { statusCode: 400 }
+  );
+
+  const { item } = await inventory.recordMovement({ sku: 'TR-2', type: 'transfer', lot: 'L1', quantity: 10, to_location: 'Freezer 2', reason: 'test' });
+  assert.deepStrictEqual(item.lots.map(lot => [lot.lot, lot.location]), [['L1', 'Freezer 2'], ['L2', 'Shelf 1']]);
+  assert.strictEqual(item.location, 'Shelf 1');
+});
+
+test('a SKU whose starting stock fails validation is not created', async () => {
+  await assert.rejects(
+    inventory.createItem({ sku: 'NEW-1', name: 'New', quantity: 5, lot: 'L1', expiry_date: 'next week' }, 'test'),
+    { statusCode: 400 }
+  );
+  assert.strictEqual(await inventory.getItem('NEW-1'), null);
+  await assert.rejects(inventory.getHistory('NEW-1'), { statusCode: 404 });
+
+  const item = await inventory.createItem({ sku: 'NEW-1', name: 'New', quantity: 5, lot: 'L1', expiry_date: '2030-01-31' }, 'test');
+  assert.strictEqual(item.quantity, 5);
+  assert.strictEqual(item.lots[0].expiry_date, '2030-01-31');
+});
+
+test('reserved stock can only be consumed against its own reference', async () => {
+  await inventory.createItem({ sku: 'RES-1', name: 'Reserved', quantity: 10, reorder_point: 3 }, 'test');
+  const reserved = await inventory.reserveStock({ sku: 'RES-1', quantity: 8, reference: 'opp-1', user: 'test' });
+  assert.strictEqual(reserved.available_quantity, 2);
+  assert.strictEqual(reserved.stock_status, 'LOW');
+
+  await assert.rejects(
+    inventory.recordMovement({ sku: 'RES-1', type: 'consume', quantity: 3, reason: 'test' }),
+    { statusCode: 409, message: /2 available \(8 reserved/ }
+  );
+  await inventory.recordMovement({ sku: 'RES-1', type: 'consume', quantity: 2, reason: 'test' });
+
+  const { item } = await inventory.recordMovement({ sku: 'RES-1', type: 'consume', quantity: 8, reference: 'opp-1', reason: 'test' });
+  assert.strictEqual(item.quantity, 0);
+  assert.strictEqual(item.reserved_quantity, 0);
+});
+
+test('expired lots do not count towards available stock or its status', async () => {
+  await inventory.createItem({ sku: 'EXP-1', name: 'Expiring', reorder_point: 5 }, 'test');
+  await inventory.recordMovement({ sku: 'EXP-1', type: 'receive', quantity: 20, lot: 'OLD', expiry_date: '2020-01-31', reason: 'test' });
+  const { item } = await inventory.recordMovement({ sku: 'EXP-1', type: 'receive', quantity: 4, lot: 'NEW', expiry_date: '2099-01-31', reason: 'test' });
+
+  assert.strictEqual(item.available_quantity, 4);
+  assert.strictEqual(item.needs_reorder, true);
+  await assert.rejects(
+    inventory.recordMovement({ sku: 'EXP-1', type: 'consume', quantity: 5, reason: 'test' }),
+    { statusCode: 409 }
+  );
+});
+
+test('a category filter that is not a string is a 400', async () => {
+  await assert.rejects(inventory.listItems({ category: 5 }), { statusCode: 400 });
+  assert.ok((await inventory.listItems({ category: 'fbs' })).every(item => item.category === 'FBS'));
+});
+
+test('MONGODB_URI alone keeps the file store; opting in to MongoDB without the driver fails', async () => {
+  process.env.MONGODB_URI = 'mongodb://127.0.0.1:1/inventory';
+  try {
+    assert.strictEqual(await inventory.initInventory(), 'file');
+
+    process.env.INVENTORY_BACKEND = 'mongodb';
+    await assert.rejects(inventory.initInventory(), /INVENTORY_BACKEND=mongodb/);
+  } finally {
+    delete process.env.MONGODB_URI;
+    delete process.env.INVENTORY_BACKEND;
+  }
+});
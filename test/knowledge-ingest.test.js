@@ -0,0 +1,81 @@
+// Document ingestion: text extraction, chunking and re-ingest of a shorter version
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-ingest-test-'));
+process.env.LOG_LEVEL = 'silent';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.PINECONE_API_KEY = 'pc-test';
+process.env.PINECONE_INDEX_HOST = 'kb-test.svc.pinecone.io';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const httpClient = require('../http-client');
+
+// Pinecone data-plane calls by path; embeddings are one-element vectors
+const pinecone = [];
+test.mock.method(httpClient, 'makeHttpsRequest', async options => {
+  const body = JSON.parse(options.body);
+  if (options.upstream === 'openai') {
+    return { status: 200, data: { data: body.input.map((text, index) => ({ index, embedding: [index] })) } };
+  }
+  pinecone.push({ path: options.path, body });
+  return { status: 200, data: {} };
+});
+
+const { chunkText, toPlainText, submitIngestion, listDocuments } = require('../knowledge-ingest');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('HTML keeps its text, table rows and list items and drops scripts and markup', () => {
+  const html = `<html><head><title>x</title></head><body>
+    <h1>FBS &amp; media</h1><script>track()</script><!-- note -->
+    <table><tr><td>Storage</td><td>-20&deg;C</td></tr></table>
+    <ul><li>Thaw at 4&#176;C</li><li>Do not refreeze</li></ul></body></html>`;
+
+  assert.strictEqual(toPlainText(html, 'html'), 'FBS & media\n\nStorage | -20°C\n\n- Thaw at 4°C\n- Do not refreeze');
+});
+
+test('Markdown loses headings, emphasis, links and table rules', () => {
+  const markdown = '# Protocol\n\n**Warm** the [medium](https://x.test/m) first.\n\n| Step | Time |\n|---|---|\n| Thaw | 1h |';
+  assert.strictEqual(toPlainText(markdown, 'markdown'), 'Protocol\n\nWarm the medium first.\n\n| Step | Time |\n\n| Thaw | 1h |');
+  assert.strictEqual(toPlainText('line one\r\nline two\r\n', 'text'), 'line one\nline two');
+});
+
+test('chunks stay within the size, prefer paragraph breaks and overlap on word boundaries', () => {
+  const paragraphs = Array.from({ length: 12 }, (_, i) => `Paragraph ${i} ${'word '.repeat(15).trim()}.`);
+  const chunks = chunkText(paragraphs.join('\n\n'), { size: 300, overlap: 60 });
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(chunk.length <= 300, `${chunk.length} characters`));
+  chunks.slice(1).forEach((chunk, i) => {
+    const firstWord = chunk.split(/\s/)[0];
+    assert.ok(chunks[i].includes(firstWord), 'chunk starts inside the previous one');
+  });
+  assert.deepStrictEqual(chunkText('short text'), ['short text']);
+  assert.deepStrictEqual(chunkText('x'.repeat(250), { size: 100, overlap: 0 }).map(c => c.length), [100, 100, 50]);
+});
+
+test('documents are validated before a job is queued', () => {
+  assert.throws(() => submitIngestion([]), { statusCode: 400 });
+  assert.throws(() => submitIngestion([{ doc_id: 'bad id', content: 'x' }]), { statusCode: 400, message: /doc_id/ });
+  assert.throws(() => submitIngestion([{ doc_id: 'a', content: 'x', format: 'pdf' }]), { statusCode: 400, message: /format/ });
+  assert.throws(() => submitIngestion([{ doc_id: 'a', content: 'x' }, { doc_id: 'a', content: 'y' }]), { message: /Duplicate doc_id/ });
+});
+
+test('re-ingesting a shorter version deletes the chunks it no longer has', async () => {
+  const long = Array.from({ length: 6 }, (_, i) => `Section ${i}. ${'text '.repeat(300)}`).join('\n\n');
+  const first = await submitIngestion([{ doc_id: 'coa-fbs', content: long, sku: 'fbs-001', doc_type: 'COA' }]).done;
+  const chunkCount = first.documents[0].chunks;
+  assert.ok(chunkCount > 2);
+
+  pinecone.length = 0;
+  const second = await submitIngestion([{ doc_id: 'coa-fbs', content: 'Revised: store at -20C.' }]).done;
+
+  assert.deepStrictEqual(second.documents[0], { doc_id: 'coa-fbs', namespace: '', status: 'completed', chunks: 1, replaced: true, stale_deleted: chunkCount - 1 });
+  assert.deepStrictEqual(pinecone.map(call => call.path), ['/vectors/upsert', '/vectors/delete']);
+  assert.deepStrictEqual(pinecone[1].body.ids, Array.from({ length: chunkCount - 1 }, (_, i) => `coa-fbs#${i + 1}`));
+  assert.strictEqual(listDocuments({ sku: 'FBS-001' }).length, 0, 'metadata follows the latest version');
+  assert.strictEqual(listDocuments()[0].chunks, 1);
+});
@@ -0,0 +1,97 @@
+// Knowledge-base retrieval: embedding, the Pinecone query and citations
+process.env.LOG_LEVEL = 'silent';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.PINECONE_API_KEY = 'pc-test';
+process.env.PINECONE_INDEX_HOST = 'https://kb-test.svc.pinecone.io';
+delete process.env.OPENAI_BASE_URL;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const httpClient = require('../http-client');
+
+const calls = [];
+let matches = [];
+let failure = null;
+
+// OpenAI answers with one short vector per input (reversed, as the API may),
+// Pinecone with `matches`; both with `failure` when a test sets one
+test.mock.method(httpClient, 'makeHttpsRequest', async options => {
+  const body = options.body ? JSON.parse(options.body) : undefined;
+  calls.push({ hostname: options.hostname, path: options.path, body });
+  if (failure) {
+    return failure;
+  }
+  if (options.upstream === 'openai') {
+    const data = body.input.map((text, index) => ({ index, embedding: [text.length, index] })).reverse();
+    return { status: 200, data: { data } };
+  }
+  return { status: 200, data: { matches } };
+});
+
+const knowledge = require('../knowledge');
+
+test.beforeEach(() => {
+  calls.length = 0;
+  matches = [];
+  failure = null;
+});
+
+test('bad questions and options are refused before anything is embedded', async () => {
+  const cases = [
+    [{ question: '  ' }, /question is required/],
+    [{ question: 'x'.repeat(2001) }, /at most 2000/],
+    [{ question: 'q', topK: 21 }, /top_k/],
+    [{ question: 'q', minScore: 2 }, /min_score/],
+    [{ question: 'q', filter: { sku: { $regex: 'FBS' } } }, /unsupported operator \$regex/],
+    [{ question: 'q', filter: { $or: { sku: 'A' } } }, /\$or must be an array/]
+  ];
+  for (const [options, message] of cases) {
+    await assert.rejects(knowledge.queryKnowledge(options), { statusCode: 400, message });
+  }
+  assert.strictEqual(calls.length, 0);
+});
+
+test('the sku and doc_type shortcuts are combined with a raw filter', async () => {
+  const result = await knowledge.queryKnowledge({ question: ' Storage temperature? ', sku: 'fbs-001', docType: 'coa', filter: { lot: { $in: ['L1'] } }, topK: 3 });
+
+  const query = calls.find(call => call.path === '/query');
+  assert.strictEqual(query.hostname, 'kb-test.svc.pinecone.io');
+  assert.deepStrictEqual(query.body.vector, ['Storage temperature?'.length, 0]);
+  assert.strictEqual(query.body.topK, 3);
+  assert.deepStrictEqual(query.body.filter, {
+    $and: [{ lot: { $in: ['L1'] } }, { sku: { $eq: 'FBS-001' } }, { doc_type: { $eq: 'coa' } }]
+  });
+  assert.strictEqual(result.question, 'Storage temperature?');
+  assert.match(result.answer_policy, /No matching documents/);
+});
+
+test('passages below min_score are dropped and each document is cited once', async () => {
+  matches = [
+    { id: 'a#0', score: 0.91234, metadata: { doc_id: 'coa-1', title: 'FBS COA', text: 'Store at -20C', page: 1 } },
+    { id: 'b#0', score: 0.8, metadata: { doc_id: 'sds-1', title: 'FBS SDS', chunk_text: 'Wear gloves' } },
+    { id: 'a#3', score: 0.7, metadata: { doc_id: 'coa-1', title: 'FBS COA', text: 'Lot L1 passed', page: 2 } },
+    { id: 'c#0', score: 0.2, metadata: { doc_id: 'old', text: 'Irrelevant' } }
+  ];
+  const result = await knowledge.queryKnowledge({ question: 'How to store FBS?', minScore: 0.5 });
+
+  assert.deepStrictEqual(result.passages.map(p => [p.rank, p.id, p.score, p.text, p.citation]), [
+    [1, 'a#0', 0.9123, 'Store at -20C', '[1]'],
+    [2, 'b#0', 0.8, 'Wear gloves', '[2]'],
+    [3, 'a#3', 0.7, 'Lot L1 passed', '[1]']
+  ]);
+  assert.deepStrictEqual(result.citations.map(c => [c.ref, c.doc_id, c.title]), [['[1]', 'coa-1', 'FBS COA'], ['[2]', 'sds-1', 'FBS SDS']]);
+  assert.match(result.answer_policy, /cite them/);
+});
+
+test('embeddings are batched and returned in input order', async () => {
+  const texts = Array.from({ length: 100 }, (_, i) => 'x'.repeat(i + 1));
+  const vectors = await knowledge.embedTexts(texts);
+
+  assert.deepStrictEqual(calls.map(call => call.body.input.length), [96, 4]);
+  assert.deepStrictEqual(vectors.map(vector => vector[0]), texts.map(text => text.length));
+});
+
+test('an upstream failure becomes a 502 with the provider message', async () => {
+  failure = { status: 401, data: { error: { message: 'Incorrect API key' } } };
+  await assert.rejects(knowledge.queryKnowledge({ question: 'q' }), { statusCode: 502, message: /OpenAI embeddings error: 401 - Incorrect API key/ });
+});
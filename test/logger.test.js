@@ -0,0 +1,96 @@
+// Structured JSON logging: levels, request ids and redaction
+process.env.LOG_LEVEL = 'info';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const log = require('../logger');
+const { runWithContext } = require('../request-context');
+
+// Lines written to stdout / stderr while `fn` runs, parsed
+function capture(fn) {
+  const lines = { stdout: [], stderr: [] };
+  const stdout = test.mock.method(process.stdout, 'write', line => lines.stdout.push(JSON.parse(line)));
+  const stderr = test.mock.method(process.stderr, 'write', line => lines.stderr.push(JSON.parse(line)));
+  try {
+    fn();
+  } finally {
+    stdout.mock.restore();
+    stderr.mock.restore();
+  }
+  return lines;
+}
+
+test('one JSON line per entry at or above LOG_LEVEL, warnings and errors on stderr', () => {
+  const lines = capture(() => {
+    log.debug('hidden');
+    log.info('Inventory store ready', { backend: 'file' });
+    log.warn('Slow upstream');
+  });
+
+  assert.strictEqual(log.level, 'info');
+  assert.deepStrictEqual(lines.stdout.map(({ level, msg, backend }) => [level, msg, backend]), [['info', 'Inventory store ready', 'file']]);
+  assert.deepStrictEqual(lines.stderr.map(entry => entry.msg), ['Slow upstream']);
+  assert.ok(!Number.isNaN(Date.parse(lines.stdout[0].time)));
+});
+
+test('entries written while serving a request carry its request id', () => {
+  const { stdout } = capture(() => {
+    runWithContext({ requestId: 'req-42' }, () => log.info('inside'));
+    log.info('outside');
+  });
+
+  assert.deepStrictEqual(stdout.map(entry => entry.request_id), ['req-42', undefined]);
+});
+
+test('credential and contact fields are replaced, flags and token counts kept', () => {
+  const redacted = log.redact({
+    headers: { Authorization: 'Bearer abc', 'X-Api-Key': 'k' },
+    api_key: 'pit-1234567890',
+    api_key_configured: true,
+    refresh_token: { value: 'x' },
+    usage: { input_tokens: 120 },
+    contact: { email: 'ada@example.com', phone: '', name: 'Ada' }
+  });
+
+  assert.deepStrictEqual(redacted, {
+    headers: { Authorization: '[REDACTED]', 'X-Api-Key': '[REDACTED]' },
+    api_key: '[REDACTED]',
+    api_key_configured: true,
+    refresh_token: '[REDACTED]',
+    usage: { input_tokens: 120 },
+    contact: { email: '[REDACTED]', phone: '', name: 'Ada' }
+  });
+});
+
+test('secrets, emails and phone numbers are scrubbed from free text', () => {
+  const text = log.redact([
+    'GET /contacts?locationId=abc&access_token=s3cr3t&limit=5',
+    'auth Bearer eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl failed',
+    'key sk-proj-abcdefghijkl and ibs_0123456789abcdef',
+    'contact ada.lovelace@example.com or +1 (555) 010-9999 or 555.010.1234'
+  ].join('\n'));
+
+  assert.strictEqual(text, [
+    'GET /contacts?locationId=abc&access_token=[REDACTED]&limit=5',
+    'auth Bearer [REDACTED] failed',
+    'key [REDACTED] and [REDACTED]',
+    'contact [email] or [phone] or [phone]'
+  ].join('\n'));
+});
+
+test('errors are serialized, with a stack only when unexpected, and cycles survive', () => {
+  const handled = Object.assign(new Error('Item not found: FBS-001'), { statusCode: 404 });
+  const crash = Object.assign(new TypeError('Cannot read properties of undefined'), { code: 'ERR_X' });
+  const loop = { name: 'loop' };
+  loop.self = loop;
+
+  const { stderr } = capture(() => {
+    log.error('Lookup failed', handled);
+    log.error('Handler crashed', { err: crash, loop });
+  });
+
+  assert.deepStrictEqual(stderr[0].err, { type: 'Error', message: 'Item not found: FBS-001', status: 404 });
+  assert.strictEqual(stderr[1].err.code, 'ERR_X');
+  assert.match(stderr[1].err.stack, /^TypeError: Cannot read/);
+  assert.deepStrictEqual(stderr[1].loop, { name: 'loop', self: '[Circular]' });
+});
@@ -0,0 +1,69 @@
+// Prometheus exposition of request, upstream and collected metrics
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const metrics = require('../metrics');
+
+// Sample lines of one metric family, without HELP / TYPE
+async function samples(prefix) {
+  return (await metrics.render()).split('\n').filter(line => line.startsWith(prefix));
+}
+
+test('requests are counted per route template and timed in cumulative buckets', async () => {
+  metrics.observeRequest({ method: 'GET', route: '/api/inventory/{sku}', status: 200, seconds: 0.02 });
+  metrics.observeRequest({ method: 'GET', route: '/api/inventory/{sku}', status: 200, seconds: 3 });
+  metrics.observeRequest({ method: 'GET', route: '/api/inventory/{sku}', status: 404, seconds: 0.001 });
+
+  assert.deepStrictEqual(await samples('http_requests_total{'), [
+    'http_requests_total{method="GET",route="/api/inventory/{sku}",status="200"} 2',
+    'http_requests_total{method="GET",route="/api/inventory/{sku}",status="404"} 1'
+  ]);
+
+  const ok = '{method="GET",route="/api/inventory/{sku}",status="200"';
+  const buckets = await samples(`http_request_duration_seconds_bucket${ok}`);
+  assert.ok(buckets.includes(`http_request_duration_seconds_bucket${ok},le="0.01"} 0`));
+  assert.ok(buckets.includes(`http_request_duration_seconds_bucket${ok},le="0.025"} 1`));
+  assert.ok(buckets.includes(`http_request_duration_seconds_bucket${ok},le="5"} 2`));
+  assert.ok(buckets.includes(`http_request_duration_seconds_bucket${ok},le="+Inf"} 2`));
+  assert.deepStrictEqual(await samples(`http_request_duration_seconds_count${ok}`), [`http_request_duration_seconds_count${ok}} 2`]);
+  assert.deepStrictEqual(await samples(`http_request_duration_seconds_sum${ok}`), [`http_request_duration_seconds_sum${ok}} 3.02`]);
+});
+
+test('upstream attempts are classed by outcome and retries counted', async () => {
+  metrics.observeUpstream({ upstream: 'ghl', response: { status: 200 }, seconds: 0.1 });
+  metrics.observeUpstream({ upstream: 'ghl', response: { status: 429 }, seconds: 0.1 });
+  metrics.observeUpstream({ upstream: 'ghl', response: { status: 503 }, seconds: 0.1, retry: true });
+  metrics.observeUpstream({ upstream: 'ghl', failure: { code: 'ETIMEDOUT' }, seconds: 15, retry: true });
+  metrics.observeUpstream({ upstream: 'ghl', failure: { code: 'ECIRCUITOPEN' } });
+  metrics.observeUpstream({ upstream: 'ghl', failure: { code: 'ECONNRESET' } });
+
+  assert.deepStrictEqual(await samples('upstream_requests_total{'), [
+    'upstream_requests_total{upstream="ghl",outcome="ok"} 1',
+    'upstream_requests_total{upstream="ghl",outcome="http_429"} 1',
+    'upstream_requests_total{upstream="ghl",outcome="http_5xx"} 1',
+    'upstream_requests_total{upstream="ghl",outcome="timeout"} 1',
+    'upstream_requests_total{upstream="ghl",outcome="circuit_open"} 1',
+    'upstream_requests_total{upstream="ghl",outcome="network"} 1'
+  ]);
+  assert.deepStrictEqual(await samples('upstream_retries_total{'), ['upstream_retries_total{upstream="ghl"} 2']);
+  // Attempts that never went out are not timed
+  assert.deepStrictEqual(await samples('upstream_request_duration_seconds_count{upstream="ghl",outcome="circuit_open"'), []);
+});
+
+test('collected gauges are rendered with escaped labels, and a failing collector is skipped', async () => {
+  metrics.registerCollector(async () => { throw new Error('store offline'); });
+  metrics.registerCollector(async () => [{
+    name: 'inventory_quantity',
+    type: 'gauge',
+    help: 'Units on hand',
+    samples: [{ labels: { sku: 'FBS "Gold"\\1\nx' }, value: 12 }, { labels: { sku: 'NONE' }, value: NaN }]
+  }]);
+
+  const text = await metrics.render();
+  assert.match(text, /# TYPE inventory_quantity gauge\n/);
+  assert.ok(text.includes('inventory_quantity{sku="FBS \\"Gold\\"\\\\1\\nx"} 12\n'));
+  assert.ok(text.includes('inventory_quantity{sku="NONE"} NaN\n'));
+  assert.match(text, /^process_resident_memory_bytes \d+$/m);
+  assert.ok(text.endsWith('\n'));
+});
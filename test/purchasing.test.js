@@ -0,0 +1,74 @@
+// Purchase orders against a throwaway data directory
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'purchasing-test-'));
+process.env.LOG_LEVEL = 'silent';
+delete process.env.INVENTORY_BACKEND;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const inventory = require('../inventory');
+const purchasing = require('../purchasing');
+
+let po;
+
+test.before(async () => {
+  await inventory.initInventory();
+  await inventory.createItem({ sku: 'PO-A', name: 'A', reorder_point: 5 }, 'test');
+  await inventory.createItem({ sku: 'PO-B', name: 'B', reorder_point: 5 }, 'test');
+  await purchasing.createSupplier({
+    name: 'Supplier',
+    products: [{ sku: 'PO-A', unit_cost: 2 }, { sku: 'PO-B', unit_cost: 3 }]
+  });
+  [po] = (await purchasing.draftPurchaseOrders({ user: 'test' })).created;
+});
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('a draft edit with one bad entry changes nothing', async () => {
+  const before = JSON.parse(JSON.stringify(po));
+
+  await assert.rejects(
+    purchasing.updatePurchaseOrder(po.id, { lines: [{ sku: 'PO-A', quantity: 50 }, { sku: 'PO-B', quantity: 0 }] }, 'test'),
+    { statusCode: 400 }
+  );
+  await assert.rejects(
+    purchasing.updatePurchaseOrder(po.id, { lines: [{ sku: 'PO-A', quantity: 50 }], expected_date: '2030-02-30' }, 'test'),
+    { statusCode: 400 }
+  );
+
+  assert.deepStrictEqual(purchasing.getPurchaseOrder(po.id), before);
+});
+
+test('a valid draft edit updates lines, total and expected date', async () => {
+  const updated = await purchasing.updatePurchaseOrder(po.id, {
+    lines: [{ sku: 'PO-A', quantity: 50, unit_cost: 1.5 }],
+    remove_skus: ['PO-B'],
+    expected_date: '2030-02-28'
+  }, 'test');
+
+  assert.deepStrictEqual(updated.lines.map(line => [line.sku, line.quantity, line.line_total]), [['PO-A', 50, 75]]);
+  assert.strictEqual(updated.total, 75);
+  assert.strictEqual(updated.expected_date, '2030-02-28');
+});
+
+test('a receipt with one bad lot line books nothing', async () => {
+  await purchasing.transitionPurchaseOrder(po.id, 'approve', 'test');
+  await purchasing.transitionPurchaseOrder(po.id, 'send', 'test');
+
+  await assert.rejects(
+    purchasing.receivePurchaseOrder(po.id, {
+      lines: [
+        { sku: 'PO-A', quantity: 10, lot: 'L1', expiry_date: '2030-01-31' },
+        { sku: 'PO-A', quantity: 5, lot: 'L2', expiry_date: 'next spring' }
+      ],
+      user: 'test'
+    }),
+    { statusCode: 400 }
+  );
+
+  assert.strictEqual((await inventory.getItem('PO-A')).quantity, 0);
+  assert.strictEqual(purchasing.getPurchaseOrder(po.id).lines[0].received_quantity, 0);
+});
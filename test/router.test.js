@@ -0,0 +1,121 @@
+// Declarative router: matching, 404/405 and JSON body parsing
+process.env.LOG_LEVEL = 'silent';
+
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRouter, send } = require('../router');
+
+const router = createRouter([
+  { method: 'GET', path: '/things/{id}', operationId: 'getThing' },
+  { method: 'POST', path: '/things', operationId: 'createThing', body: { type: 'object' } },
+  { method: 'POST', path: '/hooks', operationId: 'receiveHook', body: { type: 'object' } },
+  { method: 'GET', path: '/later', operationId: 'notYetHandled' }
+]);
+
+// Middleware sees every request in order, matched or not
+const seen = [];
+router.use(async (ctx, next) => {
+  seen.push(`${ctx.req.method} ${ctx.route ? ctx.route.operationId : '-'}`);
+  await next();
+});
+router.use((ctx, next) => {
+  if (ctx.req.headers['x-block'] === 'yes') {
+    throw Object.assign(new Error('Blocked'), { statusCode: 403 });
+  }
+  return next();
+});
+
+router.handle('getThing', ({ res, params }) => {
+  if (params.id === 'crash') {
+    throw new TypeError('boom');
+  }
+  send(res, 200, { success: true, data: params });
+});
+router.handle('createThing', ({ res, body }) => send(res, 201, { success: true, data: body }));
+router.handle('receiveHook', ({ res, rawBody }) => send(res, 200, { success: true, data: rawBody.toString() }), { body: 'raw', bodyLimit: 16 });
+
+let server;
+let port;
+
+test.before(async () => {
+  server = http.createServer((req, res) => router.dispatch(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+test.after(() => server.close());
+
+function request(method, path, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, res => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+test('path parameters are decoded into ctx.params', async () => {
+  const { status, body } = await request('GET', '/things/a%20b');
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data, { id: 'a b' });
+});
+
+test('an unknown path is 404 and a known path with another method is 405 with Allow', async () => {
+  assert.strictEqual((await request('GET', '/nowhere')).status, 404);
+
+  const wrongMethod = await request('DELETE', '/things/1');
+  assert.strictEqual(wrongMethod.status, 405);
+  assert.strictEqual(wrongMethod.headers.allow, 'GET, HEAD, OPTIONS');
+});
+
+test('a JSON body is parsed with or without a Content-Type, but not as another type', async () => {
+  const json = await request('POST', '/things', { body: '{"a":1}', headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+  assert.deepStrictEqual([json.status, json.body.data], [201, { a: 1 }]);
+
+  const untyped = await request('POST', '/things', { body: '{"a":2}' });
+  assert.deepStrictEqual([untyped.status, untyped.body.data], [201, { a: 2 }]);
+
+  const text = await request('POST', '/things', { body: '{"a":3}', headers: { 'Content-Type': 'text/plain' } });
+  assert.strictEqual(text.status, 415);
+});
+
+test('malformed JSON and non-object bodies are 400, an empty body reads as {}', async () => {
+  assert.strictEqual((await request('POST', '/things', { body: '{"a":' })).status, 400);
+  assert.strictEqual((await request('POST', '/things', { body: '[1]' })).status, 400);
+
+  const empty = await request('POST', '/things');
+  assert.deepStrictEqual([empty.status, empty.body.data], [201, {}]);
+});
+
+test('raw handlers get the exact bytes, up to their own body limit', async () => {
+  const raw = await request('POST', '/hooks', { body: 'not json', headers: { 'Content-Type': 'text/plain' } });
+  assert.deepStrictEqual([raw.status, raw.body.data], [200, 'not json']);
+
+  assert.strictEqual((await request('POST', '/hooks', { body: 'x'.repeat(17) })).status, 413);
+});
+
+test('middleware runs in order for every request and can refuse it', async () => {
+  seen.length = 0;
+  await request('GET', '/things/1');
+  await request('GET', '/nowhere');
+  const blocked = await request('GET', '/things/1', { headers: { 'X-Block': 'yes' } });
+
+  assert.deepStrictEqual(seen, ['GET getThing', 'GET -', 'GET getThing']);
+  assert.deepStrictEqual([blocked.status, blocked.body], [403, { success: false, error: 'Blocked' }]);
+});
+
+test('an unexpected error is a 500 and a malformed path parameter a 400', async () => {
+  const crash = await request('GET', '/things/crash');
+  assert.deepStrictEqual([crash.status, crash.body.success], [500, false]);
+
+  assert.strictEqual((await request('GET', '/things/%E0%A4%A')).status, 400);
+});
+
+test('registry routes without a handler are reported, and handlers attach only once', () => {
+  assert.deepStrictEqual(router.unhandledRoutes(), ['GET /later (notYetHandled)']);
+  assert.throws(() => router.handle('getThing', () => {}), /already has a handler/);
+  assert.throws(() => router.handle('noSuchOperation', () => {}), /No route in the registry/);
+});
@@ -0,0 +1,69 @@
+// Route registry and the OpenAPI document generated from it
+process.env.LOG_LEVEL = 'silent';
+delete process.env.PUBLIC_URL;
+delete process.env.RAILWAY_PUBLIC_DOMAIN;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { routes, resolveServerUrl, buildOpenApiSpec, buildAiPluginManifest } = require('../routes');
+
+const spec = buildOpenApiSpec('https://api.example.com');
+
+test('every registry entry has a unique, Actions-safe operationId', () => {
+  const ids = routes.map(route => route.operationId);
+  assert.strictEqual(new Set(ids).size, ids.length);
+  ids.forEach(id => assert.match(id, /^[A-Za-z][A-Za-z0-9_]*$/));
+});
+
+test('path parameters in a template are exactly the declared params', () => {
+  routes.forEach(route => {
+    const inPath = [...route.path.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+    const declared = (route.params || []).map(param => param.name).sort();
+    assert.deepStrictEqual(declared, inPath, `${route.method} ${route.path}`);
+  });
+});
+
+test('the spec is OpenAPI 3.1 and leaves hidden routes out', () => {
+  assert.strictEqual(spec.openapi, '3.1.0');
+  assert.deepStrictEqual(spec.servers, [{ url: 'https://api.example.com' }]);
+
+  const operations = Object.values(spec.paths).flatMap(Object.values);
+  assert.strictEqual(operations.length, routes.filter(route => !route.hidden).length);
+  routes.filter(route => route.hidden).forEach(route => {
+    assert.strictEqual((spec.paths[route.path] || {})[route.method.toLowerCase()], undefined);
+  });
+});
+
+test('every $ref points at a schema in components', () => {
+  const refs = JSON.stringify(spec).match(/"\$ref":"[^"]+"/g) || [];
+  assert.ok(refs.length > 0);
+  refs.forEach(entry => {
+    const name = entry.slice(8, -1).replace('#/components/schemas/', '');
+    assert.ok(spec.components.schemas[name], `missing schema ${name}`);
+  });
+});
+
+test('public routes need no key, the rest list their scopes', () => {
+  routes.filter(route => !route.hidden).forEach(route => {
+    const { security } = spec.paths[route.path][route.method.toLowerCase()];
+    assert.deepStrictEqual(security, route.public ? [] : [{ bearerAuth: route.scopes || [] }]);
+  });
+});
+
+test('the server URL comes from PUBLIC_URL, then the forwarded request', () => {
+  const req = { headers: { host: 'gpt.example.com', 'x-forwarded-proto': 'https,http' } };
+  assert.strictEqual(resolveServerUrl(req), 'https://gpt.example.com');
+
+  process.env.PUBLIC_URL = 'https://public.example.com/';
+  try {
+    assert.strictEqual(resolveServerUrl(req), 'https://public.example.com');
+  } finally {
+    delete process.env.PUBLIC_URL;
+  }
+});
+
+test('the plugin manifest points at the generated spec', () => {
+  const manifest = buildAiPluginManifest('https://api.example.com');
+  assert.strictEqual(manifest.api.url, 'https://api.example.com/openapi.json');
+  assert.strictEqual(manifest.auth.authorization_type, 'bearer');
+});
@@ -0,0 +1,96 @@
+// Server-Sent Events: our outgoing streams and the upstream event parser
+process.env.SSE_HEARTBEAT_MS = '20';
+
+const http = require('http');
+const test = require('node:test');
+const assert = require('node:assert');
+const { wantsEventStream, createEventStream, createEventParser } = require('../sse');
+
+test('upstream events are parsed across chunk boundaries, CRLFs and split characters', () => {
+  const events = [];
+  const feed = createEventParser(event => events.push(event));
+  const bytes = Buffer.from('event: delta\r\ndata: {"text":"µl"}\r\n\r\n: comment\n\ndata: line one\ndata: line two\n\ndata: [DONE]\n\n');
+  const split = bytes.indexOf(Buffer.from('µ')) + 1;
+
+  feed(bytes.subarray(0, split));
+  feed(bytes.subarray(split, 40));
+  feed(bytes.subarray(40));
+
+  assert.deepStrictEqual(events, [
+    { event: 'delta', data: '{"text":"µl"}' },
+    { event: 'message', data: 'line one\nline two' },
+    { event: 'message', data: '[DONE]' }
+  ]);
+});
+
+test('clients opt in with an Accept header', () => {
+  assert.strictEqual(wantsEventStream({ headers: { accept: 'application/json, text/event-stream' } }), true);
+  assert.strictEqual(wantsEventStream({ headers: { accept: 'application/json' } }), false);
+  assert.strictEqual(wantsEventStream({ headers: {} }), false);
+});
+
+// One stream per request; `handler(stream)` drives it
+function serve(handler) {
+  const server = http.createServer((req, res) => handler(createEventStream(req, res), res));
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function get(server) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port: server.address().port, path: '/' }, resolve);
+    req.on('error', reject);
+  });
+}
+
+function readAll(res) {
+  return new Promise(resolve => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => resolve(text));
+  });
+}
+
+test('a stream opens with its first event, numbers events and sends heartbeats', async t => {
+  const server = await serve((stream, res) => {
+    assert.strictEqual(stream.started, false);
+    assert.strictEqual(res.headersSent, false);
+    stream.send('progress', { done: 1 });
+    setTimeout(() => stream.end('done', { success: true }), 70);
+  });
+  t.after(() => server.close());
+
+  const res = await get(server);
+  const body = await readAll(res);
+
+  assert.strictEqual(res.headers['content-type'], 'text/event-stream; charset=utf-8');
+  assert.strictEqual(res.headers['x-accel-buffering'], 'no');
+  assert.match(body, /^retry: 5000\n\nid: 1\nevent: progress\ndata: {"done":1}\n\n/);
+  assert.match(body, /: heartbeat /);
+  assert.match(body, /id: 2\nevent: done\ndata: {"success":true}\n\n$/);
+});
+
+test('a failure after the stream opened travels as an error event', async t => {
+  const server = await serve(stream => {
+    stream.send('token', { text: 'Hi' });
+    stream.fail(Object.assign(new Error('Upstream gone'), { statusCode: 502 }));
+  });
+  t.after(() => server.close());
+
+  const body = await readAll(await get(server));
+  assert.match(body, /event: error\ndata: {"success":false,"error":"Upstream gone","status":502}\n\n$/);
+});
+
+test('a client disconnect aborts the signal and later sends are dropped', async t => {
+  let resolveAborted;
+  const aborted = new Promise(resolve => { resolveAborted = resolve; });
+  const server = await serve(stream => {
+    stream.send('start', {});
+    stream.signal.addEventListener('abort', () => resolveAborted(stream.send('late', {})));
+  });
+  t.after(() => server.close());
+
+  const res = await get(server);
+  res.once('data', () => res.destroy());
+
+  assert.strictEqual(await aborted, false);
+});
@@ -0,0 +1,64 @@
+// GHL tenant api keys are sealed at rest
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-test-'));
+process.env.LOG_LEVEL = 'silent';
+process.env.GHL_TOKEN_ENCRYPTION_KEY = 'test-key';
+delete process.env.GHL_LOCATION_ID;
+delete process.env.GHL_API_KEY;
+
+// A registry written before keys were sealed
+const TENANTS_FILE = path.join(process.env.DATA_DIR, 'ghl-tenants.json');
+fs.writeFileSync(TENANTS_FILE, JSON.stringify([
+  { id: 'ten_legacy', name: 'Legacy', location_id: 'loc-legacy', api_key: 'legacy-token', api_key_ids: [] }
+]));
+
+const test = require('node:test');
+const assert = require('node:assert');
+const tenants = require('../tenants');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function storedFile() {
+  return fs.readFileSync(TENANTS_FILE, 'utf8');
+}
+
+test('plaintext keys from an older registry are sealed on load', async () => {
+  const legacy = tenants.allTenants().find(t => t.id === 'ten_legacy');
+  assert.strictEqual(tenants.tenantApiKey(legacy), 'legacy-token');
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.doesNotMatch(storedFile(), /legacy-token/);
+});
+
+test('created and rotated keys never reach the file in plaintext', async () => {
+  const created = await tenants.createTenant({ name: 'Shop', location_id: 'loc-shop', api_key: 'shop-token' });
+  assert.strictEqual(created.api_key_configured, true);
+  assert.strictEqual(created.api_key, undefined);
+  assert.doesNotMatch(storedFile(), /shop-token/);
+
+  await tenants.updateTenant(created.id, { api_key: 'rotated-token' });
+  const tenant = tenants.allTenants().find(t => t.id === created.id);
+  assert.strictEqual(tenants.tenantApiKey(tenant), 'rotated-token');
+  assert.doesNotMatch(storedFile(), /shop-token|rotated-token/);
+});
+
+test('a sealed key cannot be moved to another tenant', () => {
+  const [legacy, shop] = tenants.allTenants();
+  assert.throws(() => tenants.tenantApiKey({ ...shop, api_key: legacy.api_key }), { statusCode: 500 });
+});
+
+test('registering a key without an encryption key is refused', async () => {
+  delete process.env.GHL_TOKEN_ENCRYPTION_KEY;
+  try {
+    await assert.rejects(
+      tenants.createTenant({ name: 'Plain', location_id: 'loc-plain', api_key: 'plain-token' }),
+      { statusCode: 503 }
+    );
+    assert.strictEqual(tenants.allTenants().some(t => t.location_id === 'loc-plain'), false);
+  } finally {
+    process.env.GHL_TOKEN_ENCRYPTION_KEY = 'test-key';
+  }
+});
@@ -0,0 +1,59 @@
+// WooCommerce order webhooks: delivery dedupe and the GHL buyer sync
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wc-webhooks-test-'));
+process.env.LOG_LEVEL = 'silent';
+process.env.WC_WEBHOOK_SECRET = 'wc-secret';
+delete process.env.INVENTORY_BACKEND;
+delete process.env.GHL_LOCATION_ID;
+delete process.env.GHL_API_KEY;
+
+const test = require('node:test');
+const assert = require('node:assert');
+const inventory = require('../inventory');
+const { handleWooCommerceWebhook } = require('../woocommerce-webhooks');
+
+test.before(() => inventory.initInventory());
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+function deliver(order, deliveryId) {
+  const rawBody = Buffer.from(JSON.stringify(order));
+  return handleWooCommerceWebhook(rawBody, {
+    'x-wc-webhook-signature': crypto.createHmac('sha256', 'wc-secret').update(rawBody).digest('base64'),
+    'x-wc-webhook-topic': 'order.created',
+    'x-wc-webhook-delivery-id': deliveryId
+  });
+}
+
+const order = {
+  id: 501,
+  number: '501',
+  status: 'processing',
+  billing: { email: 'buyer@example.com' },
+  line_items: [{ sku: 'WC-HOOK-1', quantity: 2 }]
+};
+
+test('a delivery that hit a problem is processed again when redelivered', async () => {
+  const first = await deliver(order, 'delivery-1');
+  assert.strictEqual(first.problems.length, 1);
+
+  await inventory.createItem({ sku: 'WC-HOOK-1', name: 'Hooked', quantity: 5 }, 'test');
+  const retry = await deliver(order, 'delivery-1');
+  assert.strictEqual(retry.duplicate, undefined);
+  assert.deepStrictEqual(retry.booked, { 'WC-HOOK-1': 2 });
+
+  const again = await deliver(order, 'delivery-1');
+  assert.strictEqual(again.duplicate, true);
+  assert.strictEqual((await inventory.getItem('WC-HOOK-1')).quantity, 3);
+});
+
+test('without GHL configured the buyer is not synced and no contact error is recorded', async () => {
+  await deliver({ ...order, id: 502, number: '502' }, 'delivery-2');
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const saved = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, 'woocommerce-orders.json'), 'utf8'));
+  assert.strictEqual(saved.orders['502'].contact_error, undefined);
+});
@@ -0,0 +1,234 @@
+// woocommerce-webhooks.js
+// Receiver for WooCommerce order webhooks (order.created / updated / deleted /
+// restored). Deliveries are authenticated with the X-WC-Webhook-Signature HMAC.
+//
+// Processing is idempotent: for each order we remember how much of each SKU we
+// have already consumed, work out how much should be consumed for the order's
+// current status and refunds, and book only the difference (consume when it
+// grows, return when an order is cancelled or refunded). Replayed or duplicate
+// deliveries therefore never double-count. Buyers are also added to GHL when
+// it is configured.
+//
+// A delivery id is remembered only once every SKU was booked, so WooCommerce
+// redelivering a delivery that hit a problem processes it again.
+const crypto = require('crypto');
+const { dataPath, readJsonFile, writeJsonFile } = require('./file-store');
+const inventoryStore = require('./inventory');
+const { makeWCRequest } = require('./woocommerce');
+const ghl = require('./ghl');
+const log = require('./logger');
+
+const ORDERS_FILE = dataPath('woocommerce-orders.json');
+const MAX_DELIVERY_IDS = 1000;
+
+// Statuses in which WooCommerce itself treats stock as gone
+const STOCK_CONSUMING_STATUSES = ['processing', 'on-hold', 'completed'];
+
+const state = readJsonFile(ORDERS_FILE, { orders: {}, deliveries: [] });
+
+function webhookError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// One order at a time - each delivery reads and updates the booked quantities
+let queue = Promise.resolve();
+
+function withLock(fn) {
+  const next = queue.catch(() => {}).then(fn);
+  queue = next;
+  return next;
+}
+
+// base64(HMAC-SHA256(secret, raw body)), compared in constant time
+function verifySignature(rawBody, signature) {
+  const secret = process.env.WC_WEBHOOK_SECRET;
+  if (!secret) {
+    throw webhookError(503, 'WC_WEBHOOK_SECRET not configured');
+  }
+  if (!signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('base64'));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function addQuantities(target, lines, sign = 1) {
+  (lines || []).forEach(line => {
+    if (!line.sku) return;
+    const sku = line.sku.trim().toUpperCase();
+    target[sku] = (target[sku] || 0) + sign * Math.abs(Number(line.quantity) || 0);
+  });
+  return target;
+}
+
+// Quantity per SKU that should currently be out of stock for this order
+async function targetQuantities(order, topic) {
+  if (topic === 'order.deleted' || !STOCK_CONSUMING_STATUSES.includes(order.status)) {
+    return {};
+  }
+
+  const target = addQuantities({}, order.line_items);
+
+  // Partial refunds keep the order status; the refunded lines live on the refund objects
+  if (Array.isArray(order.refunds) && order.refunds.length > 0) {
+    const response = await makeWCRequest(`/orders/${order.id}/refunds`);
+    response.data.forEach(refund => addQuantities(target, refund.line_items, -1));
+  }
+
+  Object.keys(target).forEach(sku => {
+    if (target[sku] <= 0) delete target[sku];
+  });
+  return target;
+}
+
+async function applyOrder(order, topic) {
+  const record = state.orders[order.id] || { booked: {}, last_modified: null };
+  const modified = order.date_modified_gmt || order.date_created_gmt || null;
+
+  // An older snapshot arriving after a newer one must not roll stock back
+  if (record.last_modified && modified && modified < record.last_modified) {
+    return { order_id: order.id, stale: true, movements: [], problems: [] };
+  }
+
+  const target = await targetQuantities(order, topic);
+  const label = `WooCommerce order #${order.number || order.id}`;
+  const status = topic === 'order.deleted' ? 'deleted' : order.status;
+  const movements = [];
+  const problems = [];
+
+  const skus = new Set([...Object.keys(record.booked), ...Object.keys(target)]);
+  for (const sku of skus) {
+    const delta = (target[sku] || 0) - (record.booked[sku] || 0);
+    if (delta === 0) continue;
+
+    try {
+      const result = await inventoryStore.recordMovement({
+        sku,
+        type: delta > 0 ? 'consume' : 'return',
+        quantity: Math.abs(delta),
+        reason: `${label} ${status}`,
+        user: 'woocommerce',
+        reference: `WC-${order.id}`
+      });
+      movements.push(...result.movements);
+
+      if (target[sku]) {
+        record.booked[sku] = target[sku];
+      } else {
+        delete record.booked[sku];
+      }
+    } catch (error) {
+      // Unknown SKUs or oversold stock are reported but must not make WooCommerce
+      // retry forever; the next delivery for this order tries again
+      if (!error.statusCode) throw error;
+      problems.push({ sku, error: error.message });
+    }
+  }
+
+  Object.assign(record, {
+    number: order.number || record.number,
+    status,
+    last_modified: modified || record.last_modified,
+    updated_at: new Date().toISOString(),
+    problems
+  });
+  state.orders[order.id] = record;
+
+  return { order_id: order.id, status, booked: record.booked, movements, problems };
+}
+
+// Make sure the buyer exists in GHL. Runs after the response; failures are logged
+// and kept on the order record so they can be inspected.
+async function syncBuyerContact(order) {
+  const record = state.orders[order.id];
+  const billing = order.billing || {};
+  if (!record || record.ghl_contact_id || (!billing.email && !billing.phone)) {
+    return;
+  }
+
+  try {
+    const result = await ghl.ensureContact({
+      email: billing.email || undefined,
+      phone: billing.phone || undefined,
+      firstName: billing.first_name,
+      lastName: billing.last_name,
+      tags: ['woocommerce-customer'],
+      source: 'WooCommerce'
+    });
+
+    if (result.success) {
+      record.ghl_contact_id = result.data.id;
+      delete record.contact_error;
+      if (result.created) {
+        log.info(`GHL contact created for WooCommerce order #${order.number || order.id}: ${result.data.id}`);
+      }
+    } else {
+      record.contact_error = result.error;
+      log.error(`GHL contact sync failed for WooCommerce order ${order.id}: ${result.error}`);
+    }
+  } catch (error) {
+    record.contact_error = error.message;
+    log.error(`GHL contact sync failed for WooCommerce order ${order.id}: ${error.message}`);
+  }
+
+  await writeJsonFile(ORDERS_FILE, state);
+}
+
+// Entry point for POST /api/webhooks/woocommerce
+async function handleWooCommerceWebhook(rawBody, headers) {
+  // WooCommerce pings a new webhook URL with a form-encoded webhook_id and no signature
+  if (/^webhook_id=\d+$/.test(rawBody.toString('utf8').trim())) {
+    return { ping: true };
+  }
+
+  if (!verifySignature(rawBody, headers['x-wc-webhook-signature'])) {
+    throw webhookError(401, 'Invalid webhook signature');
+  }
+
+  const topic = headers['x-wc-webhook-topic'] || '';
+  const deliveryId = headers['x-wc-webhook-delivery-id'];
+
+  if (!topic.startsWith('order.')) {
+    return { ignored: true, topic };
+  }
+
+  let order;
+  try {
+    order = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw webhookError(400, `Invalid JSON body: ${error.message}`);
+  }
+  if (!order || !order.id) {
+    throw webhookError(400, 'Order payload has no id');
+  }
+
+  return withLock(async () => {
+    if (deliveryId && state.deliveries.includes(deliveryId)) {
+      return { duplicate: true, delivery_id: deliveryId, order_id: order.id };
+    }
+
+    const result = await applyOrder(order, topic);
+
+    if (deliveryId && result.problems.length === 0) {
+      state.deliveries.push(deliveryId);
+      state.deliveries = state.deliveries.slice(-MAX_DELIVERY_IDS);
+    }
+    await writeJsonFile(ORDERS_FILE, state);
+
+    if (topic !== 'order.deleted' && ghl.isConfigured()) {
+      withLock(() => syncBuyerContact(order)).catch(error => {
+        log.error('Error syncing WooCommerce buyer to GHL', error);
+      });
+    }
+
+    return { topic, ...result };
+  });
+}
+
+module.exports = {
+  handleWooCommerceWebhook
+};
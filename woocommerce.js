@@ -0,0 +1,339 @@
+// woocommerce.js
+// Two-way sync between the inventory store and the WooCommerce catalog.
+// Products and variations are matched to inventory items by SKU.
+//   pull: store SKUs we do not stock yet are added to inventory (quantity 0),
+//         and catalog name differences are reported - or, with updateNames,
+//         the store's name is copied onto the inventory item
+//   push: our available quantity and stock status are written to the store
+// Every sync can run as a dry run that only returns the planned changes.
+// A sync reports progress through `onProgress` and stops when `signal` aborts:
+// reads in flight are cancelled, and writes stop at the next batch boundary.
+// A SKU that cannot be added or that the store rejects is listed in
+// applied.failed; the rest of the sync carries on.
+const { URL } = require('url');
+const { makeHttpsRequest, upstreamErrorMessage } = require('./http-client');
+const { dataPath, readJsonFile, writeJsonFile } = require('./file-store');
+const inventoryStore = require('./inventory');
+
+const SYNC_STATE_FILE = dataPath('woocommerce-sync.json');
+const PAGE_SIZE = 100;
+const BATCH_SIZE = 100;
+
+const syncState = readJsonFile(SYNC_STATE_FILE, { last_sync_at: null, last_summary: null });
+let syncInProgress = false;
+
+function wooError(statusCode, message, details) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+}
+
+// WooCommerce REST request with consumer key/secret basic auth
+async function makeWCRequest(path, options = {}) {
+  if (!process.env.WC_CONSUMER_KEY || !process.env.WC_CONSUMER_SECRET) {
+    throw wooError(503, 'WooCommerce credentials not configured');
+  }
+
+  const apiUrl = process.env.WC_API_URL || 'https://innovativebiosci.com/wp-json/wc/v3';
+  const url = new URL(`${apiUrl}${path}`);
+  const auth = Buffer.from(`${process.env.WC_CONSUMER_KEY}:${process.env.WC_CONSUMER_SECRET}`).toString('base64');
+
+  Object.entries(options.query || {}).forEach(([key, value]) => {
+    url.searchParams.set(key, value);
+  });
+
+  const body = options.body ? JSON.stringify(options.body) : undefined;
+  const response = await makeHttpsRequest({
+    hostname: url.hostname,
+    port: url.port,
+    path: url.pathname + url.search,
+    method: options.method || 'GET',
+    upstream: 'woocommerce',
+    idempotent: options.idempotent,
+    signal: options.signal,
+    headers: {
+      'Authorization': `Basic ${auth}`,
+      'Content-Type': 'application/json',
+      'User-Agent': 'InnovativeBioSci-API/1.0',
+      ...(body ? { 'Content-Length': Buffer.byteLength(body) } : {})
+    },
+    body,
+    timeout: 20000
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    throw wooError(502, `WooCommerce API error: ${response.status} on ${options.method || 'GET'} ${path}`, upstreamErrorMessage(response.data) || undefined);
+  }
+  return response;
+}
+
+const stopped = signal => Boolean(signal && signal.aborted);
+
+// Every page of a collection endpoint
+async function fetchAll(path, { signal, onProgress } = {}) {
+  const results = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const response = await makeWCRequest(path, { query: { per_page: PAGE_SIZE, page }, signal });
+    results.push(...response.data);
+    totalPages = parseInt(response.headers['x-wp-totalpages'] || '1');
+    if (onProgress) onProgress({ phase: 'fetching', path, page, total_pages: totalPages });
+    page++;
+  } while (page <= totalPages);
+
+  return results;
+}
+
+// Flatten the catalog to stock-keeping entries: simple products plus the
+// variations of variable products (the parent of a variable product has no stock of its own)
+async function fetchCatalog(run) {
+  const products = await fetchAll('/products', run);
+  const entries = [];
+
+  for (const product of products) {
+    if (product.type === 'variable') {
+      const variations = await fetchAll(`/products/${product.id}/variations`, run);
+      variations.forEach(variation => {
+        const options = (variation.attributes || []).map(a => a.option).join(' / ');
+        entries.push({
+          product_id: product.id,
+          variation_id: variation.id,
+          sku: variation.sku,
+          name: options ? `${product.name} - ${options}` : product.name,
+          category: product.categories?.[0]?.name,
+          manage_stock: variation.manage_stock === true,
+          stock_quantity: variation.stock_quantity,
+          stock_status: variation.stock_status
+        });
+      });
+    } else {
+      entries.push({
+        product_id: product.id,
+        variation_id: null,
+        sku: product.sku,
+        name: product.name,
+        category: product.categories?.[0]?.name,
+        manage_stock: product.manage_stock === true,
+        stock_quantity: product.stock_quantity,
+        stock_status: product.stock_status
+      });
+    }
+  }
+
+  return entries;
+}
+
+// Compare the catalog with inventory and work out both directions of change
+async function buildSyncPlan(run) {
+  const [catalog, items] = await Promise.all([fetchCatalog(run), inventoryStore.listItems()]);
+  const itemsBySku = new Map(items.map(item => [item.sku, item]));
+  const matchedSkus = new Set();
+
+  const plan = {
+    pull: { create: [], name_differences: [] },
+    push: { updates: [] },
+    unmapped_inventory: [],
+    catalog_without_sku: []
+  };
+
+  catalog.forEach(entry => {
+    if (!entry.sku) {
+      plan.catalog_without_sku.push({ product_id: entry.product_id, variation_id: entry.variation_id, name: entry.name });
+      return;
+    }
+
+    const sku = entry.sku.trim().toUpperCase();
+    const item = itemsBySku.get(sku);
+    const ref = { sku, product_id: entry.product_id, variation_id: entry.variation_id };
+
+    if (!item) {
+      plan.pull.create.push({
+        ...ref,
+        name: entry.name,
+        category: entry.category ? entry.category.toUpperCase() : undefined
+      });
+      return;
+    }
+
+    matchedSkus.add(sku);
+
+    if (entry.name !== item.name) {
+      plan.pull.name_differences.push({ ...ref, store_name: entry.name, inventory_name: item.name });
+    }
+
+    const target = {
+      manage_stock: true,
+      stock_quantity: item.available_quantity,
+      stock_status: item.available_quantity > 0 ? 'instock' : 'outofstock'
+    };
+    const current = {
+      manage_stock: entry.manage_stock,
+      stock_quantity: entry.stock_quantity,
+      stock_status: entry.stock_status
+    };
+
+    if (current.manage_stock !== target.manage_stock ||
+        current.stock_quantity !== target.stock_quantity ||
+        current.stock_status !== target.stock_status) {
+      plan.push.updates.push({ ...ref, from: current, to: target });
+    }
+  });
+
+  items
+    .filter(item => !matchedSkus.has(item.sku))
+    .forEach(item => plan.unmapped_inventory.push(item.sku));
+
+  return plan;
+}
+
+// Entries of a batch response that WooCommerce rejected, as failures for our updates
+function batchFailures(batch, response) {
+  const rejected = new Map(((response.data && response.data.update) || [])
+    .filter(result => result && result.error)
+    .map(result => [result.id, result.error]));
+
+  return batch
+    .filter(u => rejected.has(u.variation_id || u.product_id))
+    .map(u => {
+      const error = rejected.get(u.variation_id || u.product_id);
+      return { action: 'push', sku: u.sku, product_id: u.product_id, variation_id: u.variation_id, error: error.message || error.code || 'Rejected by WooCommerce' };
+    });
+}
+
+// Write stock updates with the batch endpoints, grouped by parent product for variations.
+// A batch succeeds as a whole even when single entries fail, so those are counted apart.
+async function pushStock(updates, failed, { signal, onProgress }) {
+  const simple = updates.filter(u => !u.variation_id);
+  const byParent = new Map();
+  updates.filter(u => u.variation_id).forEach(u => {
+    if (!byParent.has(u.product_id)) byParent.set(u.product_id, []);
+    byParent.get(u.product_id).push(u);
+  });
+
+  const toBatch = list => list.map(u => ({ id: u.variation_id || u.product_id, ...u.to }));
+  let pushed = 0;
+
+  const send = async (path, batch) => {
+    const response = await makeWCRequest(path, { method: 'POST', idempotent: true, body: { update: toBatch(batch) } });
+    const failures = batchFailures(batch, response);
+    failed.push(...failures);
+    pushed += batch.length - failures.length;
+    onProgress({ phase: 'pushing', pushed, failed: failed.length, total: updates.length });
+  };
+
+  for (let i = 0; i < simple.length && !stopped(signal); i += BATCH_SIZE) {
+    await send('/products/batch', simple.slice(i, i + BATCH_SIZE));
+  }
+
+  for (const [productId, list] of byParent) {
+    for (let i = 0; i < list.length && !stopped(signal); i += BATCH_SIZE) {
+      await send(`/products/${productId}/variations/batch`, list.slice(i, i + BATCH_SIZE));
+    }
+  }
+
+  return pushed;
+}
+
+// A SKU that cannot be added (e.g. it appears twice in the catalog) is recorded
+// in `failed` and the rest carry on
+async function pullCatalog(creates, user, failed, { signal, onProgress }) {
+  let created = 0;
+  for (const entry of creates) {
+    if (stopped(signal)) break;
+    try {
+      await inventoryStore.createItem({
+        sku: entry.sku,
+        name: entry.name,
+        category: entry.category
+      }, user);
+      created++;
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        throw error;
+      }
+      failed.push({ action: 'create', sku: entry.sku, product_id: entry.product_id, variation_id: entry.variation_id, error: error.message });
+    }
+    onProgress({ phase: 'pulling', created, failed: failed.length, total: creates.length });
+  }
+  return created;
+}
+
+// Take the store's name for items whose inventory name differs
+async function pullNames(differences, user, failed, { signal, onProgress }) {
+  let renamed = 0;
+  for (const difference of differences) {
+    if (stopped(signal)) break;
+    try {
+      await inventoryStore.updateItem(difference.sku, { name: difference.store_name }, user);
+      renamed++;
+    } catch (error) {
+      if (!error.statusCode || error.statusCode >= 500) {
+        throw error;
+      }
+      failed.push({ action: 'rename', sku: difference.sku, product_id: difference.product_id, variation_id: difference.variation_id, error: error.message });
+    }
+    onProgress({ phase: 'renaming', renamed, failed: failed.length, total: differences.length });
+  }
+  return renamed;
+}
+
+// Run a sync. direction: 'pull' | 'push' | 'both'. With dryRun nothing is written;
+// updateNames also applies the plan's name differences when pulling.
+async function syncWooCommerce({ direction = 'both', dryRun = true, updateNames = false, user, onProgress = () => {}, signal } = {}) {
+  if (!['pull', 'push', 'both'].includes(direction)) {
+    throw wooError(400, 'direction must be one of: pull, push, both');
+  }
+  if (syncInProgress) {
+    throw wooError(409, 'A WooCommerce sync is already running');
+  }
+
+  syncInProgress = true;
+  try {
+    const run = { signal, onProgress };
+    onProgress({ phase: 'planning' });
+    const plan = await buildSyncPlan(run);
+    const result = { direction, dry_run: dryRun, update_names: updateNames, plan, applied: null };
+    onProgress({ phase: 'planned', creates: plan.pull.create.length, updates: plan.push.updates.length });
+
+    if (!dryRun) {
+      const applied = { created: 0, renamed: 0, pushed: 0, failed: [] };
+      if (direction !== 'push') {
+        applied.created = await pullCatalog(plan.pull.create, user, applied.failed, run);
+        if (updateNames) {
+          applied.renamed = await pullNames(plan.pull.name_differences, user, applied.failed, run);
+        }
+      }
+      if (direction !== 'pull') {
+        applied.pushed = await pushStock(plan.push.updates, applied.failed, run);
+      }
+      // Whatever was written before the client left is kept and recorded
+      if (stopped(signal)) {
+        applied.cancelled = true;
+      }
+      result.applied = applied;
+
+      syncState.last_sync_at = new Date().toISOString();
+      syncState.last_summary = { direction, ...applied, failed: applied.failed.length, by: user };
+      await writeJsonFile(SYNC_STATE_FILE, syncState);
+    }
+
+    return result;
+  } finally {
+    syncInProgress = false;
+  }
+}
+
+function getSyncStatus() {
+  return { in_progress: syncInProgress, ...syncState };
+}
+
+module.exports = {
+  makeWCRequest,
+  syncWooCommerce,
+  getSyncStatus
+};